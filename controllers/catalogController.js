@@ -0,0 +1,96 @@
+const { loadCatalog, saveTier, savePlan, saveCreditPack } = require('../services/tierCatalogService');
+
+/**
+ * GET /api/admin/tiers
+ * Every valid tier, subscription plan and credit pack (including inactive)
+ * plus the limited pass config, read fresh.
+ */
+const getCatalog = async (req, res) => {
+  try {
+    const { tiers, plans, packs, limitedPass } = await loadCatalog({ force: true });
+    res.json({ success: true, tiers, plans, credit_packs: packs, limited_pass: limitedPass });
+  } catch (error) {
+    console.error('getCatalog error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PUT /api/admin/tiers/:key
+ * Body: any of { name, price_cents, stripe_price_id, stripe_price_env, credits, entries,
+ *   credit_multiplier, full_access, requires_age_verification, perks, features,
+ *   requirements, sort_order, active }
+ * Merged over the stored tier (or creates it) and validated before saving.
+ */
+const updateTier = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const changes = { ...(req.body || {}) };
+    delete changes.key;
+
+    const result = await saveTier(key, changes);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid tier', details: result.errors });
+    }
+
+    res.status(result.created ? 201 : 200).json({ success: true, tier: result.tier });
+  } catch (error) {
+    console.error('updateTier error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PUT /api/admin/plans/:key
+ * Body: any of { tier_key, name, interval ('month' | 'year'), price_cents,
+ *   stripe_price_id, stripe_price_env, monthly_credits, sort_order, active }
+ * Merged over the stored plan (or creates it) and validated before saving.
+ */
+const updatePlan = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const changes = { ...(req.body || {}) };
+    delete changes.key;
+
+    const result = await savePlan(key, changes);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid plan', details: result.errors });
+    }
+
+    res.status(result.created ? 201 : 200).json({ success: true, plan: result.plan });
+  } catch (error) {
+    console.error('updatePlan error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PUT /api/admin/credit-packs/:key
+ * Body: any of { name, credits, price_cents, stripe_price_id, stripe_price_env,
+ *   sort_order, active }
+ * Merged over the stored pack (or creates it) and validated before saving.
+ */
+const updateCreditPack = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const changes = { ...(req.body || {}) };
+    delete changes.key;
+
+    const result = await saveCreditPack(key, changes);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid credit pack', details: result.errors });
+    }
+
+    res.status(result.created ? 201 : 200).json({ success: true, credit_pack: result.pack });
+  } catch (error) {
+    console.error('updateCreditPack error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getCatalog,
+  updateTier,
+  updatePlan,
+  updateCreditPack,
+};
@@ -1,57 +1,43 @@
 const { supabase } = require('../config/supabase');
-
-async function ensureUser(email) {
-  const { data, error } = await supabase
-    .from('users')
-    .upsert([{ email }], { onConflict: 'email' })
-    .select()
-    .single();
-  if (error) {
-  console.error('ensureUser error:', error);
-  throw error;
-}
-  return data;
-}
-
-// Helper function to update user total credits
-async function bumpUserCredits(email, deltaCredits) {
-  await ensureUser(email);
-
-  const { data: curr, error: selErr } = await supabase
-    .from('users')
-    .select('total_credits')
-    .eq('email', email)
-     .maybeSingle();
-
-  if (selErr) {
-  console.error('select user total_credits error:', selErr);
-  throw selErr; 
+const {
+  HOLD_NOT_FOUND,
+  HOLD_NOT_ACTIVE,
+  errorDetails,
+  isInsufficientCredits,
+  applyCreditDelta,
+  createCreditHold,
+  captureCreditHold,
+  releaseCreditHold,
+  getCreditHold,
+  listLedgerHistory,
+} = require('../services/creditLedgerService');
+const { applyReferral } = require('../services/referralService');
+
+// 402 body shared by spend + hold endpoints
+function sendInsufficientCredits(res, err) {
+  const { available = null, required = null } = errorDetails(err);
+  return res.status(402).json({ error: 'Insufficient credits', code: 'insufficient_credits', available, required });
 }
 
-  // ADD THESE TWO LINES HERE
-  const safeDelta = Number(deltaCredits) || 0;
-  const newTotal = (curr?.total_credits || 0) + safeDelta;
-
-  const { error: updErr } = await supabase
-    .from('users')
-    .update({ total_credits: newTotal, updated_at: new Date().toISOString() })
-    .eq('email', email);
-
-  if (updErr) {
-  console.error('update user credits error:', updErr);
-  throw updErr;
-}
-
-  return newTotal;
+// Map hold-state errors from the ledger functions to HTTP statuses
+function sendHoldError(res, err) {
+  if (isInsufficientCredits(err)) return sendInsufficientCredits(res, err);
+  if (err?.code === HOLD_NOT_FOUND) return res.status(404).json({ error: 'Hold not found' });
+  if (err?.code === HOLD_NOT_ACTIVE) {
+    return res.status(409).json({ error: err.message, status: errorDetails(err).status || null });
+  }
+  return null;
 }
 
-
 // Earn credits
 const earnCredits = async (req, res) => {
   try {
-    const { email, amount, origin } = req.body;
-    if (!email || amount === undefined || amount === null || !origin) {
-      return res.status(400).json({ error: 'Email, amount, and origin are required' });
+    const email = req.actingEmail;
+    const { amount } = req.body;
+    // Partners always earn under their own key; admins name the origin
+    const origin = req.auth?.partnerKey || req.body.origin;
+    if (amount === undefined || amount === null || !origin) {
+      return res.status(400).json({ error: 'Amount and origin are required' });
     }
 
     const delta = parseInt(amount, 10);
@@ -71,22 +57,25 @@ if (!Number.isFinite(delta)) {
 
     if (creditsErr) return res.status(400).json({ error: creditsErr.message });
 
-    // Insert into ledger
-    const { error: ledgerErr } = await supabase
-      .from('credits_ledger')
-      .insert([{
-        email, delta, reason: 'api.earn', origin_site: origin
-      }]);
-    if (ledgerErr) return res.status(400).json({ error: ledgerErr.message, where: 'credits_ledger.insert' });
-    // Update total credits
-    const newTotal = await bumpUserCredits(email, delta);
+    // Ledger row + total credits (atomic); Pro/Elite multiplier applied by the ledger
+    let ledger;
+    try {
+      ledger = await applyCreditDelta({
+        email, delta, reason: 'api.earn', originSite: origin
+      });
+    } catch (ledgerErr) {
+      return res.status(400).json({ error: ledgerErr.message, where: 'apply_credit_delta' });
+    }
 
     res.json({
       success: true,
       email,
-      delta,
+      delta: ledger.baseDelta + ledger.bonusDelta,
+      base_delta: ledger.baseDelta,
+      bonus_delta: ledger.bonusDelta,
+      multiplier: ledger.multiplier,
       origin,
-      balance: newTotal,
+      balance: ledger.balance,
       message: `Credits added successfully for ${email}`
     });
   } catch (error) {
@@ -98,8 +87,7 @@ if (!Number.isFinite(delta)) {
 // Get balance
 const getBalance = async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ error: 'Email parameter is required' });
+    const email = req.actingEmail;
 
     const { data, error } = await supabase
       .from('users')
@@ -117,35 +105,93 @@ const getBalance = async (req, res) => {
   }
 };
 
+/**
+ * GET /api/credits/history
+ * Query: origin_site?, reason? (comma-separated), from?, to?, limit? (max 100), cursor?
+ * Newest first. Each row carries running_balance (balance after that entry).
+ * Pass next_cursor back as ?cursor= to fetch the next page.
+ */
+const getHistory = async (req, res) => {
+  try {
+    const email = req.actingEmail;
+    const { origin_site, reason, from, to, limit, cursor } = req.query;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ error: `${name} must be a valid date` });
+      }
+    }
+
+    const reasons = reason
+      ? String(reason).split(',').map(r => r.trim()).filter(Boolean)
+      : null;
+
+    let page;
+    try {
+      page = await listLedgerHistory({
+        email,
+        originSite: origin_site || null,
+        reasons,
+        from: from ? new Date(from).toISOString() : null,
+        to: to ? new Date(to).toISOString() : null,
+        limit,
+        cursor: cursor || null,
+      });
+    } catch (err) {
+      if (err?.code === 'invalid_cursor') return res.status(400).json({ error: 'Invalid cursor' });
+      throw err;
+    }
+
+    res.json({
+      success: true,
+      email,
+      items: page.items,
+      next_cursor: page.nextCursor,
+      has_more: Boolean(page.nextCursor),
+    });
+  } catch (error) {
+    console.error('getHistory error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 // Spend credits
 const spendCredits = async (req, res) => {
   try {
-    const { email, amount, origin } = req.body;
-    if (!email || amount === undefined || amount === null) {
-      return res.status(400).json({ error: 'Email and amount are required' });
+    const email = req.actingEmail;
+    const { amount } = req.body;
+    // Partners always spend under their own key
+    const origin = req.auth?.partnerKey || req.body.origin;
+    if (amount === undefined || amount === null) {
+      return res.status(400).json({ error: 'Amount is required' });
     }
 
     const parsed = parseInt(amount, 10);
 if (!Number.isFinite(parsed)) {
   return res.status(400).json({ error: 'amount must be a valid integer' });
 }
+    if (parsed === 0) {
+      return res.status(400).json({ error: 'amount must be non-zero' });
+    }
     const delta = -Math.abs(parsed);
     const origin_site = origin || 'spend';
 
+    // Ledger row + total credits (atomic, refuses to go below the available balance)
+    let newTotal;
+    try {
+      ({ balance: newTotal } = await applyCreditDelta({
+        email, delta, reason: 'api.spend', originSite: origin_site, requireSufficient: true
+      }));
+    } catch (ledgerErr) {
+      if (isInsufficientCredits(ledgerErr)) return sendInsufficientCredits(res, ledgerErr);
+      return res.status(400).json({ error: ledgerErr.message, where: 'apply_credit_delta' });
+    }
+
     // Insert into credits table
     const { error: creditsErr } = await supabase
       .from('credits')
       .insert([{ email, amount: delta, origin_site, legal_accept: false }]);
-    if (creditsErr) return res.status(400).json({ error: creditsErr.message });
-
-    // Insert into ledger
-    const { error: ledgerErr } = await supabase
-      .from('credits_ledger')
-      .insert([{ email, delta, reason: 'api.spend', origin_site }]);
-    if (ledgerErr) return res.status(400).json({ error: ledgerErr.message, where: 'credits_ledger.insert' });
-
-    // Update total credits
-    const newTotal = await bumpUserCredits(email, delta);
+    if (creditsErr) console.error('spendCredits credits insert error:', creditsErr);
 
     res.json({
       success: true,
@@ -163,115 +209,162 @@ if (!Number.isFinite(parsed)) {
 
 
 
-// Function to handle applying the referral/promo code
-async function applyReferralCode(req, res) {
+/**
+ * POST /api/credits/holds
+ * Body: { amount, origin, reference?, ttl_seconds? } (+ email for bridge/admin callers;
+ *       a partner's holds always carry its own key as origin)
+ * Reserves credits (e.g. a CareDuel challenge entry). Returns 402 if the
+ * available balance is too low.
+ */
+const createHold = async (req, res) => {
   try {
-    const { referred_email, referral_code } = req.body || {};
-    const email = (referred_email || '').toLowerCase();
-    const code = (referral_code || '').trim();
-
-    if (!email || !email.includes('@')) {
-      return res.status(400).json({ message: 'Valid user email is required' });
-    }
-    if (!code) {
-      return res.status(400).json({ message: 'Referral code is required' });
+    const email = req.actingEmail;
+    const { amount, reference, ttl_seconds } = req.body || {};
+    // Partners always hold under their own key
+    const origin = req.auth?.partnerKey || req.body?.origin;
+    if (amount === undefined || amount === null || !origin) {
+      return res.status(400).json({ error: 'Amount and origin are required' });
     }
 
-    // 1. Find referrer by referral_code
-    const { data: referrer, error: refErr } = await supabase
-      .from('users')
-      .select('email, referral_code')
-      .eq('referral_code', code)
-      .single();
+    const parsed = parseInt(amount, 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) {
+      return res.status(400).json({ error: 'amount must be a positive integer' });
+    }
 
-    if (refErr || !referrer) {
-      return res.status(404).json({ message: 'Invalid referral code' });
+    const ttl = ttl_seconds === undefined ? 900 : parseInt(ttl_seconds, 10);
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      return res.status(400).json({ error: 'ttl_seconds must be a positive integer' });
     }
 
-    // Cannot refer yourself
-    if (referrer.email.toLowerCase() === email) {
-      return res.status(400).json({ message: 'You cannot use your own referral code' });
+    let hold;
+    try {
+      hold = await createCreditHold({
+        email,
+        amount: parsed,
+        originSite: origin,
+        reference: reference || null,
+        ttlSeconds: ttl,
+      });
+    } catch (err) {
+      if (isInsufficientCredits(err)) return sendInsufficientCredits(res, err);
+      if (err?.code === '23505') {
+        return res.status(409).json({ error: 'An active hold already exists for this reference' });
+      }
+      throw err;
     }
 
-    // 2. Make sure this user has not already used a code
-    const { data: existingReferral } = await supabase
-      .from('referrals')
-      .select('id')
-      .eq('referred_email', email)
-      .maybeSingle();
+    res.status(201).json({
+      success: true,
+      hold_id: hold.holdId,
+      amount: parsed,
+      origin,
+      reference: reference || null,
+      available: hold.available,
+      expires_at: hold.expiresAt,
+    });
+  } catch (error) {
+    console.error('createHold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    if (existingReferral) {
-      return res.status(400).json({ message: 'Referral code already used for this account' });
-    }
+// Load a hold the caller may act on; users only see their own holds,
+// partners only the holds made under their key
+async function findAccessibleHold(req) {
+  const hold = await getCreditHold(req.params.holdId);
+  if (!hold) return null;
+  if (req.auth?.type === 'user' && hold.email !== req.actingEmail) return null;
+  if (req.auth?.type === 'bridge' && hold.origin_site !== req.auth.partnerKey) return null;
+  return hold;
+}
 
-    // 3. Record referral relationship
-    const { error: insertErr } = await supabase
-      .from('referrals')
-      .insert({
-        referrer_email: referrer.email.toLowerCase(),
-        referred_email: email,
-        referral_code: code,
-      });
+// GET /api/credits/holds/:holdId
+const getHold = async (req, res) => {
+  try {
+    const hold = await findAccessibleHold(req);
+    if (!hold) return res.status(404).json({ error: 'Hold not found' });
+    res.json({ success: true, hold });
+  } catch (error) {
+    console.error('getHold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    if (insertErr) {
-      console.error('Insert referral error:', insertErr);
-      return res.status(500).json({ message: 'Failed to record referral' });
+// POST /api/credits/holds/:holdId/capture — commit the reserved credits
+const captureHold = async (req, res) => {
+  try {
+    if (!(await findAccessibleHold(req))) return res.status(404).json({ error: 'Hold not found' });
+
+    let result;
+    try {
+      result = await captureCreditHold(req.params.holdId);
+    } catch (err) {
+      if (sendHoldError(res, err)) return;
+      throw err;
     }
 
-    // 4. Update referred user row (who used the code)
-    await supabase
-      .from('users')
-      .update({ referred_by: referrer.email.toLowerCase() })
-      .eq('email', email);
-
-    // 5. Award +25 credits to referrer (NO earnCredits() here)
-    const refEmail = referrer.email.toLowerCase();
-    const delta = 25;
+    res.json({
+      success: true,
+      hold_id: req.params.holdId,
+      status: 'captured',
+      ledger_id: result.ledgerId,
+      balance: result.balance,
+    });
+  } catch (error) {
+    console.error('captureHold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // 5a. Get current credits of referrer
-    const { data: refUser, error: refUserErr } = await supabase
-      .from('users')
-      .select('total_credits')
-      .eq('email', refEmail)
-      .maybeSingle();
+// POST /api/credits/holds/:holdId/release — give the reserved credits back
+const releaseHold = async (req, res) => {
+  try {
+    if (!(await findAccessibleHold(req))) return res.status(404).json({ error: 'Hold not found' });
 
-    if (refUserErr) {
-      console.error('applyReferralCode: error fetching referrer user', refUserErr);
-      return res.status(500).json({ message: 'Failed to fetch referrer for credits' });
+    try {
+      await releaseCreditHold(req.params.holdId);
+    } catch (err) {
+      if (sendHoldError(res, err)) return;
+      throw err;
     }
 
-    const prevCredits = refUser?.total_credits || 0;
-    const newTotalCredits = prevCredits + delta;
+    res.json({ success: true, hold_id: req.params.holdId, status: 'released' });
+  } catch (error) {
+    console.error('releaseHold error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // 5b. Update total_credits in users table
-    const { error: updateErr } = await supabase
-      .from('users')
-      .update({ total_credits: newTotalCredits })
-      .eq('email', refEmail);
+/**
+ * POST /api/credits/apply_referral_code
+ * Body: { referral_code, referred_email? }  (referred_email must be the caller's own)
+ * Records a pending referral; rewards are paid when it qualifies
+ * (by default on the referee's first purchase, see services/referralService).
+ */
+async function applyReferralCode(req, res) {
+  try {
+    const email = req.actingEmail;
+    const claimed = (req.body?.referred_email || '').trim().toLowerCase();
+    const code = (req.body?.referral_code || '').trim();
 
-    if (updateErr) {
-      console.error('applyReferralCode: error updating referrer credits', updateErr);
-      return res.status(500).json({ message: 'Failed to update referrer credits' });
+    if (req.auth.type === 'user' && claimed && claimed !== email) {
+      return res.status(403).json({ message: 'Cannot apply a referral code for another user' });
+    }
+    if (!code) {
+      return res.status(400).json({ message: 'Referral code is required' });
     }
 
-    // 5c. Insert a row into credits_ledger
-    const { error: ledgerErr } = await supabase
-      .from('credits_ledger')
-      .insert({
-        email: refEmail,
-        delta,
-        reason: 'referral_signup',
-        origin_site: 'crowbar',
-      });
-
-    if (ledgerErr) {
-      console.error('applyReferralCode: ledger insert error', ledgerErr);
-      return res.status(500).json({ message: 'Failed to write referral credits ledger' });
+    const result = await applyReferral({ refereeEmail: email, code });
+    if (!result.ok) {
+      return res.status(result.status).json({ message: result.message });
     }
 
     return res.json({
       success: true,
-      message: 'Referral code applied. Referrer has received +25 credits.',
+      status: result.status,
+      message: result.status === 'qualified'
+        ? 'Referral code applied. Referral rewards have been paid.'
+        : 'Referral code applied. Rewards are paid after your first purchase.',
     });
   } catch (err) {
     console.error('applyReferralCode error:', err);
@@ -282,4 +375,14 @@ async function applyReferralCode(req, res) {
 
 
 
-module.exports = { earnCredits, getBalance, spendCredits, applyReferralCode };
+module.exports = {
+  earnCredits,
+  getBalance,
+  getHistory,
+  spendCredits,
+  createHold,
+  getHold,
+  captureHold,
+  releaseHold,
+  applyReferralCode,
+};
@@ -1,18 +1,9 @@
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { supabase } = require('../config/supabase');
-
-const PARTNER_MAP = {
-  talentkonnect: 'https://www.talentkonnect.com',
-  careduel: 'https://www.careduel.com',
-  ecoworldbuy: 'https://www.ecoworldbuy.com',
-};
-
-const CREDIT_MAP = {
-  access_pass: 49,
-  talentkonnect: 7,
-  careduel: 3,
-  ecoworldbuy: 7,
-};
+const { applyCreditDelta } = require('../services/creditLedgerService');
+const { getCatalogSetting } = require('../services/tierCatalogService');
+const { awardPartnerReward } = require('../services/partnerRewardService');
+const { getPartner, partnerRedirect } = require('../services/partnerRegistryService');
 
 async function ensureUser(email) {
   const { data, error } = await supabase
@@ -24,26 +15,6 @@ async function ensureUser(email) {
   return data;
 }
 
-async function bumpUserCredits(email, deltaCredits) {
-  await ensureUser(email);
-
-  const { data: curr, error: selErr } = await supabase
-    .from('users')
-    .select('total_credits')
-    .eq('email', email)
-    .single();
-  if (selErr) console.error('select user total_credits error:', selErr);
-
-  const newTotal = (curr?.total_credits || 0) + Number(deltaCredits || 0);
-  const { error: updErr } = await supabase
-    .from('users')
-    .update({ total_credits: newTotal, updated_at: new Date().toISOString() })
-    .eq('email', email);
-  if (updErr) console.error('update user credits error:', updErr);
-
-  return newTotal;
-}
-
 async function bumpUserSpend(email, deltaUsd) {
   await ensureUser(email);
 
@@ -85,64 +56,6 @@ async function hasAccessPass(email) {
   return (data || []).length > 0;
 }
 
-function startOfUtcDay(date = new Date()) {
-  const d = new Date(date);
-  d.setUTCHours(0, 0, 0, 0);
-  return d.toISOString();
-}
-function endOfUtcDay(date = new Date()) {
-  const d = new Date(date);
-  d.setUTCHours(23, 59, 59, 999);
-  return d.toISOString();
-}
-
-async function partnerRewardAlreadyGivenToday(email, origin) {
-  const { data, error } = await supabase
-    .from('credits_ledger')
-    .select('id, created_at')
-    .eq('email', email)
-    .eq('origin_site', origin)
-    .eq('reason', 'action.rewarded')
-    .gte('created_at', startOfUtcDay())
-    .lte('created_at', endOfUtcDay())
-    .limit(1);
-  if (error) {
-    console.error('reward check error:', error);
-    return false; 
-  }
-  return (data || []).length > 0;
-}
-
-async function awardPartnerOncePerDay(email, origin) {
-  const credits = CREDIT_MAP[origin] ?? 0;
-  if (credits <= 0) return { awarded: false, credits: 0 };
-
-  const already = await partnerRewardAlreadyGivenToday(email, origin);
-  if (already) return { awarded: false, credits: 0 };
-
-  // 1) legacy history
-  await supabase.from('credits').insert([{
-    email,
-    amount: credits,
-    origin_site: origin,
-    eligible_global_race: false,
-    legal_accept: true,
-  }]);
-
-  // 2) ledger
-  await supabase.from('credits_ledger').insert([{
-    email,
-    delta: credits,
-    reason: 'action.rewarded',
-    origin_site: origin,
-  }]);
-
-  // 3) users
-  await bumpUserCredits(email, credits);
-
-  return { awarded: true, credits };
-}
-
 async function awardAccessPassIfNeededFromSession(session) {
   const email =
     session?.metadata?.user_email ||
@@ -163,7 +76,8 @@ async function awardAccessPassIfNeededFromSession(session) {
     return { awarded: false, reason: 'session_already_logged' };
   }
 
-  const credits = CREDIT_MAP['access_pass'] || 49;
+  const accessPass = await getCatalogSetting('access_pass', {});
+  const credits = Number.isInteger(accessPass?.credits) ? accessPass.credits : 49;
   const usd = session.amount_total ? session.amount_total / 100 : null;
   const legal_accept = String(session?.metadata?.legal_accept || '').toLowerCase() === 'true';
 
@@ -176,18 +90,17 @@ async function awardAccessPassIfNeededFromSession(session) {
     legal_accept: !!legal_accept,
   }]);
 
-  // 2) ledger row
-  await supabase.from('credits_ledger').insert([{
+  // 2) ledger row + users total (atomic)
+  await applyCreditDelta({
     email,
     delta: credits,
     reason: 'checkout.session.completed',
-    origin_site: 'access_pass',
-    stripe_session_id: session.id,
-    amount_usd: usd,
-  }]);
+    originSite: 'access_pass',
+    stripeSessionId: session.id,
+    amountUsd: usd,
+  });
 
-  // 3) users total/spend
-  await bumpUserCredits(email, credits);
+  // 3) users spend
   if (usd) await bumpUserSpend(email, usd);
 
   return { awarded: true, reason: 'created' };
@@ -198,7 +111,7 @@ async function awardAccessPassIfNeededFromSession(session) {
 /**
  * POST /api/gate/start
  * Body: { email, origin, return_to, legal_accept }
- * - If user has Access Pass → award partner (once/day) and return { redirect_url }
+ * - If user has Access Pass → award partner (per its reward rules) and return { redirect_url }
  * - Else → requires legal_accept=true, creates Stripe session and returns { checkout_url, sessionId }
  */
 const startGate = async (req, res) => {
@@ -208,16 +121,17 @@ const startGate = async (req, res) => {
     if (!email || !origin) {
       return res.status(400).json({ success: false, error: 'email and origin are required' });
     }
-    if (!PARTNER_MAP[origin]) {
+    const partner = await getPartner(origin);
+    if (!partner) {
       return res.status(400).json({ success: false, error: 'invalid origin' });
     }
 
     const hasPass = await hasAccessPass(email);
 
     if (hasPass) {
-      await awardPartnerOncePerDay(email, origin);
-      const redirect_url = PARTNER_MAP[origin];
-      return res.json({ success: true, need_payment: false, redirect_url });
+      const reward = await awardPartnerReward(email, origin);
+      const redirect_url = partner.redirect_url;
+      return res.json({ success: true, need_payment: false, redirect_url, reward });
     }
 
     if (String(legal_accept).toLowerCase() !== 'true') {
@@ -258,15 +172,16 @@ const startGate = async (req, res) => {
 
 /**
  * POST /api/gate/complete
- * Body: { session_id, origin?, return_to? }
+ * Body: { session_id, origin?, return_to? }, or { origin, return_to? } from a
+ * signed-in Access Pass holder (the reward goes to the token's account)
  * - Verifies Stripe session is paid
  * - Ensures Access Pass credit is awarded once per session
- * - Awards partner action (once/day)
+ * - Awards partner action (per its reward rules)
  * - Returns redirect_url (frontend can navigate)
  */
 const completeGate = async (req, res) => {
   try {
-    const { session_id, origin, return_to, email: bodyEmail } = req.body || {};
+    const { session_id, origin, return_to } = req.body || {};
 
     if (session_id) {
       console.log('[gate.complete] using session_id:', session_id);
@@ -290,30 +205,43 @@ const completeGate = async (req, res) => {
 
       const finalOrigin = origin || session?.metadata?.origin;
       const finalReturnKey = return_to || session?.metadata?.return_to || finalOrigin;
-      const redirect_url = PARTNER_MAP[finalReturnKey] || PARTNER_MAP[finalOrigin] || '/';
+      const redirect_url = (await partnerRedirect(finalReturnKey, finalOrigin)) || '/';
 
-      if (finalOrigin && PARTNER_MAP[finalOrigin]) {
-        await awardPartnerOncePerDay(email, finalOrigin);
+      let reward = null;
+      if (finalOrigin && (await getPartner(finalOrigin))) {
+        reward = await awardPartnerReward(email, finalOrigin);
       }
 
-      return res.json({ success: true, redirect_url });
+      return res.json({ success: true, redirect_url, reward });
     }
 
-    if (!session_id && bodyEmail && origin) {
-  console.log('[gate.complete] no session_id; awarding partner once/day for', bodyEmail, origin);
+    if (origin) {
+      // Without a paid session the reward goes to the signed-in pass holder only
+      const email = req.actingEmail;
+      if (!email) {
+        return res.status(401).json({ success: false, error: 'unauthorized' });
+      }
+      if (!(await getPartner(origin))) {
+        return res.status(400).json({ success: false, error: 'invalid origin' });
+      }
+      if (!(await hasAccessPass(email))) {
+        return res.status(403).json({ success: false, error: 'access_pass_required' });
+      }
 
-  // award partner credits once per day
-  await awardPartnerOncePerDay(bodyEmail, origin);
+      console.log('[gate.complete] no session_id; awarding partner reward for', email, origin);
 
-  // always redirect to selected partner (or return_to)
-  const redirect_url = PARTNER_MAP[return_to || origin] || PARTNER_MAP[origin] || '/';
-  return res.json({ success: true, redirect_url });
-}
+      // award partner credits (rule cooldown applies)
+      const reward = await awardPartnerReward(email, origin);
+
+      // always redirect to selected partner (or return_to)
+      const redirect_url = (await partnerRedirect(return_to || origin, origin)) || '/';
+      return res.json({ success: true, redirect_url, reward });
+    }
 
     return res.status(400).json({
       success: false,
       error: 'missing_params',
-      message: 'Provide session_id (after Stripe) OR email + origin (if pass already owned).'
+      message: 'Provide session_id (after Stripe) OR origin with a signed-in Access Pass holder.'
     });
   } catch (err) {
     console.error('completeGate error:', err);
@@ -0,0 +1,132 @@
+const { supabase } = require('../config/supabase');
+const { buildKycRejectedEmail, sendBrevoEmail } = require('../utils/brevoMailer');
+const { KYC_DOCUMENT_FIELDS, signedDocumentsForUser } = require('../services/kycDocumentService');
+
+const KYC_STATUSES = ['pending', 'approved', 'rejected'];
+
+const REVIEW_FIELDS = [
+  'id', 'email', 'full_name', 'dob', 'age_range', 'social_url',
+  'kyc_status', 'age_verified', 'kyc_reviewed_at', 'kyc_reviewed_by', 'kyc_rejection_reason',
+  'updated_at',
+  ...KYC_DOCUMENT_FIELDS,
+];
+
+/**
+ * GET /api/admin/kyc?status=pending&limit=25&offset=0
+ * Oldest submissions first. Document links are signed and expire after 10 minutes.
+ */
+const listKycSubmissions = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!KYC_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${KYC_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const { data, error, count } = await supabase
+      .from('users')
+      .select(REVIEW_FIELDS.join(', '), { count: 'exact' })
+      .eq('kyc_status', status)
+      .order('updated_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const submissions = [];
+    for (const user of data || []) {
+      const fields = { ...user };
+      KYC_DOCUMENT_FIELDS.forEach(f => delete fields[f]);
+      submissions.push({ ...fields, documents: await signedDocumentsForUser(user) });
+    }
+
+    res.json({ success: true, status, total: count ?? submissions.length, limit, offset, submissions });
+  } catch (error) {
+    console.error('listKycSubmissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Apply a decision to a pending submission; returns the updated user or null if not pending
+async function recordKycDecision(userId, decision, reason, reviewer) {
+  const nowIso = new Date().toISOString();
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .update({
+      kyc_status: decision,
+      age_verified: decision === 'approved',
+      kyc_reviewed_at: nowIso,
+      kyc_reviewed_by: reviewer,
+      kyc_rejection_reason: decision === 'rejected' ? reason : null,
+      updated_at: nowIso,
+    })
+    .eq('id', userId)
+    .eq('kyc_status', 'pending')
+    .select('id, email, full_name, kyc_status, age_verified, kyc_rejection_reason')
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) return null;
+
+  const { error: auditErr } = await supabase.from('kyc_reviews').insert({
+    user_id: user.id,
+    email: user.email,
+    decision,
+    reason: reason || null,
+    reviewed_by: reviewer,
+  });
+  if (auditErr) console.error('kyc_reviews insert error:', auditErr);
+
+  return user;
+}
+
+/**
+ * POST /api/admin/kyc/:userId/approve
+ * Marks the user age-verified so the discount19 `pre_verified` checkout path opens.
+ */
+const approveKyc = async (req, res) => {
+  try {
+    const user = await recordKycDecision(req.params.userId, 'approved', null, req.auth.email);
+    if (!user) return res.status(409).json({ error: 'No pending KYC submission for this user' });
+
+    console.log(`KYC approved for ${user.email} by ${req.auth.email}`);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('approveKyc error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/kyc/:userId/reject
+ * Body: { reason }
+ * Emails the user the reason so they can resubmit.
+ */
+const rejectKyc = async (req, res) => {
+  try {
+    const reason = String(req.body?.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'reason is required' });
+
+    const user = await recordKycDecision(req.params.userId, 'rejected', reason, req.auth.email);
+    if (!user) return res.status(409).json({ error: 'No pending KYC submission for this user' });
+
+    let emailSent = true;
+    try {
+      const { subject, html } = buildKycRejectedEmail({ userName: user.full_name || user.email, reason });
+      await sendBrevoEmail({ to: user.email, subject, html });
+    } catch (e) {
+      emailSent = false;
+      console.error('KYC rejection email failed:', e?.message || e);
+    }
+
+    console.log(`KYC rejected for ${user.email} by ${req.auth.email}: ${reason}`);
+    res.json({ success: true, user, email_sent: emailSent });
+  } catch (error) {
+    console.error('rejectKyc error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { listKycSubmissions, approveKyc, rejectKyc };
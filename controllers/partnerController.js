@@ -0,0 +1,179 @@
+const { supabase } = require('../config/supabase');
+const {
+  PARTNER_SCOPES,
+  issuePartnerKey,
+  rotatePartnerKey,
+  revokePartnerKey,
+  issueSigningSecret,
+  listPartnerKeys,
+} = require('../services/partnerKeyService');
+const { loadPartners, savePartner } = require('../services/partnerRegistryService');
+const { listRewardRules } = require('../services/partnerRewardService');
+
+async function partnerExists(partnerKey) {
+  const { data, error } = await supabase
+    .from('partners')
+    .select('key')
+    .eq('key', partnerKey)
+    .maybeSingle();
+  if (error) throw error;
+  return Boolean(data);
+}
+
+/**
+ * GET /api/admin/partners
+ * The partner registry (including inactive partners), read fresh, each with its
+ * reward rules.
+ */
+const getPartners = async (req, res) => {
+  try {
+    const [{ partners }, rules] = await Promise.all([loadPartners({ force: true }), listRewardRules()]);
+    res.json({
+      success: true,
+      partners: partners.map(p => ({ ...p, reward_rules: rules.filter(r => r.partner_key === p.key) })),
+    });
+  } catch (error) {
+    console.error('getPartners error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PUT /api/admin/partners/:partnerKey
+ * Body: any of { display_name, redirect_url, allowed_origins, access_enabled,
+ *   pass_price_cents, pass_stripe_price_id, active }
+ * Merged over the stored partner (or creates it). Reward amounts are managed
+ * under /api/admin/reward-rules.
+ */
+const updatePartner = async (req, res) => {
+  try {
+    const { partnerKey } = req.params;
+    const changes = { ...(req.body || {}) };
+    delete changes.key;
+
+    const result = await savePartner(partnerKey, changes);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid partner', details: result.errors });
+    }
+
+    res.status(result.created ? 201 : 200).json({ success: true, partner: result.partner });
+  } catch (error) {
+    console.error('updatePartner error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/admin/partners/:partnerKey/keys
+ * Lists key metadata (prefix, scopes, expiry). Never returns the key itself.
+ */
+const getPartnerKeys = async (req, res) => {
+  try {
+    const { partnerKey } = req.params;
+    if (!(await partnerExists(partnerKey))) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+
+    const keys = await listPartnerKeys(partnerKey);
+    res.json({ success: true, partner: partnerKey, keys });
+  } catch (error) {
+    console.error('getPartnerKeys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/partners/:partnerKey/keys
+ * Body: { scopes: ['sync-login' | 'sync-checkout' | 'credits:earn' | 'credits:spend' | 'credits:hold' | 'credits:read'] }
+ * Issues an additional key. The plaintext api_key is returned once.
+ */
+const createPartnerKey = async (req, res) => {
+  try {
+    const { partnerKey } = req.params;
+    const { scopes } = req.body || {};
+
+    if (!Array.isArray(scopes) || !scopes.length || !scopes.every(s => PARTNER_SCOPES.includes(s))) {
+      return res.status(400).json({ error: `scopes must be a non-empty subset of: ${PARTNER_SCOPES.join(', ')}` });
+    }
+    if (!(await partnerExists(partnerKey))) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+
+    const key = await issuePartnerKey(partnerKey, scopes);
+    res.status(201).json({ success: true, partner: partnerKey, key });
+  } catch (error) {
+    console.error('createPartnerKey error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/partners/:partnerKey/keys/rotate
+ * Body: { scopes?, grace_hours? = 24 }
+ * Issues a new key; existing keys keep working for grace_hours.
+ */
+const rotatePartnerKeys = async (req, res) => {
+  try {
+    const { partnerKey } = req.params;
+    const { scopes, grace_hours } = req.body || {};
+
+    if (scopes !== undefined && (!Array.isArray(scopes) || !scopes.length || !scopes.every(s => PARTNER_SCOPES.includes(s)))) {
+      return res.status(400).json({ error: `scopes must be a non-empty subset of: ${PARTNER_SCOPES.join(', ')}` });
+    }
+    const graceHours = grace_hours === undefined ? 24 : Number(grace_hours);
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+      return res.status(400).json({ error: 'grace_hours must be a number >= 0' });
+    }
+    if (!(await partnerExists(partnerKey))) {
+      return res.status(404).json({ error: 'Partner not found' });
+    }
+
+    const key = await rotatePartnerKey(partnerKey, { scopes: scopes || null, graceHours });
+    res.status(201).json({ success: true, partner: partnerKey, key });
+  } catch (error) {
+    console.error('rotatePartnerKeys error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// DELETE /api/admin/partners/:partnerKey/keys/:keyId — revoke immediately
+const deletePartnerKey = async (req, res) => {
+  try {
+    const { partnerKey, keyId } = req.params;
+    const revoked = await revokePartnerKey(partnerKey, keyId);
+    if (!revoked) return res.status(404).json({ error: 'Active key not found' });
+
+    res.json({ success: true, partner: partnerKey, key_id: keyId, revoked: true });
+  } catch (error) {
+    console.error('deletePartnerKey error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/partners/:partnerKey/keys/:keyId/signing-secret
+ * Issues the signing secret for a key created before request signing.
+ * The plaintext signing_secret is returned once.
+ */
+const createSigningSecret = async (req, res) => {
+  try {
+    const { partnerKey, keyId } = req.params;
+    const key = await issueSigningSecret(partnerKey, keyId);
+    if (!key) return res.status(409).json({ error: 'Key not found, revoked, or already has a signing secret' });
+
+    res.status(201).json({ success: true, partner: partnerKey, key });
+  } catch (error) {
+    console.error('createSigningSecret error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getPartners,
+  updatePartner,
+  getPartnerKeys,
+  createPartnerKey,
+  rotatePartnerKeys,
+  deletePartnerKey,
+  createSigningSecret,
+};
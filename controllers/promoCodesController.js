@@ -0,0 +1,103 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const {
+  listPromoCodes,
+  precheckPromoCode,
+  createPromoCode,
+  updatePromoCode,
+} = require('../services/promoCodeService');
+
+// Undo a coupon created for a code that was not saved
+async function deleteCoupon(couponId) {
+  try {
+    await stripe.coupons.del(couponId);
+  } catch (err) {
+    console.error(`promo coupon cleanup failed for ${couponId}:`, err);
+  }
+}
+
+/**
+ * GET /api/admin/promo-codes?active=true
+ * Codes, newest first, with their completed redemption counts.
+ */
+const getPromoCodes = async (req, res) => {
+  try {
+    const promoCodes = await listPromoCodes({
+      activeOnly: String(req.query.active || '').toLowerCase() === 'true',
+    });
+    res.json({ success: true, promo_codes: promoCodes });
+  } catch (error) {
+    console.error('getPromoCodes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/promo-codes
+ * Body: { code, percent_off | amount_off_cents, stripe_coupon_id?,
+ *         stripe_promotion_code_id?, description?, max_redemptions?,
+ *         per_user_limit? (default 1), allowed_tiers?, starts_at?, expires_at?, active? }
+ * Without a Stripe id, a one-time coupon for the discount is created in Stripe
+ * once the code checks out, and deleted again if the code cannot be saved.
+ */
+const postPromoCode = async (req, res) => {
+  try {
+    const input = { ...(req.body || {}) };
+    let createdCouponId = null;
+
+    if (!input.stripe_coupon_id && !input.stripe_promotion_code_id) {
+      const check = await precheckPromoCode(input);
+      if (!check.ok) {
+        return res.status(400).json({ error: 'Invalid promo code', details: check.errors });
+      }
+      const { code, percent_off: percentOff, amount_off_cents: amountOffCents } = check.values;
+
+      const coupon = await stripe.coupons.create({
+        name: code,
+        duration: 'once',
+        ...(percentOff != null ? { percent_off: percentOff } : { amount_off: amountOffCents, currency: 'usd' }),
+        metadata: { promo_code: code },
+      });
+      input.stripe_coupon_id = coupon.id;
+      createdCouponId = coupon.id;
+    }
+
+    let result;
+    try {
+      result = await createPromoCode(input);
+    } catch (err) {
+      if (createdCouponId) await deleteCoupon(createdCouponId);
+      throw err;
+    }
+    if (!result.ok) {
+      if (createdCouponId) await deleteCoupon(createdCouponId);
+      return res.status(400).json({ error: 'Invalid promo code', details: result.errors });
+    }
+    res.status(201).json({ success: true, promo_code: result.promo });
+  } catch (error) {
+    console.error('postPromoCode error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PATCH /api/admin/promo-codes/:promoId
+ * Body: any field except code. Set active=false to retire a code; the Stripe
+ * coupon is left as it is.
+ */
+const patchPromoCode = async (req, res) => {
+  try {
+    const result = await updatePromoCode(req.params.promoId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Promo code not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid promo code', details: result.errors });
+    }
+    res.json({ success: true, promo_code: result.promo });
+  } catch (error) {
+    console.error('patchPromoCode error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { getPromoCodes, postPromoCode, patchPromoCode };
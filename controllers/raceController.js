@@ -0,0 +1,158 @@
+const {
+  SEASON_NOT_FOUND,
+  SEASON_NOT_ENDED,
+  publicSeason,
+  getSeason,
+  listSeasons,
+  getLeaderboard,
+  getUserStanding,
+  createSeason,
+  updateSeason,
+  snapshotSeason,
+} = require('../services/raceLeaderboardService');
+
+async function resolveSeason(req, res) {
+  const season = await getSeason(req.query.season || null);
+  if (!season) {
+    res.status(404).json({ error: req.query.season ? 'Season not found' : 'No active season' });
+    return null;
+  }
+  return season;
+}
+
+/* --------------------------- Public routes --------------------------- */
+
+/**
+ * GET /api/race/seasons
+ */
+const getSeasons = async (req, res) => {
+  try {
+    const seasons = await listSeasons();
+    res.json({ success: true, seasons: seasons.map(publicSeason) });
+  } catch (error) {
+    console.error('getSeasons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/race/leaderboard?season=<slug>&limit=10&offset=0
+ * Current season when season is omitted. Names are masked.
+ */
+const getRaceLeaderboard = async (req, res) => {
+  try {
+    const season = await resolveSeason(req, res);
+    if (!season) return;
+
+    const entries = await getLeaderboard(season, { limit: req.query.limit, offset: req.query.offset });
+    res.json({ success: true, season: publicSeason(season), entries });
+  } catch (error) {
+    console.error('getRaceLeaderboard error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/race/leaderboard/me?season=<slug>
+ * The caller's rank and points (rank is null without eligible credits).
+ */
+const getMyRank = async (req, res) => {
+  try {
+    const season = await resolveSeason(req, res);
+    if (!season) return;
+
+    const standing = await getUserStanding(season, req.actingEmail);
+    res.json({ success: true, season: publicSeason(season), ...standing });
+  } catch (error) {
+    console.error('getMyRank error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/* --------------------------- Admin routes --------------------------- */
+
+/**
+ * GET /api/admin/race/seasons
+ * Full season rows (ids, snapshot_at).
+ */
+const getAdminSeasons = async (req, res) => {
+  try {
+    const seasons = await listSeasons();
+    res.json({ success: true, seasons });
+  } catch (error) {
+    console.error('getAdminSeasons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/race/seasons
+ * Body: { slug, name, starts_at, ends_at }
+ */
+const postSeason = async (req, res) => {
+  try {
+    const result = await createSeason(req.body || {});
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid season', details: result.errors });
+    }
+    res.status(201).json({ success: true, season: result.season });
+  } catch (error) {
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'A season with this slug already exists' });
+    }
+    console.error('postSeason error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PATCH /api/admin/race/seasons/:seasonId
+ * Body: any of { slug, name, starts_at, ends_at }. Archived seasons are read-only.
+ */
+const patchSeason = async (req, res) => {
+  try {
+    const result = await updateSeason(req.params.seasonId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid season', details: result.errors });
+    }
+    res.json({ success: true, season: result.season });
+  } catch (error) {
+    console.error('patchSeason error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/race/seasons/:seasonId/snapshot
+ * Freezes an ended season into the archive. Repeating it is a no-op.
+ */
+const postSnapshot = async (req, res) => {
+  try {
+    let rows;
+    try {
+      rows = await snapshotSeason(req.params.seasonId);
+    } catch (err) {
+      if (err?.code === SEASON_NOT_FOUND) return res.status(404).json({ error: 'Season not found' });
+      if (err?.code === SEASON_NOT_ENDED) return res.status(409).json({ error: 'Season has not ended yet' });
+      throw err;
+    }
+
+    res.json({ success: true, season_id: req.params.seasonId, entries_archived: rows });
+  } catch (error) {
+    console.error('postSnapshot error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getSeasons,
+  getRaceLeaderboard,
+  getMyRank,
+  getAdminSeasons,
+  postSeason,
+  patchSeason,
+  postSnapshot,
+};
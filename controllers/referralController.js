@@ -0,0 +1,62 @@
+const { supabase } = require('../config/supabase');
+const { rotateReferralCode, referralLink } = require('../utils/referrals');
+const { getReferralSummary } = require('../services/referralService');
+
+async function currentCode(email) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('referral_code')
+    .eq('email', email)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.referral_code || null;
+}
+
+/**
+ * GET /api/referrals/me
+ * The caller's referral code and share link, referees (masked) with their
+ * qualification status, and credits earned from referral rewards.
+ * code is null until the first purchase generates one.
+ */
+const getMyReferrals = async (req, res) => {
+  try {
+    const email = req.actingEmail;
+    const code = await currentCode(email);
+    const summary = await getReferralSummary(email);
+
+    res.json({
+      success: true,
+      code,
+      link: code ? referralLink(code) : null,
+      ...summary,
+    });
+  } catch (error) {
+    console.error('getMyReferrals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/referrals/me/code
+ * Issues a new code; the old one stops working. Referrals already made
+ * under the old code are unaffected.
+ */
+const regenerateCode = async (req, res) => {
+  try {
+    const email = req.actingEmail;
+    if (!(await currentCode(email))) {
+      return res.status(409).json({ error: 'No referral code yet; one is created after your first purchase' });
+    }
+
+    const code = await rotateReferralCode(supabase, email);
+    res.json({ success: true, code, link: referralLink(code) });
+  } catch (error) {
+    console.error('regenerateCode error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getMyReferrals,
+  regenerateCode,
+};
@@ -0,0 +1,66 @@
+const {
+  listRewardRules,
+  createRewardRule,
+  updateRewardRule,
+} = require('../services/partnerRewardService');
+
+/**
+ * GET /api/admin/reward-rules?partner=careduel&action=visit&active=true
+ * Rules in the order they are matched (highest priority first).
+ */
+const getRewardRules = async (req, res) => {
+  try {
+    const rules = await listRewardRules({
+      partnerKey: req.query.partner || null,
+      action: req.query.action || null,
+      activeOnly: String(req.query.active || '').toLowerCase() === 'true',
+    });
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('getRewardRules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/reward-rules
+ * Body: { partner_key, action?, name, amount, credits_per_usd?, max_credits?,
+ *         cooldown?, cooldown_hours?, lifetime_cap?, required_tiers?, starts_at?,
+ *         ends_at?, priority?, active? }
+ * e.g. a one-week double-credit promo: same partner, amount x2, priority 10, ends_at.
+ * 'checkout' rules pay amount + credits_per_usd per dollar, capped at max_credits.
+ */
+const postRewardRule = async (req, res) => {
+  try {
+    const result = await createRewardRule(req.body || {});
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid reward rule', details: result.errors });
+    }
+    res.status(201).json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('postRewardRule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PATCH /api/admin/reward-rules/:ruleId
+ * Body: any rule field except partner_key and action. Set active=false to retire a rule.
+ */
+const patchRewardRule = async (req, res) => {
+  try {
+    const result = await updateRewardRule(req.params.ruleId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Reward rule not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid reward rule', details: result.errors });
+    }
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('patchRewardRule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { getRewardRules, postRewardRule, patchRewardRule };
@@ -0,0 +1,249 @@
+const {
+  EVENT_NOT_FOUND,
+  EVENT_CONFLICT,
+  EVENT_STATUSES,
+  getSkillEvent,
+  listSkillEvents,
+  createSkillEvent,
+  updateSkillEvent,
+  listEventParticipants,
+  registrationWindow,
+  registerForEvent,
+  unregisterFromEvent,
+  listUserEntries,
+} = require('../services/skillEventService');
+const { processEventRefunds } = require('../services/skillEventScheduler');
+const { errorDetails, isInsufficientCredits } = require('../services/creditLedgerService');
+
+// Map registration errors from the SQL functions to HTTP statuses
+function sendRegistrationError(res, err) {
+  if (isInsufficientCredits(err)) {
+    const { available = null, required = null } = errorDetails(err);
+    return res.status(402).json({ error: 'Insufficient credits', code: 'insufficient_credits', available, required });
+  }
+  if (err?.code === EVENT_NOT_FOUND) {
+    return res.status(404).json({ error: err.message === 'not_registered' ? 'Not registered for this event' : 'Event not found' });
+  }
+  if (err?.code === EVENT_CONFLICT) {
+    return res.status(409).json({ error: err.message, ...errorDetails(err) });
+  }
+  return null;
+}
+
+function publicEvent(event) {
+  return {
+    id: event.id,
+    slug: event.slug,
+    title: event.title,
+    description: event.description,
+    starts_at: event.starts_at,
+    ends_at: event.ends_at,
+    status: event.status,
+    credit_cost: event.credit_cost,
+    registration: registrationWindow(event),
+  };
+}
+
+/* --------------------------- User routes --------------------------- */
+
+/**
+ * GET /api/skill-events
+ * Upcoming scheduled events with their registration windows
+ * (priority_opens_at applies to members with the priority challenge perk).
+ */
+const listEvents = async (req, res) => {
+  try {
+    const events = await listSkillEvents({ status: 'scheduled', upcoming: true, limit: req.query.limit });
+    res.json({ success: true, events: events.map(publicEvent) });
+  } catch (error) {
+    console.error('listEvents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/skill-events/me/entries?include_cancelled=true
+ */
+const getMyEntries = async (req, res) => {
+  try {
+    const entries = await listUserEntries(req.actingEmail, {
+      includeCancelled: req.query.include_cancelled === 'true',
+    });
+    res.json({ success: true, email: req.actingEmail, entries });
+  } catch (error) {
+    console.error('getMyEntries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/skill-events/:eventId/register
+ * Uses one membership entry, or the event's credit cost when none are left.
+ * 402 when credits are short, 409 outside the registration window or when
+ * already registered.
+ */
+const registerEvent = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await registerForEvent(req.params.eventId, req.actingEmail);
+    } catch (err) {
+      if (sendRegistrationError(res, err)) return;
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      event_id: req.params.eventId,
+      entry_source: result.entrySource,
+      credits_spent: result.creditsSpent,
+      entries_available: result.entriesAvailable,
+      balance: result.balance,
+    });
+  } catch (error) {
+    console.error('registerEvent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * DELETE /api/skill-events/:eventId/register
+ * Allowed until unregister_cutoff_hours before the start; returns the entry or credits.
+ */
+const unregisterEvent = async (req, res) => {
+  try {
+    let result;
+    try {
+      result = await unregisterFromEvent(req.params.eventId, req.actingEmail);
+    } catch (err) {
+      if (sendRegistrationError(res, err)) return;
+      throw err;
+    }
+
+    res.json({
+      success: true,
+      event_id: req.params.eventId,
+      entry_source: result.entrySource,
+      credits_refunded: result.creditsRefunded,
+      entries_available: result.entriesAvailable,
+      balance: result.balance,
+    });
+  } catch (error) {
+    console.error('unregisterEvent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/* --------------------------- Admin routes --------------------------- */
+
+/**
+ * GET /api/admin/skill-events?status=scheduled&upcoming=true&limit=
+ */
+const getSkillEvents = async (req, res) => {
+  try {
+    const { status, upcoming, limit } = req.query;
+    if (status && !EVENT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${EVENT_STATUSES.join(', ')}` });
+    }
+
+    const events = await listSkillEvents({ status: status || null, upcoming: upcoming === 'true', limit });
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('getSkillEvents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/skill-events
+ * Body: { slug, title, description?, starts_at, ends_at, registration_opens_at?,
+ *         priority_window_hours?, unregister_cutoff_hours?, credit_cost? }
+ */
+const postSkillEvent = async (req, res) => {
+  try {
+    const result = await createSkillEvent(req.body || {});
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid event', details: result.errors });
+    }
+    res.status(201).json({ success: true, event: result.event });
+  } catch (error) {
+    if (error?.code === '23505') {
+      return res.status(409).json({ error: 'An event with this slug already exists' });
+    }
+    console.error('postSkillEvent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * PATCH /api/admin/skill-events/:eventId
+ * Body: any of the create fields, or status
+ */
+const patchSkillEvent = async (req, res) => {
+  try {
+    const result = await updateSkillEvent(req.params.eventId, req.body || {});
+    if (!result) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid event', details: result.errors });
+    }
+    res.json({ success: true, event: result.event });
+  } catch (error) {
+    console.error('patchSkillEvent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * GET /api/admin/skill-events/:eventId/participants
+ */
+const getParticipants = async (req, res) => {
+  try {
+    const event = await getSkillEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const participants = await listEventParticipants(event.id);
+    res.json({ success: true, event_id: event.id, participants });
+  } catch (error) {
+    console.error('getParticipants error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/skill-events/:eventId/process-refunds
+ * Runs the end-of-event refund for an ended event now instead of waiting
+ * for the scheduler. Safe to repeat; grants are exactly-once.
+ */
+const runRefunds = async (req, res) => {
+  try {
+    const event = await getSkillEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+    if (event.status !== 'scheduled' || new Date(event.ends_at) > new Date()) {
+      return res.status(409).json({ error: 'Refunds run only for scheduled events that have ended' });
+    }
+
+    const result = await processEventRefunds(event);
+    res.json({ success: true, event_id: event.id, ...result });
+  } catch (error) {
+    console.error('runRefunds error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  listEvents,
+  getMyEntries,
+  registerEvent,
+  unregisterEvent,
+  getSkillEvents,
+  postSkillEvent,
+  patchSkillEvent,
+  getParticipants,
+  runRefunds,
+};
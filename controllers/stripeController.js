@@ -3,6 +3,61 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 const { supabase } = require('../config/supabase');
 const { ensureReferralCodeForUser } = require('../utils/referrals');
 const { sendCreditActivityEmail } = require("../services/creditsEmailService");
+const { applyCreditDelta, errorDetails } = require('../services/creditLedgerService');
+const { recordStripeEvent } = require('../services/stripeEventStore');
+const { nudgeStripeEventWorker } = require('../services/stripeEventWorker');
+const { isOwnKycPath } = require('../services/kycDocumentService');
+const { storeUpload } = require('../services/uploadService');
+const {
+  PERK_DEFAULTS,
+  ACCESS_FIELDS,
+  listTiers,
+  getTier,
+  getLimitedPass,
+  listPlans,
+  getPlan,
+  listCreditPacks,
+  getCreditPack,
+  stripePriceFor,
+} = require('../services/tierCatalogService');
+const { qualifyReferralOnPurchase } = require('../services/referralService');
+const { autoUpgradeIfEligible } = require('../services/autoUpgradeService');
+const {
+  passPriceFor,
+  listActivePasses,
+  recordPass,
+  upgradeQuote,
+  tierUpgradeQuote,
+  markPassesUpgraded,
+  listSessionUpgradedPassIds,
+  reverseSessionPasses,
+  restoreSessionPasses,
+} = require('../services/upgradeService');
+const {
+  getPartner,
+  listPartners,
+  listPartnerAccess,
+  grantPartnerAccess,
+  grantAllPartnerAccess,
+  revokePartnerAccess,
+} = require('../services/partnerRegistryService');
+const {
+  getLiveSubscription,
+  getStripeCustomerId,
+  syncSubscription,
+  recordInvoice,
+  grantDueAllowances,
+} = require('../services/subscriptionService');
+const {
+  PROMO_NOT_FOUND,
+  PROMO_UNAVAILABLE,
+  reservePromoCode,
+  promoDiscounts,
+  attachPromoSession,
+  releasePromoRedemption,
+  completePromoRedemption,
+  stampLedgerDiscount,
+} = require('../services/promoCodeService');
 
 /* --------------------------------- Helpers -------------------------------- */
 
@@ -38,88 +93,53 @@ async function ensureUser(emailRaw) {
   return data;
 }
 
-// Update user credits
-async function bumpUserCredits(emailRaw, deltaCredits) {
+// Update user spend; with `key` (the Stripe source) it is counted once, so
+// a retried event does not add the same payment again
+async function bumpUserSpend(emailRaw, deltaUsd, { key = null } = {}) {
   const email = normEmail(emailRaw);
-  await ensureUser(email);
-  const { data: curr } = await supabase
-    .from('users')
-    .select('total_credits, total_spent')
-    .eq('email', email)
-    .maybeSingle();
-
-  const newTotal = (curr?.total_credits || 0) + Number(deltaCredits || 0);
-  const { error: updErr } = await supabase
-    .from('users')
-    .update({ total_credits: newTotal, updated_at: new Date().toISOString() })
-    .eq('email', email);
-  if (updErr) console.error('update user credits error:', updErr);
-
-  console.log('DEBUG: Credits updated for', email, 'new total:', newTotal);
-  return { newTotal, total_spent: curr?.total_spent || 0 };
-}
-
-// Update user spend
-async function bumpUserSpend(emailRaw, deltaUsd) {
-  const email = normEmail(emailRaw);
-  await ensureUser(email);
-  const { data: curr } = await supabase
-    .from('users')
-    .select('total_spent')
-    .eq('email', email)
+  const { data, error } = await supabase
+    .rpc('apply_spend_delta', { p_email: email, p_delta: Number(deltaUsd || 0), p_key: key })
     .single();
 
-  const newSpent = Number(curr?.total_spent || 0) + Number(deltaUsd || 0);
-
-  const { error: updErr } = await supabase
-    .from('users')
-    .update({
-      total_spent: newSpent,
-      updated_at: new Date().toISOString()
-    })
-    .eq('email', email);
-
-  if (updErr) console.error('update user spend error:', updErr);
-  return { newSpent };
+  if (error) throw error;
+  return { newSpent: Number(data?.total_spent || 0), applied: Boolean(data?.applied) };
 }
 
 /* ------------------------------ File Upload ------------------------------ */
+// Stores a KYC document in the private bucket and returns its object path.
+// Accepts base64 data URLs, or a path previously returned by /api/upload for this user.
 async function uploadFile(fileData, fileName, email) {
   try {
-    // Check if fileData is a URL (already uploaded) or needs upload
+    if (isOwnKycPath(email, fileData)) {
+      return fileData; // Already uploaded to the private bucket
+    }
+
     if (fileData.startsWith('http')) {
-      return fileData; // Already a URL, return as-is
+      throw new Error('Public document URLs are no longer accepted. Upload via /api/upload and pass the returned path.');
     }
 
-    // Handle base64 file data
+    // Handle base64 file data (the declared MIME type is ignored; the upload
+    // service sniffs the real type and strips image metadata)
     if (fileData.startsWith('data:')) {
       const matches = fileData.match(/^data:([A-Za-z-+\/]+);base64,(.+)$/);
       if (!matches || matches.length !== 3) {
         throw new Error('Invalid base64 file data');
       }
-      
-      const buffer = Buffer.from(matches[2], 'base64');
-      const fileExtension = matches[1].split('/')[1] || 'jpg';
-      const filePath = `kyc-docs/${email}/${Date.now()}-${fileName}.${fileExtension}`;
-      
-      const { data, error } = await supabase.storage
-        .from('kyc-documents')
-        .upload(filePath, buffer, {
-          contentType: matches[1],
-          upsert: false
-        });
 
-      if (error) throw error;
-
-      // Get public URL
-      const { data: { publicUrl } } = supabase.storage
-        .from('kyc-documents')
-        .getPublicUrl(filePath);
+      const stored = await storeUpload({
+        email,
+        folder: 'kyc',
+        buffer: Buffer.from(matches[2], 'base64'),
+        originalName: fileName,
+      });
 
-      return publicUrl;
+      if (!stored.ok) {
+        throw new Error(stored.reasons.map(r => r.message).join('; '));
+      }
+      return stored.path;
     } else {
       // Handle binary file data or other formats
-      throw new Error('Unsupported file format. Please use base64 or URL.');
+      throw new Error('Unsupported file format. Please use base64 or an uploaded document path.');
     }
   } catch (error) {
     console.error('File upload error:', error);
@@ -136,9 +156,9 @@ async function applyAgeDiscount(email, ageRange, files) {
         throw new Error('Government ID, live selfie, and social media link are required for age verification');
       }
 
-      // Upload files and get URLs
-      const idDocUrl = await uploadFile(files.id_doc_url, 'government_id', email);
-      const selfieUrl = await uploadFile(files.selfie_url, 'live_selfie', email);
+      // Upload files and get private storage paths
+      const idDocPath = await uploadFile(files.id_doc_url, 'government_id', email);
+      const selfiePath = await uploadFile(files.selfie_url, 'live_selfie', email);
       const socialUrl = files.social_url; // Store as text link
 
       // Store KYC info in database
@@ -146,8 +166,8 @@ async function applyAgeDiscount(email, ageRange, files) {
         .from('users')
         .update({
           kyc_status: "pending",
-          id_doc_url: idDocUrl,
-          selfie_url: selfieUrl,
+          id_doc_url: idDocPath,
+          selfie_url: selfiePath,
           social_url: socialUrl,
           age_range: ageRange,
           age_verified: false, // Manual verification required
@@ -168,10 +188,109 @@ async function applyAgeDiscount(email, ageRange, files) {
   }
 }
 
+/* --------------------------- Referral qualification --------------------------- */
+
+// Stripe customer + card fingerprint of a paid session (for self-referral checks)
+async function paymentIdentity(session) {
+  const customerId = typeof session?.customer === 'string' ? session.customer : session?.customer?.id || null;
+  const paymentIntentId = typeof session?.payment_intent === 'string' ? session.payment_intent : session?.payment_intent?.id;
+
+  let cardFingerprint = null;
+  if (paymentIntentId) {
+    try {
+      const pi = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['payment_method'] });
+      cardFingerprint = pi?.payment_method?.card?.fingerprint || null;
+    } catch (e) {
+      console.error('paymentIdentity lookup failed:', e?.message || e);
+    }
+  }
+
+  return { customerId, cardFingerprint };
+}
+
+// Pays pending referral rewards on a qualifying purchase; never fails the payment
+async function settleReferralForPurchase(email, session, usd) {
+  try {
+    const result = await qualifyReferralOnPurchase({
+      email,
+      sessionId: session?.id,
+      amountUsd: usd,
+      ...(await paymentIdentity(session)),
+    });
+    if (result.reason !== 'no_pending_referral') {
+      console.log(' Referral result for', email, result);
+    }
+  } catch (e) {
+    console.error('Referral qualification failed:', e?.message || e);
+  }
+}
+
+/* ------------------------------- Promo Codes ------------------------------- */
+
+// Holds a promo redemption for a membership checkout.
+// Returns { reservation } (null without a code) or { error, details } for a 400.
+async function reserveCheckoutPromo(promoCode, { email, tierKey, mode }) {
+  if (!promoCode) return { reservation: null };
+  try {
+    return { reservation: await reservePromoCode({ code: promoCode, email, tierKey, mode }) };
+  } catch (err) {
+    if (err?.code === PROMO_NOT_FOUND) return { error: 'Invalid promo code' };
+    if (err?.code === PROMO_UNAVAILABLE) {
+      return { error: 'Promo code cannot be used', details: { code: err.message, ...errorDetails(err) } };
+    }
+    throw err;
+  }
+}
+
+// Creates the Checkout session with the reserved promo applied; the hold is
+// released if Stripe refuses the session.
+async function createPromoCheckoutSession(params, reservation) {
+  if (!reservation) return stripe.checkout.sessions.create(params);
+
+  let session;
+  try {
+    session = await stripe.checkout.sessions.create({
+      ...params,
+      discounts: promoDiscounts(reservation),
+      metadata: { ...params.metadata, promo_code: reservation.code, promo_redemption_id: reservation.redemption_id },
+    });
+  } catch (err) {
+    try {
+      await releasePromoRedemption(reservation.redemption_id);
+    } catch (e) {
+      console.error('Promo hold release failed:', e?.message || e);
+    }
+    throw err;
+  }
+
+  // Fulfilment finds the redemption from metadata; this link is for lookups
+  try {
+    await attachPromoSession(reservation.redemption_id, session.id);
+  } catch (e) {
+    console.error('Promo session link failed:', e?.message || e);
+  }
+  return session;
+}
+
+// Count the session's promo redemption (if any) once its purchase is fulfilled
+async function completeSessionPromo(session) {
+  if (!session?.metadata?.promo_redemption_id) return null;
+  return completePromoRedemption(session.metadata.promo_redemption_id, {
+    stripeSessionId: session.id,
+    discountCents: Number(session.total_details?.amount_discount || 0),
+  });
+}
+
 /* --------------------------- Create Checkout Session --------------------------- */
+/**
+ * POST /api/stripe/create-checkout-session
+ * Body: { tier, mode?, partnerKey?, passAmount?, pack?, promoCode?, successUrl, cancelUrl, ageRange?, files? }
+ * Checkout for the signed-in user (or the account an admin/bridge caller names).
+ */
 const createCheckoutSession = async (req, res) => {
   try {
-    const { email, tier, mode, partnerKey, passAmount, successUrl, cancelUrl, ageRange, files } = req.body || {};
+    const { tier, mode, partnerKey, passAmount, pack, promoCode, successUrl, cancelUrl, ageRange, files } = req.body || {};
+    const email = req.actingEmail;
 
     // Validate email
     if (!email || typeof email !== 'string' || !email.includes('@')) {
@@ -179,7 +298,13 @@ const createCheckoutSession = async (req, res) => {
     }
 
     const effectiveMode = mode || 'lifetime'; // backward compatible
+
+    if (promoCode && ['limited_pass', 'credit_pack'].includes(effectiveMode)) {
+      return res.status(400).json({ error: 'Promo codes apply to memberships only' });
+    }
+
     let finalPriceId;
+    let priceData = null;
     let productType = 'crowbar_master';
 
     // Default metadata
@@ -190,28 +315,36 @@ const createCheckoutSession = async (req, res) => {
       age_range: ageRange || 'Not provided'
     };
 
-    // -------------------- NEW MODE: LIMITED PASS (7/9/12) --------------------
+    // -------------------- NEW MODE: LIMITED PASS --------------------
     if (effectiveMode === 'limited_pass') {
       if (!partnerKey) {
         return res.status(400).json({ error: 'partnerKey is required for limited_pass' });
       }
 
-      const allowedPartners = ['talentkonnect', 'careduel', 'ecoworldbuy'];
-    if (!allowedPartners.includes(partnerKey)) {
-      return res.status(400).json({ error: 'Invalid partnerKey. Must be talentkonnect, careduel, or ecoworldbuy' });
-    }
-      const amt = Number(passAmount);
-      if (amt !== 7) {
-        return res.status(400).json({ error: 'Only $7 ACCESS PASS is allowed' });
+      const partner = await getPartner(partnerKey);
+      if (!partner || !partner.access_enabled) {
+        return res.status(400).json({ error: `Invalid partnerKey: ${partnerKey}` });
+      }
+      const price = await passPriceFor(partner);
+      if (!price) {
+        return res.status(400).json({ error: 'Limited pass is not available' });
       }
+      const priceUsd = price.priceCents / 100;
 
-      const passPriceMap = {
-        7: process.env.STRIPE_PRICE_ACCESS_7
-      };
+      // passAmount is optional; if sent it must match this partner's pass price
+      const amt = passAmount == null ? priceUsd : Number(passAmount);
+      if (amt !== priceUsd) {
+        return res.status(400).json({ error: `Only $${priceUsd} ACCESS PASS is allowed for ${partner.display_name}` });
+      }
 
-      finalPriceId = passPriceMap[amt];
+      // No Stripe price configured for this amount: charge it inline
+      finalPriceId = price.stripePriceId;
       if (!finalPriceId) {
-        return res.status(400).json({ error: `Stripe price not configured for passAmount=${amt}` });
+        priceData = {
+          currency: 'usd',
+          product_data: { name: `${partner.display_name} Access Pass` },
+          unit_amount: price.priceCents,
+        };
       }
 
       sessionMetadata = {
@@ -220,17 +353,17 @@ const createCheckoutSession = async (req, res) => {
         payment_type: 'limited_pass',
         partner_key: partnerKey,
         limited_paid_amount: String(amt),
-        upgrade_target_amount: '49',
       };
     }
 
     // -------------------- NEW MODE: BALANCE UPGRADE --------------------
+    // Upgrade to `tier` (default: the limited pass target) crediting active passes
     else if (effectiveMode === 'balance_upgrade') {
   const normalizedEmail = normEmail(email);
 
   const { data: user, error } = await supabase
     .from('users')
-    .select('access_mode, limited_paid_amount')
+    .select('access_mode')
     .eq('email', normalizedEmail)
     .maybeSingle();
 
@@ -240,37 +373,44 @@ const createCheckoutSession = async (req, res) => {
     return res.status(400).json({ error: 'Balance upgrade allowed only for limited users' });
   }
 
-  const paidTotal = Number(user.limited_paid_amount || 0);
-
-  if (!Number.isFinite(paidTotal) || paidTotal <= 0 || paidTotal >= 49) {
-    return res.status(400).json({ error: `Invalid limited_paid_amount (${paidTotal}). Expected 1..48.` });
+  const quote = await upgradeQuote(normalizedEmail, tier);
+  if (!quote.ok) {
+    return res.status(400).json({ error: quote.error });
   }
 
-  const balance = 49 - paidTotal; // e.g., 49 - 14 = 35
+  const balance = quote.balanceCents / 100;
+  const targetUsd = quote.tier.price_usd;
+
+  const promo = await reserveCheckoutPromo(promoCode, { email: normalizedEmail, tierKey: quote.tier.key, mode: effectiveMode });
+  if (promo.error) {
+    return res.status(400).json({ error: promo.error, ...(promo.details && { details: promo.details }) });
+  }
 
   // Metadata for webhook
   sessionMetadata = {
-    user_email: normEmail(email),
+    user_email: normalizedEmail,
     product_type: productType,
     payment_type: 'balance_upgrade',
     upgrade_balance_amount: String(balance),
-    upgrade_target_amount: '49',
+    upgrade_target_amount: String(targetUsd),
+    upgrade_credit_cents: String(quote.creditCents),
+    membership_tier: quote.tier.key,
   };
 
   // Create Stripe session with dynamic amount (no Stripe Price IDs needed)
-  const session = await stripe.checkout.sessions.create({
+  const session = await createPromoCheckoutSession({
     mode: 'payment',
     payment_method_types: ['card'],
-    customer_email: normEmail(email),
+    customer_email: normalizedEmail,
     line_items: [
       {
         price_data: {
           currency: 'usd',
           product_data: {
-            name: 'Crowbar Balance Upgrade',
-            description: `Upgrade balance payment ($${balance}) to reach $49 full access`,
+            name: `Crowbar Balance Upgrade - ${quote.tier.name}`,
+            description: `Upgrade balance payment ($${balance}) to reach $${targetUsd} ${quote.tier.name}`,
           },
-          unit_amount: Math.round(balance * 100), // cents
+          unit_amount: quote.balanceCents,
         },
         quantity: 1,
       },
@@ -283,28 +423,205 @@ const createCheckoutSession = async (req, res) => {
       `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-cancel`,
     metadata: sessionMetadata,
     expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
-  });
+  }, promo.reservation);
 
   return res.json({
     success: true,
     sessionId: session.id,
     url: session.url,
-    tier: null,
+    tier: quote.tier.key,
     mode: effectiveMode,
+    upgrade_credit_amount: quote.creditCents / 100,
     upgrade_balance_amount: balance,
+    promo_code: promo.reservation?.code || null,
   });
 }
 
 
+    // -------------------- NEW MODE: TIER UPGRADE --------------------
+    // Member moves up to `tier`, paying the difference from what they already paid
+    else if (effectiveMode === 'tier_upgrade') {
+      const normalizedEmail = normEmail(email);
+
+      const quote = await tierUpgradeQuote(normalizedEmail, tier);
+      if (!quote.ok) {
+        return res.status(400).json({ error: quote.error });
+      }
+
+      const balance = quote.balanceCents / 100;
+
+      const promo = await reserveCheckoutPromo(promoCode, { email: normalizedEmail, tierKey: quote.tier.key, mode: effectiveMode });
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error, ...(promo.details && { details: promo.details }) });
+      }
+
+      sessionMetadata = {
+        user_email: normalizedEmail,
+        product_type: productType,
+        payment_type: 'tier_upgrade',
+        membership_tier: quote.tier.key,
+        upgrade_from_tier: quote.fromTier.key,
+        upgrade_paid_cents: String(quote.paidCents),
+        upgrade_balance_amount: String(balance),
+      };
+
+      const session = await createPromoCheckoutSession({
+        mode: 'payment',
+        payment_method_types: ['card'],
+        customer_email: normalizedEmail,
+        line_items: [
+          {
+            price_data: {
+              currency: 'usd',
+              product_data: {
+                name: `Crowbar Upgrade - ${quote.fromTier.name} to ${quote.tier.name}`,
+                description: `$${quote.tier.price_usd} ${quote.tier.name} less $${quote.paidCents / 100} already paid`,
+              },
+              unit_amount: quote.balanceCents,
+            },
+            quantity: 1,
+          },
+        ],
+        success_url:
+          successUrl ||
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url:
+          cancelUrl ||
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-cancel`,
+        metadata: sessionMetadata,
+        expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+      }, promo.reservation);
+
+      return res.json({
+        success: true,
+        sessionId: session.id,
+        url: session.url,
+        tier: quote.tier.key,
+        mode: effectiveMode,
+        upgrade_from_tier: quote.fromTier.key,
+        upgrade_balance_amount: balance,
+        promo_code: promo.reservation?.code || null,
+      });
+    }
+
+    // -------------------- NEW MODE: CREDIT PACK --------------------
+    // One-off credit top-up from the catalog's credit packs
+    else if (effectiveMode === 'credit_pack') {
+      const creditPack = pack ? await getCreditPack(pack) : null;
+      if (!creditPack) {
+        const validPacks = (await listCreditPacks()).map(p => p.key);
+        return res.status(400).json({ error: `Valid pack is required: ${validPacks.join(', ')}` });
+      }
+
+      // No Stripe price configured for this pack: charge it inline
+      finalPriceId = stripePriceFor(creditPack);
+      if (!finalPriceId) {
+        priceData = {
+          currency: 'usd',
+          product_data: { name: `Crowbar ${creditPack.name}` },
+          unit_amount: creditPack.price_cents,
+        };
+      }
+
+      sessionMetadata = {
+        user_email: normEmail(email),
+        product_type: productType,
+        payment_type: 'credit_pack',
+        credit_pack: creditPack.key,
+        pack_credits: String(creditPack.credits),
+      };
+    }
+
+    // -------------------- NEW MODE: SUBSCRIPTION --------------------
+    // Monthly/annual plan billed by Stripe; access and credit allowances follow
+    // the subscription (see services/subscriptionService)
+    else if (effectiveMode === 'subscription') {
+      const normalizedEmail = normEmail(email);
+      const { plan: planKey } = req.body;
+
+      const plan = planKey ? await getPlan(planKey) : null;
+      if (!plan) {
+        const validPlans = (await listPlans()).map(p => p.key);
+        return res.status(400).json({ error: `Valid plan is required: ${validPlans.join(', ')}` });
+      }
+
+      const planTier = await getTier(plan.tier_key);
+      if (!planTier || planTier.requires_age_verification) {
+        return res.status(400).json({ error: `Plan ${plan.key} is not available` });
+      }
+
+      if (await getLiveSubscription(normalizedEmail)) {
+        return res.status(400).json({ error: 'You already have a subscription; manage it from the billing portal' });
+      }
+
+      const promo = await reserveCheckoutPromo(promoCode, { email: normalizedEmail, tierKey: plan.tier_key, mode: effectiveMode });
+      if (promo.error) {
+        return res.status(400).json({ error: promo.error, ...(promo.details && { details: promo.details }) });
+      }
+
+      const planPriceId = stripePriceFor(plan);
+      const customerId = await getStripeCustomerId(normalizedEmail);
+
+      sessionMetadata = {
+        user_email: normalizedEmail,
+        product_type: productType,
+        payment_type: 'subscription',
+        membership_tier: plan.tier_key,
+        plan_key: plan.key,
+      };
+
+      const session = await createPromoCheckoutSession({
+        mode: 'subscription',
+        payment_method_types: ['card'],
+        ...(customerId ? { customer: customerId } : { customer_email: normalizedEmail }),
+        line_items: [
+          planPriceId
+            ? { price: planPriceId, quantity: 1 }
+            : {
+                price_data: {
+                  currency: 'usd',
+                  product_data: { name: `Crowbar ${plan.name}` },
+                  unit_amount: plan.price_cents,
+                  recurring: { interval: plan.interval },
+                },
+                quantity: 1,
+              },
+        ],
+        // Billing webhooks only see the subscription, so it carries the user and plan
+        subscription_data: {
+          metadata: { user_email: normalizedEmail, plan_key: plan.key },
+        },
+        success_url:
+          successUrl ||
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url:
+          cancelUrl ||
+          `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-cancel`,
+        metadata: sessionMetadata,
+        expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
+      }, promo.reservation);
+
+      return res.json({
+        success: true,
+        sessionId: session.id,
+        url: session.url,
+        plan: plan.key,
+        tier: plan.tier_key,
+        mode: effectiveMode,
+        promo_code: promo.reservation?.code || null,
+      });
+    }
+
     // -------------------- EXISTING FLOW: LIFETIME MEMBERSHIP --------------------
     else {
       // Validate tier ONLY for lifetime purchases
-      const validTiers = ['discount19', 'basic', 'pro', 'elite'];
-      if (!tier || !validTiers.includes(tier)) {
-        return res.status(400).json({ error: 'Valid tier is required: discount19, basic, pro, or elite' });
+      const tierEntry = tier ? await getTier(tier) : null;
+      if (!tierEntry) {
+        const validTiers = (await listTiers()).map(t => t.key);
+        return res.status(400).json({ error: `Valid tier is required: ${validTiers.join(', ')}` });
       }
 
-      if (tier === 'discount19') {
+      if (tierEntry.requires_age_verification) {
         if (ageRange === 'pre_verified') {
           const user = await supabase
             .from('users')
@@ -313,8 +630,8 @@ const createCheckoutSession = async (req, res) => {
             .single();
 
           if (user.data?.age_verified && user.data?.kyc_status === 'approved') {
-            finalPriceId = process.env.STRIPE_PRICE_DISCOUNT_19;
-            console.log(`Pre-verified user ${email} accessing discount tier, using $19 price`);
+            finalPriceId = stripePriceFor(tierEntry);
+            console.log(`Pre-verified user ${email} accessing discount tier, using $${tierEntry.price_usd} price`);
           } else {
             return res.status(400).json({ error: 'User not eligible for discount tier' });
           }
@@ -334,23 +651,17 @@ const createCheckoutSession = async (req, res) => {
           }
 
           if (discountApplied) {
-            finalPriceId = process.env.STRIPE_PRICE_DISCOUNT_19;
-            console.log(`Discount tier selected for ${email}, using $19 price`);
+            finalPriceId = stripePriceFor(tierEntry);
+            console.log(`Discount tier selected for ${email}, using $${tierEntry.price_usd} price`);
           } else {
             return res.status(400).json({ error: 'Not eligible for discount tier' });
           }
         }
       } else {
-        const priceMap = {
-          basic: process.env.STRIPE_PRICE_BASIC_49,
-          pro: process.env.STRIPE_PRICE_PRO_99,
-          elite: process.env.STRIPE_PRICE_ELITE_499
-        };
-
-        finalPriceId = priceMap[tier];
-       if (!finalPriceId) {
-        return res.status(400).json({ error: `Stripe price not configured for tier=${tier}` });
-      }
+        finalPriceId = stripePriceFor(tierEntry);
+        if (!finalPriceId) {
+          return res.status(400).json({ error: `Stripe price not configured for tier=${tier}` });
+        }
       }
 
       sessionMetadata = {
@@ -361,10 +672,16 @@ const createCheckoutSession = async (req, res) => {
         payment_type: 'lifetime_purchase'
       };
         }
-    if (!finalPriceId) {
+    if (!finalPriceId && !priceData) {
       return res.status(400).json({ error: 'Stripe priceId missing. Check server env configuration.' });
     }
 
+    // Only lifetime purchases reach here with a code (passes and packs were refused above)
+    const promo = await reserveCheckoutPromo(promoCode, { email: normEmail(email), tierKey: tier, mode: effectiveMode });
+    if (promo.error) {
+      return res.status(400).json({ error: promo.error, ...(promo.details && { details: promo.details }) });
+    }
+
 
     console.log('DEBUG Stripe checkout', {
   email,
@@ -373,16 +690,16 @@ const createCheckoutSession = async (req, res) => {
   finalPriceId,
 });
     // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
+    const session = await createPromoCheckoutSession({
       payment_method_types: ['card'],
-      line_items: [{ price: finalPriceId, quantity: 1 }],
+      line_items: [finalPriceId ? { price: finalPriceId, quantity: 1 } : { price_data: priceData, quantity: 1 }],
       mode: 'payment',
       success_url: successUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: cancelUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/payment-cancel`,
       customer_email: normEmail(email),
       metadata: sessionMetadata,
       expires_at: Math.floor(Date.now() / 1000) + 30 * 60,
-    });
+    }, promo.reservation);
 
     console.log(`Checkout session created for ${email}, Mode: ${effectiveMode}, Tier: ${tier || 'N/A'}, Session ID: ${session.id}`);
 
@@ -390,9 +707,10 @@ const createCheckoutSession = async (req, res) => {
       success: true,
       sessionId: session.id,
       url: session.url,
-      priceId: finalPriceId,
+      priceId: finalPriceId || null,
       tier: tier || null,
-      mode: effectiveMode
+      mode: effectiveMode,
+      promo_code: promo.reservation?.code || null
     });
 
   } catch (error) {
@@ -422,6 +740,15 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
     const sessionId = session?.id;
     const amountCents = Number.isFinite(session?.amount_total) ? session.amount_total : 0;
     const usd = amountCents / 100;
+    // Before any promo discount: what the price checks compare against
+    const listCents = Number.isFinite(session?.amount_subtotal) ? session.amount_subtotal : amountCents;
+    // A charge matches a quote when the list price is the quote and the only
+    // discount is the one our promo reservation put on the session
+    const discountCents = Number(session?.total_details?.amount_discount || 0);
+    const chargeMatches = (expectedCents) =>
+      listCents === expectedCents &&
+      amountCents === listCents - discountCents &&
+      (discountCents === 0 || Boolean(session?.metadata?.promo_redemption_id));
 
     // NEW: payment type (does NOT affect old flows)
     const paymentType = session?.metadata?.payment_type || 'lifetime_purchase';
@@ -453,6 +780,9 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
       console.log('👤 User current state:', user);
 
+      // Fulfilled by an earlier attempt that may have stopped before this
+      await completeSessionPromo(session);
+
       return { success: true, alreadyProcessed: true, existingLedgerId: existingLedgerRecord.id };
     }
 
@@ -464,53 +794,20 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
       const paidAmount = Number(session?.metadata?.limited_paid_amount || 0);
 
       if (!partnerKey) return { success: false, error: 'Missing partner_key in metadata' };
-      if (paidAmount !== 7)
+      if (!(paidAmount > 0) || Math.round(paidAmount * 100) !== amountCents)
       return { success: false, error: 'Invalid limited pass amount' };
 
-
       const nowIso = new Date().toISOString();
       await ensureUser(email);
 
-      // read current user state so we can ADD instead of overwrite
-      const { data: existing, error: readErr } = await supabase
-        .from('users')
-        .select(
-          'limited_partner, limited_paid_amount, access_talentkonnect, access_careduel, access_ecoworldbuy, access_mode'
-        )
-        .eq('email', email)
-        .maybeSingle();
-
-      if (readErr) console.error('limited_pass read user error:', readErr);
-
-      const prevTotalPaid = Number(existing?.limited_paid_amount || 0);
-      const newTotalPaid = prevTotalPaid + paidAmount;
-
-      // upgrade balance based on TOTAL 
-      const upgradeBalance = Math.max(49 - newTotalPaid, 0);
-
-      // store multiple partners in CSV (no DB change needed)
-      const prevPartners = String(existing?.limited_partner || '').trim();
-      const prevList = prevPartners ? prevPartners.split(',').map(s => s.trim()).filter(Boolean) : [];
-      const merged = Array.from(new Set([...prevList, partnerKey]));
-      const mergedCsv = merged.join(',');
-
-      const accessTalent = Boolean(existing?.access_talentkonnect) || partnerKey === 'talentkonnect';
-      const accessCare = Boolean(existing?.access_careduel) || partnerKey === 'careduel';
-      const accessEco = Boolean(existing?.access_ecoworldbuy) || partnerKey === 'ecoworldbuy';
+      await recordPass({ email, partnerKey, amountCents, stripeSessionId: sessionId });
 
       const userUpdateLimited = {
         email,
         access_mode: 'limited',
-        limited_partner: mergedCsv,
-        limited_paid_amount: newTotalPaid,      // now total
-        upgrade_balance_amount: upgradeBalance, // remaining
         crowbar_access: true,
         full_access: false,
         updated_at: nowIso,
-
-        access_talentkonnect: accessTalent,
-        access_careduel: accessCare,
-        access_ecoworldbuy: accessEco,
       };
 
       const { error: userError } = await supabase
@@ -519,25 +816,29 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
       if (userError) throw userError;
 
-      await bumpUserSpend(email, usd);
+      // Paid so far and what is left to the default upgrade target
+      const passes = await listActivePasses(email);
+      const newTotalPaid = passes.reduce((sum, p) => sum + p.amount_cents, 0) / 100;
+      const quote = await upgradeQuote(email, null);
+      const upgradeBalance = quote.ok ? quote.balanceCents / 100 : 0;
 
-      // ledger delta=0
-      const ledgerData = {
-        email,
-        stripe_session_id: sessionId,
-        amount_usd: usd,
-        delta: 0,
-        reason: `payment.limited_pass_${partnerKey}_${paidAmount}`,
-        origin_site: 'stripe_payment',
-        stripe_event_id: sourceEventId,
-        created_at: nowIso
-      };
+      await grantPartnerAccess(email, partnerKey, 'limited_pass', { stripeSessionId: sessionId });
 
-      const { error: ledgerError } = await supabase
-        .from('credits_ledger')
-        .insert(ledgerData);
+      await bumpUserSpend(email, usd, { key: `checkout:${sessionId}` });
 
-      if (ledgerError) {
+      // ledger delta=0
+      let limitedLedger = null;
+      try {
+        limitedLedger = await applyCreditDelta({
+          email,
+          delta: 0,
+          reason: `payment.limited_pass_${partnerKey}_${paidAmount}`,
+          originSite: 'stripe_payment',
+          stripeSessionId: sessionId,
+          stripeEventId: sourceEventId,
+          amountUsd: usd,
+        });
+      } catch (ledgerError) {
         console.error(' LIMITED PASS credits_ledger insert FAILED:', ledgerError);
         if (ledgerError.code !== '23505') throw ledgerError;
       }
@@ -559,6 +860,8 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
       try { await ensureReferralCodeForUser(supabase, email); } catch {}
 
+      await settleReferralForPurchase(email, session, usd);
+
       // Send email for LIMITED PASS purchase (delta credits = 0)
       try {
         const userName = await getUserName(email);
@@ -580,7 +883,7 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
           amountUsd: usd,
           originSite: "stripe_payment",
           occurredAt: nowIso,
-          ledgerId: null,
+          ledgerId: limitedLedger?.ledgerId ?? null,
           stripeEventId: sourceEventId,
           stripeSessionId: sessionId,
         });
@@ -599,18 +902,121 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
       };
     }
 
+    // =========================
+    // NEW FLOW D: CREDIT PACK
+    // =========================
+    if (paymentType === 'credit_pack') {
+      // The pack as sold; the catalog row may have changed since
+      const packCredits = Number(session?.metadata?.pack_credits || 0);
+      if (!Number.isInteger(packCredits) || packCredits <= 0) {
+        return { success: false, error: 'Invalid credit pack in metadata' };
+      }
+
+      const nowIso = new Date().toISOString();
+      const reason = `credit_pack_${packCredits}`;
+
+      await ensureUser(email);
+
+      let packLedger;
+      try {
+        packLedger = await applyCreditDelta({
+          email,
+          delta: packCredits,
+          reason,
+          originSite: 'stripe_payment',
+          stripeSessionId: sessionId,
+          stripeEventId: sourceEventId,
+          amountUsd: usd,
+        });
+      } catch (ledgerError) {
+        // Same event already credited by a concurrent delivery
+        if (ledgerError.code === '23505') return { success: true, alreadyProcessed: true };
+        console.error(' CREDIT PACK credits_ledger insert FAILED:', ledgerError);
+        throw ledgerError;
+      }
+
+      const creditedAmount = packLedger.baseDelta + packLedger.bonusDelta;
+      await bumpUserSpend(email, usd, { key: `checkout:${sessionId}` });
+
+      const { error: creditsError } = await supabase.from('credits').insert({
+        email,
+        amount: creditedAmount,
+        origin_site: 'stripe_payment',
+        stripe_event_id: sourceEventId,
+        stripe_session_id: sessionId,
+        eligible_global_race: true,
+        legal_accept: true,
+        created_at: nowIso
+      });
+      if (creditsError) console.error(' CREDIT PACK credits insert FAILED:', creditsError);
+
+      // Top-ups count toward the $99 spend auto-upgrade
+      await autoUpgradeIfEligible(email, { originSite: 'stripe_auto_upgrade' });
+
+      try { await ensureReferralCodeForUser(supabase, email); } catch {}
+
+      await settleReferralForPurchase(email, session, usd);
+
+      try {
+        await sendCreditActivityEmail({
+          email,
+          userName: await getUserName(email),
+          reason,
+          delta: creditedAmount,
+          newBalance: packLedger.balance,
+          amountUsd: usd,
+          originSite: "stripe_payment",
+          occurredAt: nowIso,
+          ledgerId: packLedger.ledgerId,
+          stripeEventId: sourceEventId,
+          stripeSessionId: sessionId,
+        });
+      } catch (e) {
+        console.error("Credit pack email failed:", e?.message || e);
+      }
+
+      return {
+        success: true,
+        paymentType,
+        email,
+        pack: session?.metadata?.credit_pack || null,
+        deltaCredits: creditedAmount,
+        ledgerId: packLedger.ledgerId
+      };
+    }
+
     // =================================
     // NEW FLOW B: BALANCE UPGRADE
     // =================================
     let tier = session?.metadata?.membership_tier || 'basic';
 
-    if (paymentType === 'balance_upgrade') {
-      // Force to basic so we use the same membership logic
-      tier = 'basic';
+    let upgradePassIds = [];
+    let upgradeFrom = null;
+    // Discounts don't reduce what counts toward a later upgrade
+    let membershipPaidCents = listCents;
+
+    // A retry after this session's membership update went through (a later step
+    // failed): the upgrade checks no longer hold, so finish from the credits on
+    const { data: membershipRow } = await supabase
+      .from('users')
+      .select('membership_session_id')
+      .eq('email', email)
+      .maybeSingle();
+    const membershipApplied = Boolean(sessionId) && membershipRow?.membership_session_id === sessionId;
+
+    if (membershipApplied && paymentType === 'balance_upgrade') {
+      upgradePassIds = (await listActivePasses(email)).map(p => p.id);
+    }
+    if (membershipApplied && paymentType === 'tier_upgrade') {
+      upgradeFrom = await getTier(session?.metadata?.upgrade_from_tier, { includeInactive: true });
+      if (!upgradeFrom) return { success: false, error: `Unknown tier: ${session?.metadata?.upgrade_from_tier}` };
+    }
 
+    if (paymentType === 'balance_upgrade' && !membershipApplied) {
+      // Tier chosen at checkout; passes are re-read so the balance is checked against now
       const { data: user, error } = await supabase
         .from('users')
-        .select('access_mode, limited_paid_amount')
+        .select('access_mode')
         .eq('email', email)
         .maybeSingle();
 
@@ -619,23 +1025,47 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
         return { success: false, error: 'Balance upgrade allowed only for limited users' };
       }
 
-      const paidTotal = Number(user.limited_paid_amount || 0);
-      const expectedBalance = 49 - paidTotal;
+      const quote = await upgradeQuote(email, session?.metadata?.membership_tier, { includeInactive: true });
+      if (!quote.ok) {
+        return { success: false, error: quote.error };
+      }
+      tier = quote.tier.key;
 
       // Stripe amount is float dollars; compare as cents
-      const expectedCents = Math.round(expectedBalance * 100);
-      const paidCents = Math.round(usd * 100);
-
-      if (expectedBalance <= 0) {
-        return { success: false, error: 'No balance remaining to upgrade' };
+      const expectedBalance = quote.balanceCents / 100;
+      if (!chargeMatches(quote.balanceCents)) {
+        return {
+          success: false,
+          error: `Balance mismatch. Expected $${expectedBalance}, charged $${usd}`
+        };
       }
 
-      if (paidCents !== expectedCents) {
+      upgradePassIds = quote.passes.map(p => p.id);
+      membershipPaidCents = quote.creditCents + listCents;
+    }
+
+    // =================================
+    // NEW FLOW C: TIER UPGRADE
+    // =================================
+    if (paymentType === 'tier_upgrade' && !membershipApplied) {
+      // Re-quote from the user's current tier; it must still be the one sold at checkout
+      const quote = await tierUpgradeQuote(email, session?.metadata?.membership_tier, { includeInactive: true });
+      if (!quote.ok) {
+        return { success: false, error: quote.error };
+      }
+      if (quote.fromTier.key !== session?.metadata?.upgrade_from_tier) {
+        return { success: false, error: `Membership changed since checkout (now ${quote.fromTier.key})` };
+      }
+      if (!chargeMatches(quote.balanceCents)) {
         return {
           success: false,
-          error: `Balance mismatch. Expected $${expectedBalance}, paid $${usd}`
+          error: `Upgrade mismatch. Expected $${quote.balanceCents / 100}, charged $${usd}`
         };
       }
+
+      tier = quote.tier.key;
+      upgradeFrom = quote.fromTier;
+      membershipPaidCents = quote.paidCents + listCents;
     }
 
     // --------------------------
@@ -644,29 +1074,21 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
     console.log(' Processing payment for:', email, 'Tier:', tier, 'Amount:', usd);
 
-    const tierBenefits = {
-      discount19: { credits: 49, entries: 1, credit_multiplier: 1.0, membership_tier: 'discount19' },
-      basic: { credits: 49, entries: 1, credit_multiplier: 1.0, membership_tier: 'basic' },
-      pro: { credits: 49, entries: 3, credit_multiplier: 1.5, membership_tier: 'pro' },
-      elite: { credits: 500, entries: 10, credit_multiplier: 1.5, membership_tier: 'elite', refund_on_event_end: 250 }
-    };
-
-    const safeTier = tierBenefits[tier] ? tier : 'basic';
-    const benefits = tierBenefits[safeTier];
-
-    let deltaCredits = Math.floor(benefits?.credits || 49);
-
-    if (deltaCredits <= 0) {
-      console.error(' CRITICAL: Invalid delta credits:', deltaCredits, 'using default 49');
-      deltaCredits = 49;
+    const benefits = await getTier(tier, { includeInactive: true });
+    if (!benefits) {
+      // Fail so the event is retried / dead-lettered instead of granting the wrong tier
+      console.error(' CRITICAL: Unknown tier in session metadata:', tier);
+      return { success: false, error: `Unknown tier: ${tier}` };
     }
 
+    let deltaCredits = benefits.credits;
+
     console.log(' Benefits:', benefits, 'Delta Credits:', deltaCredits);
 
     // ----- Update user -----
     const { data: existingUser } = await supabase
       .from('users')
-      .select('total_credits, total_spent, membership_tier')
+      .select('total_credits, total_spent, membership_tier, entries_available, access_mode')
       .eq('email', email)
       .maybeSingle();
 
@@ -675,14 +1097,14 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
     // DEFAULT behavior (lifetime purchase): add credits
     let newTotalCredits = prevCredits + deltaCredits;
 
-    // REQUIRED FIX: for balance upgrade, final total_credits must become 49 (not add 49)
+    // REQUIRED FIX: for balance upgrade, final total_credits must become the tier's credits (not add them)
     if (paymentType === 'balance_upgrade') {
-      const targetCredits = 49;
+      const targetCredits = benefits.credits;
 
       // grant only missing credits
       deltaCredits = Math.max(targetCredits - prevCredits, 0);
 
-      // final total should be exactly at least 49 (don’t reduce if somehow higher)
+      // final total should be at least the tier's credits (don’t reduce if somehow higher)
       newTotalCredits = Math.max(prevCredits, targetCredits);
 
       console.log(' BALANCE UPGRADE credits adjustment:', {
@@ -693,50 +1115,61 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
       });
     }
 
+    // Tier upgrade: only what the new tier adds over the old one
+    let entriesAvailable = benefits.entries;
+    if (paymentType === 'tier_upgrade') {
+      deltaCredits = Math.max(benefits.credits - upgradeFrom.credits, 0);
+      newTotalCredits = prevCredits + deltaCredits;
+      entriesAvailable = Number(existingUser?.entries_available || 0) + Math.max(benefits.entries - upgradeFrom.entries, 0);
+    }
+
     const nowIso = new Date().toISOString();
 
     const userUpdate = {
       email,
-      membership_tier: benefits.membership_tier,
+      membership_tier: benefits.key,
       membership_activated_at: nowIso,
-      entries_available: benefits.entries,
+      membership_paid_cents: membershipPaidCents,
+      membership_session_id: sessionId,
+      entries_available: entriesAvailable,
       credit_multiplier: benefits.credit_multiplier,
-      total_credits: newTotalCredits,
       updated_at: nowIso,
-      ...(tier === 'elite' && {
-        elite_prep_access: true,
-        vip_onboarding: true,
-        marketplace_priority: true,
-        refund_on_event_end: benefits.refund_on_event_end || 250
-      }),
-      ...(tier === 'pro' && {
-        priority_challenge: true,
-        pro_welcome_perk: true
-      }),
+      ...benefits.perks,
       crowbar_access: true,
-      full_access: tier === 'pro' || tier === 'elite'
+      full_access: benefits.full_access
     };
 
     // Extra (safe) for balance upgrade only: make user lifetime + all partners access
     // This does NOT change old flows because it only runs when paymentType === 'balance_upgrade'
     if (paymentType === 'balance_upgrade') {
       userUpdate.access_mode = 'lifetime';
-      userUpdate.limited_partner = null;
-      userUpdate.limited_paid_amount = null;
-      userUpdate.upgrade_balance_amount = null;
-      userUpdate.access_talentkonnect = true;
-      userUpdate.access_careduel = true;
-      userUpdate.access_ecoworldbuy = true;
     }
 
-    const { error: userError } = await supabase
-      .from('users')
-      .upsert(userUpdate, { onConflict: 'email' });
+    // The membership started with the original purchase
+    if (paymentType === 'tier_upgrade') {
+      delete userUpdate.membership_activated_at;
+    }
 
-    if (userError) throw userError;
+    // A lifetime purchase replaces subscription access, so a later lapse leaves it alone
+    if (existingUser?.access_mode === 'subscription') {
+      userUpdate.access_mode = 'lifetime';
+    }
+
+    if (!membershipApplied) {
+      const { error: userError } = await supabase
+        .from('users')
+        .upsert(userUpdate, { onConflict: 'email' });
+
+      if (userError) throw userError;
+    }
+
+    if (paymentType === 'balance_upgrade') {
+      await markPassesUpgraded(upgradePassIds, sessionId);
+      await grantAllPartnerAccess(email, 'membership', { stripeSessionId: sessionId });
+    }
 
     // ----- Track spend -----
-    await bumpUserSpend(email, usd);
+    await bumpUserSpend(email, usd, { key: `checkout:${sessionId}` });
 
     // ----- Insert into CREDITS -----
     const creditsData = {
@@ -752,24 +1185,42 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
     await supabase.from('credits').insert(creditsData);
 
-    // ----- Insert into CREDITS_LEDGER -----
-    const ledgerData = {
-      email: email,
-      stripe_session_id: sessionId,
-      amount_usd: usd,
-      delta: deltaCredits,
-      reason: `membership_purchase_${tier}`,
-      origin_site: 'stripe_payment',
-      stripe_event_id: sourceEventId,
-      created_at: nowIso
-    };
+    // ----- CREDITS_LEDGER + total_credits (atomic) -----
+    const ledgerReason = paymentType === 'tier_upgrade'
+      ? `tier_upgrade_${upgradeFrom.key}_to_${tier}`
+      : `membership_purchase_${tier}`;
 
-    console.log("🟦 Ledger Insert Payload:", ledgerData);
-    console.log("🔥 BEFORE INSERT — delta:", deltaCredits, "usd:", usd, "reason:", `membership_purchase_${tier}`);
+    let ledgerResult = null;
+    try {
+      ledgerResult = await applyCreditDelta({
+        email,
+        delta: deltaCredits,
+        reason: ledgerReason,
+        originSite: 'stripe_payment',
+        stripeSessionId: sessionId,
+        stripeEventId: sourceEventId,
+        amountUsd: usd,
+      });
+      newTotalCredits = ledgerResult.balance;
+    } catch (ledgerError) {
+      console.error(' CREDITS_LEDGER insert FAILED:', ledgerError);
 
-    const { data: ledgerResult, error: ledgerError } = await supabase
-      .from('credits_ledger')
-      .insert(ledgerData);
+      if (ledgerError.code !== '23505') {
+        throw ledgerError;
+      }
+
+      console.log(" Duplicate stripe_event_id ignored");
+    }
+
+    // ----- Promo code: the redemption counts once the purchase is fulfilled -----
+    const promoRedemption = await completeSessionPromo(session);
+    if (promoRedemption && ledgerResult?.ledgerId) {
+      try {
+        await stampLedgerDiscount(promoRedemption, ledgerResult.ledgerId);
+      } catch (e) {
+        console.error('Promo ledger stamp failed:', e?.message || e);
+      }
+    }
 
       // Send email for membership purchase / upgrade
       try {
@@ -781,13 +1232,15 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
           reason:
             paymentType === "balance_upgrade"
               ? `balance_upgrade_to_${tier}`
-              : `membership_${tier}`,
+              : paymentType === "tier_upgrade"
+                ? `tier_upgrade_${upgradeFrom.key}_to_${tier}`
+                : `membership_${tier}`,
           delta: deltaCredits,
           newBalance: newTotalCredits,
           amountUsd: usd,
           originSite: "stripe_payment",
           occurredAt: nowIso,
-          ledgerId: ledgerResult?.[0]?.id ?? null,
+          ledgerId: ledgerResult?.ledgerId ?? null,
           stripeEventId: sourceEventId,
           stripeSessionId: sessionId,
         });
@@ -795,23 +1248,13 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
         console.error("Payment email failed:", e?.message || e);
       }
 
-
-
-    if (ledgerError) {
-      console.error(' CREDITS_LEDGER insert FAILED:', ledgerError);
-
-      if (ledgerError.code !== '23505') {
-        throw ledgerError;
-      }
-
-      console.log(" Duplicate stripe_event_id ignored");
-    }
-
     // ----- Referral code -----
     try {
       await ensureReferralCodeForUser(supabase, email);
     } catch {}
 
+    await settleReferralForPurchase(email, session, usd);
+
     return {
       success: true,
       ledgerInserted: true,
@@ -819,7 +1262,7 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
       email,
       tier,
       deltaCredits,
-      ledgerId: ledgerResult?.[0]?.id
+      ledgerId: ledgerResult?.ledgerId
     };
 
   } catch (error) {
@@ -832,6 +1275,485 @@ const handleSuccessfulPayment = async (session, sourceEventId = null) => {
 
 
 
+/* --------------------------- Refunds & Disputes --------------------------- */
+
+
+async function findSessionForPaymentIntent(paymentIntentId) {
+  if (!paymentIntentId) return null;
+  const { data } = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+  return data?.[0] || null;
+}
+
+// Credits granted for a checkout session, ignoring earlier reversals/restores
+async function originalSessionCredits(sessionId) {
+  const { data, error } = await supabase
+    .from('credits_ledger')
+    .select('delta, reason')
+    .eq('stripe_session_id', sessionId)
+    .gt('delta', 0);
+
+  if (error) throw error;
+  return (data || [])
+    .filter(r => !/^(refund|dispute)\./.test(String(r.reason || '')))
+    .reduce((sum, r) => sum + Number(r.delta || 0), 0);
+}
+
+// The users update that undoes what this session granted in handleSuccessfulPayment.
+// `activePasses`: the user's passes after reverseSessionPasses (a limited
+// pass's partner access row is removed separately).
+async function accessRevocation(session, user, activePasses) {
+  const paymentType = session?.metadata?.payment_type || 'lifetime_purchase';
+
+  // Gate access pass and credit packs: credits only, no flags to revoke
+  if (session?.metadata?.product_type === 'access_pass' || paymentType === 'credit_pack') return null;
+
+  if (paymentType === 'limited_pass') {
+    if (activePasses.length || user?.access_mode !== 'limited') return {};
+    return { access_mode: null, crowbar_access: false };
+  }
+
+  // A refunded tier upgrade drops back to the tier it started from, taking
+  // back the entries it added
+  if (paymentType === 'tier_upgrade') {
+    const fromTier = await getTier(session.metadata.upgrade_from_tier, { includeInactive: true });
+    const toTier = await getTier(session.metadata.membership_tier, { includeInactive: true });
+    if (fromTier) {
+      const addedEntries = Math.max(Number(toTier?.entries || 0) - fromTier.entries, 0);
+      return {
+        membership_tier: fromTier.key,
+        membership_paid_cents: Number(session.metadata.upgrade_paid_cents) || fromTier.price_cents,
+        entries_available: Math.max(Number(user?.entries_available || 0) - addedEntries, 0),
+        credit_multiplier: fromTier.credit_multiplier,
+        full_access: fromTier.full_access,
+        ...PERK_DEFAULTS,
+        ...fromTier.perks,
+      };
+    }
+  }
+
+  const membershipRevoked = {
+    membership_tier: null,
+    membership_paid_cents: null,
+    entries_available: 0,
+    credit_multiplier: 1,
+    full_access: false,
+    ...PERK_DEFAULTS,
+  };
+
+  // A refunded balance upgrade drops back to limited access; the passes
+  // credited toward it are active again, so partner access is left alone.
+  if (paymentType === 'balance_upgrade') {
+    return { ...membershipRevoked, access_mode: 'limited', crowbar_access: true };
+  }
+
+  return { ...membershipRevoked, crowbar_access: user?.access_mode === 'limited' };
+}
+
+async function sendReversalEmail({ email, reason, delta, newBalance, amountUsd, ledgerId, eventId, sessionId }) {
+  try {
+    const userName = await getUserName(email);
+    await sendCreditActivityEmail({
+      email,
+      userName,
+      reason,
+      delta,
+      newBalance,
+      amountUsd,
+      originSite: 'stripe_refund',
+      occurredAt: new Date().toISOString(),
+      ledgerId,
+      stripeEventId: eventId,
+      stripeSessionId: sessionId,
+    });
+  } catch (e) {
+    console.error('Reversal email failed:', e?.message || e);
+  }
+}
+
+/**
+ * Reverse (part of) a Checkout payment.
+ *  source/sourceId : 'refund' + charge id, or 'dispute' + dispute id
+ *  amountCents     : cumulative amount refunded / disputed
+ *  chargeCents     : original charge amount (credits are reversed pro rata)
+ *  revokeAccess    : also undo the tier / partner flags from the purchase
+ * Idempotent: only the difference from what was already reversed is applied.
+ * The payment_reversals row is claimed ('pending') before any step runs, so a
+ * retry after a partial failure resumes the claimed work.
+ */
+async function reverseSessionPayment({ session, source, sourceId, eventId, amountCents, chargeCents, revokeAccess }) {
+  const email = normEmail(session?.metadata?.user_email || session?.customer_email || session?.customer_details?.email);
+  if (!email) return { success: false, error: 'No email on session' };
+
+  const { data: existing, error: priorErr } = await supabase
+    .from('payment_reversals')
+    .select('*')
+    .eq('source', source)
+    .eq('source_id', sourceId)
+    .maybeSingle();
+  if (priorErr) throw priorErr;
+
+  let prior = existing;
+  if (prior && prior.status !== 'applied' && prior.status !== 'pending') {
+    return { success: true, alreadyProcessed: true, status: prior.status };
+  }
+
+  // An earlier attempt (this event or an older one) stopped part way
+  let resumed = null;
+  if (prior?.status === 'pending') {
+    resumed = await finishPendingReversal(prior, session);
+    prior = resumed.row;
+  }
+
+  const originalCredits = await originalSessionCredits(session.id);
+  const fraction = chargeCents > 0 ? Math.min(amountCents / chargeCents, 1) : 1;
+  const targetCredits = Math.round(originalCredits * fraction);
+  const targetUsd = amountCents / 100;
+
+  const creditsDelta = Math.max(targetCredits - Number(prior?.credits_reversed || 0), 0);
+  const usdDelta = Math.max(targetUsd - Number(prior?.usd_reversed || 0), 0);
+  const needsRevoke = revokeAccess && !prior?.access_revoked;
+
+  if (creditsDelta === 0 && usdDelta === 0 && !needsRevoke) {
+    return resumed ? { success: true, email, ...resumed.result } : { success: true, alreadyProcessed: true };
+  }
+
+  const claim = {
+    status: 'pending',
+    pending_event_id: eventId,
+    pending_credits: creditsDelta,
+    pending_usd: usdDelta,
+    pending_revoke: needsRevoke,
+    updated_at: new Date().toISOString(),
+  };
+
+  let claimed = null;
+  if (prior) {
+    const { data, error } = await supabase
+      .from('payment_reversals')
+      .update(claim)
+      .eq('id', prior.id)
+      .eq('status', 'applied')
+      .select('*');
+    if (error) throw error;
+    claimed = data?.[0];
+  } else {
+    const { data, error } = await supabase
+      .from('payment_reversals')
+      .insert({ email, stripe_session_id: session.id, source, source_id: sourceId, ...claim })
+      .select('*');
+    if (error && error.code !== '23505') throw error;
+    claimed = data?.[0];
+  }
+  // Another delivery claimed it first; retry once that one is done
+  if (!claimed) throw new Error(`Reversal ${source}:${sourceId} is being applied by another event`);
+
+  const { result } = await finishPendingReversal(claimed, session);
+  return { success: true, email, ...result };
+}
+
+/**
+ * Run the claimed steps of a 'pending' reversal row, then mark it 'applied'.
+ * Each step is safe to repeat: the ledger row and the spend change are keyed
+ * by the event id, access carries its own done flag, and the access snapshot
+ * is taken before anything is revoked.
+ */
+async function finishPendingReversal(row, session) {
+  const { email, pending_event_id: eventId } = row;
+  const creditsDelta = Number(row.pending_credits || 0);
+  const usdDelta = Number(row.pending_usd || 0);
+  const reason = row.source === 'refund' ? 'refund.charge_refunded' : 'refund.dispute_created';
+
+  let ledger = null;
+  try {
+    ledger = await applyCreditDelta({
+      email,
+      delta: -creditsDelta,
+      reason,
+      originSite: 'stripe_refund',
+      stripeSessionId: session.id,
+      stripeEventId: eventId,
+      amountUsd: usdDelta ? -usdDelta : null,
+    });
+  } catch (ledgerError) {
+    // Written by an earlier attempt; carry on with the remaining steps
+    if (ledgerError.code !== '23505') throw ledgerError;
+  }
+
+  if (ledger && creditsDelta > 0) {
+    const { error: creditsError } = await supabase.from('credits').insert({
+      email,
+      amount: -creditsDelta,
+      origin_site: 'stripe_refund',
+      stripe_event_id: eventId,
+      stripe_session_id: session.id,
+      eligible_global_race: true,
+      legal_accept: true,
+    });
+    if (creditsError) console.error(' Reversal credits insert FAILED:', creditsError);
+  }
+
+  // Keyed on the event, so a retry does not reverse the spend twice
+  if (usdDelta > 0) await bumpUserSpend(email, -usdDelta, { key: `reversal:${eventId}` });
+
+  let accessSnapshot = row.access_snapshot || null;
+  if (row.pending_revoke && !row.access_revoked) {
+    // Kept on the row before revoking, so a retry restores from the original flags
+    if (!accessSnapshot) {
+      const { data: user, error: userErr } = await supabase
+        .from('users')
+        .select(ACCESS_FIELDS.join(', '))
+        .eq('email', email)
+        .maybeSingle();
+      if (userErr) throw userErr;
+
+      accessSnapshot = {
+        ...user,
+        partner_access: await listPartnerAccess(email),
+        reopened_passes: await listSessionUpgradedPassIds(session.id),
+      };
+      const { error: snapErr } = await supabase
+        .from('payment_reversals')
+        .update({ access_snapshot: accessSnapshot, updated_at: new Date().toISOString() })
+        .eq('id', row.id);
+      if (snapErr) throw snapErr;
+    }
+
+    const { partner_access: _partnerAccess, reopened_passes: _reopened, ...user } = accessSnapshot;
+    await reverseSessionPasses(session.id);
+    const activePasses = await listActivePasses(email);
+
+    const revocation = await accessRevocation(session, user, activePasses);
+    if (revocation) {
+      const { error: revokeErr } = await supabase
+        .from('users')
+        .update({ ...revocation, updated_at: new Date().toISOString() })
+        .eq('email', email);
+      if (revokeErr) throw revokeErr;
+
+      // Partner access goes with its last pass, unless the user has since upgraded
+      const partnerKey = session.metadata?.partner_key;
+      if (
+        session.metadata?.payment_type === 'limited_pass' &&
+        user?.access_mode === 'limited' &&
+        !activePasses.some(p => p.partner_key === partnerKey)
+      ) {
+        await revokePartnerAccess(email, partnerKey);
+      }
+    } else {
+      // Nothing was revoked, so a won dispute has nothing to restore
+      accessSnapshot = null;
+    }
+  }
+
+  const { data: saved, error: saveErr } = await supabase
+    .from('payment_reversals')
+    .update({
+      credits_reversed: Number(row.credits_reversed || 0) + creditsDelta,
+      usd_reversed: Number(row.usd_reversed || 0) + usdDelta,
+      access_revoked: Boolean(row.access_revoked || row.pending_revoke),
+      access_snapshot: accessSnapshot,
+      status: 'applied',
+      pending_event_id: null,
+      pending_credits: 0,
+      pending_usd: 0,
+      pending_revoke: false,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('id', row.id)
+    .eq('status', 'pending')
+    .select('*')
+    .single();
+  if (saveErr) throw saveErr;
+
+  if (!ledger) {
+    const [{ data: prevRow }, { data: u }] = await Promise.all([
+      supabase.from('credits_ledger').select('id').eq('stripe_event_id', eventId).maybeSingle(),
+      supabase.from('users').select('total_credits').eq('email', email).maybeSingle(),
+    ]);
+    ledger = { ledgerId: prevRow?.id || null, balance: u?.total_credits || 0 };
+  }
+
+  await sendReversalEmail({
+    email,
+    reason,
+    delta: -creditsDelta,
+    newBalance: ledger.balance,
+    amountUsd: usdDelta,
+    ledgerId: ledger.ledgerId,
+    eventId,
+    sessionId: session.id,
+  });
+
+  return {
+    row: saved,
+    result: { creditsReversed: creditsDelta, usdReversed: usdDelta, accessRevoked: Boolean(row.pending_revoke) },
+  };
+}
+
+// charge.refunded — amount_refunded is cumulative; access goes only on a full refund
+const handleChargeRefunded = async (charge, eventId) => {
+  const session = await findSessionForPaymentIntent(charge.payment_intent);
+  if (!session) return { success: true, skipped: 'no_checkout_session' };
+
+  return reverseSessionPayment({
+    session,
+    source: 'refund',
+    sourceId: charge.id,
+    eventId,
+    amountCents: Number(charge.amount_refunded || 0),
+    chargeCents: Number(charge.amount || 0),
+    revokeAccess: charge.refunded === true,
+  });
+};
+
+// charge.dispute.created — funds are pulled, so reverse and revoke straight away
+const handleDisputeCreated = async (dispute, eventId) => {
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  const session = await findSessionForPaymentIntent(dispute.payment_intent || charge.payment_intent);
+  if (!session) return { success: true, skipped: 'no_checkout_session' };
+
+  return reverseSessionPayment({
+    session,
+    source: 'dispute',
+    sourceId: dispute.id,
+    eventId,
+    amountCents: Number(dispute.amount || 0),
+    chargeCents: Number(charge.amount || 0),
+    revokeAccess: true,
+  });
+};
+
+// charge.dispute.closed — a won dispute gives back credits, spend and access
+const handleDisputeClosed = async (dispute, eventId) => {
+  const { data: reversal, error } = await supabase
+    .from('payment_reversals')
+    .select('*')
+    .eq('source', 'dispute')
+    .eq('source_id', dispute.id)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (!reversal) return { success: true, skipped: 'no_reversal_for_dispute' };
+  if (reversal.status === 'pending') return { success: false, error: 'Dispute reversal still pending' };
+  if (reversal.status !== 'applied') return { success: true, alreadyProcessed: true, status: reversal.status };
+
+  const merchantWon = dispute.status === 'won' || dispute.status === 'warning_closed';
+  if (!merchantWon) {
+    await supabase
+      .from('payment_reversals')
+      .update({ status: 'final', updated_at: new Date().toISOString() })
+      .eq('id', reversal.id);
+    return { success: true, status: 'final' };
+  }
+
+  let ledger = null;
+  try {
+    ledger = await applyCreditDelta({
+      email: reversal.email,
+      delta: reversal.credits_reversed,
+      reason: 'dispute.won_restore',
+      originSite: 'stripe_refund',
+      stripeSessionId: reversal.stripe_session_id,
+      stripeEventId: eventId,
+      amountUsd: Number(reversal.usd_reversed) || null,
+    });
+  } catch (ledgerError) {
+    if (ledgerError.code === '23505') return { success: true, alreadyProcessed: true };
+    throw ledgerError;
+  }
+
+  if (Number(reversal.usd_reversed) > 0) {
+    await bumpUserSpend(reversal.email, Number(reversal.usd_reversed), { key: `restore:${eventId}` });
+  }
+
+  if (reversal.access_revoked && reversal.access_snapshot) {
+    const {
+      partner_access: partnerAccess,
+      reopened_passes: reopenedPasses,
+      ...userFields
+    } = reversal.access_snapshot;
+    const { error: restoreErr } = await supabase
+      .from('users')
+      .update({ ...userFields, updated_at: new Date().toISOString() })
+      .eq('email', reversal.email);
+    if (restoreErr) throw restoreErr;
+
+    await grantPartnerAccess(reversal.email, partnerAccess || [], 'dispute_restore');
+    await restoreSessionPasses(reversal.stripe_session_id, { upgradedPassIds: reopenedPasses || [] });
+  }
+
+  await supabase
+    .from('payment_reversals')
+    .update({ status: 'restored', updated_at: new Date().toISOString() })
+    .eq('id', reversal.id);
+
+  await sendReversalEmail({
+    email: reversal.email,
+    reason: 'dispute.won_restore',
+    delta: reversal.credits_reversed,
+    newBalance: ledger.balance,
+    amountUsd: Number(reversal.usd_reversed) || null,
+    ledgerId: ledger.ledgerId,
+    eventId,
+    sessionId: reversal.stripe_session_id,
+  });
+
+  return { success: true, status: 'restored' };
+};
+
+/* ----------------------------- Subscriptions ----------------------------- */
+
+// Billing events can arrive out of order, so always sync from a fresh read
+async function syncStripeSubscription(subscriptionId) {
+  const stripeSub = await stripe.subscriptions.retrieve(subscriptionId);
+  return syncSubscription(stripeSub);
+}
+
+// Older API versions put the subscription on the invoice, newer ones under parent
+function invoiceSubscriptionId(invoice) {
+  const sub = invoice?.subscription ?? invoice?.parent?.subscription_details?.subscription;
+  return typeof sub === 'string' ? sub : sub?.id || null;
+}
+
+const handleSubscriptionCheckout = async (session) => {
+  const subscriptionId = typeof session.subscription === 'string' ? session.subscription : session.subscription?.id;
+  if (!subscriptionId) return { success: false, error: 'No subscription on session' };
+
+  const { subscription, access } = await syncStripeSubscription(subscriptionId);
+  await completeSessionPromo(session);
+  return { success: true, subscription: subscription.stripe_subscription_id, status: subscription.status, access };
+};
+
+// Counts the spend once per invoice and grants the period's allowance
+const handleInvoicePaid = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return { success: true, skipped: 'not_a_subscription_invoice' };
+
+  const { subscription, plan, access } = await syncStripeSubscription(subscriptionId);
+
+  if (await recordInvoice(subscription, invoice)) {
+    await bumpUserSpend(subscription.email, Number(invoice.amount_paid || 0) / 100, { key: `invoice:${invoice.id}` });
+  }
+
+  const allowances = await grantDueAllowances(subscription, plan);
+  return { success: true, subscription: subscription.stripe_subscription_id, status: subscription.status, access, allowances };
+};
+
+// Stripe retries the card; access is kept while the subscription is past_due
+const handleInvoicePaymentFailed = async (invoice) => {
+  const subscriptionId = invoiceSubscriptionId(invoice);
+  if (!subscriptionId) return { success: true, skipped: 'not_a_subscription_invoice' };
+
+  const { subscription, access } = await syncStripeSubscription(subscriptionId);
+  console.warn(` Subscription payment failed: ${subscription.stripe_subscription_id} (${subscription.email}), status ${subscription.status}`);
+  return { success: true, subscription: subscription.stripe_subscription_id, status: subscription.status, access };
+};
+
+const handleSubscriptionChanged = async (stripeSub) => {
+  const { subscription, access } = await syncStripeSubscription(stripeSub.id);
+  return { success: true, subscription: subscription.stripe_subscription_id, status: subscription.status, access };
+};
+
 /* ----------------------------- Webhook --------------------------------- */
 const handleWebhook = async (req, res) => {
   const sig = req.headers['stripe-signature'];
@@ -846,151 +1768,246 @@ const handleWebhook = async (req, res) => {
     return res.status(400).send(`Webhook Error: ${err.message}`);
   }
 
-  // Immediately respond to Stripe to prevent timeouts
+  // Persist first; if that fails Stripe must retry, so do not acknowledge
+  try {
+    await recordStripeEvent(event);
+  } catch (err) {
+    console.error(' Failed to store webhook event:', event.id, err?.message || err);
+    return res.status(500).json({ received: false, error: 'Failed to store event' });
+  }
+
   res.json({ 
     received: true, 
-    status: 'processing', 
+    status: 'queued', 
     event_id: event.id,
     event_type: event.type 
   });
 
-  // Process the webhook asynchronously
-  processWebhookEvent(event).catch(error => {
-    console.error(' Async webhook processing failed:', error);
-  });
+  // Processing happens in the stripe event worker (retries + dead-letter)
+  nudgeStripeEventWorker();
 };
 
-/* --------------------------- Async Webhook Processor --------------------------- */
+/* --------------------------- Webhook Event Processor --------------------------- */
+// Run by services/stripeEventWorker for each stored event. Throws on failure
+// so the worker can retry the event with backoff.
 const processWebhookEvent = async (event) => {
-  try {
-    console.log(' Processing webhook event asynchronously:', event.type, event.id);
-
-    switch (event.type) {
-      case 'checkout.session.completed':
-        const session = event.data.object;
-        console.log(' Checkout session completed:', {
-          session_id: session.id,
-          payment_status: session.payment_status,
-          tier: session.metadata?.membership_tier,
-          amount: `$${(session.amount_total / 100).toFixed(2)}`,
-          email: session.customer_email,
-          event_id: event.id
-        });
-        
-        if (session.payment_status === 'paid') {
-          console.log('Calling handleSuccessfulPayment for paid session...');
-          const result = await handleSuccessfulPayment(session, event.id);
-          console.log(' Payment processing completed with result:', result);
-          
-          // Log specifically about ledger insertion
-          if (result.ledgerInserted) {
-            console.log('SUCCESS: Ledger record was inserted');
-          } else {
-            console.log(' FAILED: Ledger record was NOT inserted');
-            console.log(' Result details:', result);
-          }
-        } else {
-          console.log(` Session ${session.id} not paid, status: ${session.payment_status}`);
+  console.log(' Processing webhook event:', event.type, event.id);
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      const session = event.data.object;
+      console.log(' Checkout session completed:', {
+        session_id: session.id,
+        payment_status: session.payment_status,
+        tier: session.metadata?.membership_tier,
+        amount: `$${(session.amount_total / 100).toFixed(2)}`,
+        email: session.customer_email,
+        event_id: event.id
+      });
+
+      if (session.mode === 'subscription') {
+        const result = await handleSubscriptionCheckout(session);
+        console.log(' Subscription checkout processed:', result);
+
+        if (!result.success) {
+          throw new Error(result.error || 'Subscription checkout handling failed');
         }
-        break;
-        
-      case 'checkout.session.expired':
-        console.log(` Checkout session expired: ${event.data.object.id}`);
-        break;
-        
-      case 'payment_intent.succeeded':
-        console.log('Payment intent succeeded:', event.data.object.id);
-        break;
-        
-      default:
-        console.log(` Unhandled event type: ${event.type}`);
+      } else if (session.payment_status === 'paid') {
+        console.log('Calling handleSuccessfulPayment for paid session...');
+        const result = await handleSuccessfulPayment(session, event.id);
+        console.log(' Payment processing completed with result:', result);
+
+        if (!result.success) {
+          throw new Error(result.error || 'handleSuccessfulPayment failed');
+        }
+      } else {
+        console.log(` Session ${session.id} not paid, status: ${session.payment_status}`);
+      }
+      break;
     }
 
-    console.log('Webhook processing completed for event:', event.id);
-    
-  } catch (err) {
-    console.error(' Webhook processor error:', err);
-    console.error(' Error details:', {
-      message: err.message,
-      stack: err.stack,
-      event_id: event.id
-    });
+    case 'charge.refunded':
+    case 'charge.dispute.created':
+    case 'charge.dispute.closed':
+    case 'invoice.paid':
+    case 'invoice.payment_failed':
+    case 'customer.subscription.updated':
+    case 'customer.subscription.deleted': {
+      const handler = {
+        'charge.refunded': handleChargeRefunded,
+        'charge.dispute.created': handleDisputeCreated,
+        'charge.dispute.closed': handleDisputeClosed,
+        'invoice.paid': handleInvoicePaid,
+        'invoice.payment_failed': handleInvoicePaymentFailed,
+        'customer.subscription.updated': handleSubscriptionChanged,
+        'customer.subscription.deleted': handleSubscriptionChanged,
+      }[event.type];
+
+      const result = await handler(event.data.object, event.id);
+      console.log(` ${event.type} processed:`, result);
+
+      if (!result.success) {
+        throw new Error(result.error || `${event.type} handling failed`);
+      }
+      break;
+    }
+
+    case 'checkout.session.expired': {
+      const session = event.data.object;
+      console.log(` Checkout session expired: ${session.id}`);
+
+      // Give back the promo slot the session held
+      if (session.metadata?.promo_redemption_id) {
+        await releasePromoRedemption(session.metadata.promo_redemption_id);
+      }
+      break;
+    }
+      
+    case 'payment_intent.succeeded':
+      console.log('Payment intent succeeded:', event.data.object.id);
+      break;
+      
+    default:
+      console.log(` Unhandled event type: ${event.type}`);
   }
+
+  console.log('Webhook processing completed for event:', event.id);
 };
 
 /* --------------------------- Get Tier Information --------------------------- */
 const getTierInfo = async (req, res) => {
   try {
-    const tiers = {
-      'discount19': {
-        name: "Discounted Membership",
-        price: 19,
-        credits: 49,
-        entries: 1,
-        requirements: ["Under 25 or Over 60", "Government ID", "Live Selfie", "Social Media Link"],
-        features: [
-          "Lifetime membership",
-          "1 Skill Event entry", 
-          "49 credits",
-          "Access to all partner sites",
-          "Referral code",
-          "Dashboard access"
-        ]
-      },
-      'basic': {
-        name: "Basic Membership", 
-        price: 49,
-        credits: 49,
-        entries: 1,
-        features: [
-          "Lifetime membership",
-          "49 credits",
-          "1 Skill Event entry", 
-          "Access to all partner sites",
-          "Referrals",
-          "Dashboard basics"
-        ]
-      },
-      'pro': {
-        name: "Pro Membership",
-        price: 99, 
-        credits: 49,
-        entries: 3,
-        credit_multiplier: 1.5,
-        features: [
-          "Everything in Basic",
-          "Priority challenge window (UI badge)",
-          "Credit multiplier 1.5x",
-          "3 Skill Event entries",
-          "Pro Welcome Perk placeholder"
-        ]
-      },
-      'elite': {
-        name: "Elite Membership",
-        price: 499,
-        credits: 500, 
-        entries: 10,
-        credit_multiplier: 1.5,
-        features: [
-          "Everything in Pro",
-          "10 Skill Event entries",
-          "500 credits",
-          "Elite-only prep access",
-          "VIP Onboarding", 
-          "Marketplace priority",
-          "Elite Welcome Pack",
-          "Credit refund on event end (250)"
-        ]
+    const tiers = {};
+    for (const t of await listTiers()) {
+      tiers[t.key] = {
+        name: t.name,
+        price: t.price_usd,
+        credits: t.credits,
+        entries: t.entries,
+        credit_multiplier: t.credit_multiplier,
+        full_access: t.full_access,
+        ...(t.requirements.length && { requirements: t.requirements }),
+        features: t.features,
+      };
+    }
+
+    const pass = await getLimitedPass();
+    let limitedPass = null;
+    if (pass) {
+      const partnerPrices = {};
+      for (const partner of (await listPartners()).filter(p => p.access_enabled)) {
+        partnerPrices[partner.key] = (await passPriceFor(partner)).priceCents / 100;
       }
-    };
+      limitedPass = {
+        price: pass.priceUsd,
+        partner_prices: partnerPrices,
+        upgrade_target_tier: pass.upgradeTargetTier,
+        upgrade_target_price: pass.upgradeTargetUsd,
+      };
+    }
 
-    res.json({ success: true, tiers });
+    const plans = (await listPlans()).map(p => ({
+      key: p.key,
+      name: p.name,
+      tier: p.tier_key,
+      interval: p.interval,
+      price: p.price_usd,
+      monthly_credits: p.monthly_credits,
+    }));
+
+    const creditPacks = (await listCreditPacks()).map(p => ({
+      key: p.key,
+      name: p.name,
+      credits: p.credits,
+      price: p.price_usd,
+    }));
+
+    res.json({ success: true, tiers, plans, credit_packs: creditPacks, limited_pass: limitedPass });
   } catch (error) {
     console.error('Get tier info error:', error);
     res.status(500).json({ error: 'Failed to fetch tier information' });
   }
 };
 
+/**
+ * GET /api/stripe/upgrade-quote?tier=pro&mode=balance_upgrade|tier_upgrade
+ * What the signed-in user would pay to reach `tier`:
+ * - balance_upgrade (default): limited user, crediting their active passes
+ *   (tier defaults to the limited pass target)
+ * - tier_upgrade: member, crediting what they paid for their current tier
+ */
+const getUpgradeQuote = async (req, res) => {
+  try {
+    const email = normEmail(req.actingEmail);
+    const mode = req.query.mode || 'balance_upgrade';
+
+    if (mode === 'tier_upgrade') {
+      const quote = await tierUpgradeQuote(email, req.query.tier || null);
+      if (!quote.ok) {
+        return res.status(400).json({ error: quote.error });
+      }
+      return res.json({
+        success: true,
+        mode,
+        tier: quote.tier.key,
+        tier_price: quote.tier.price_usd,
+        from_tier: quote.fromTier.key,
+        credit_amount: quote.paidCents / 100,
+        balance_amount: quote.balanceCents / 100,
+      });
+    }
+
+    if (mode !== 'balance_upgrade') {
+      return res.status(400).json({ error: 'mode must be balance_upgrade or tier_upgrade' });
+    }
+
+    const quote = await upgradeQuote(email, req.query.tier || null);
+    if (!quote.ok) {
+      return res.status(400).json({ error: quote.error });
+    }
+
+    res.json({
+      success: true,
+      mode,
+      tier: quote.tier.key,
+      tier_price: quote.tier.price_usd,
+      credit_amount: quote.creditCents / 100,
+      balance_amount: quote.balanceCents / 100,
+      passes: quote.passes.map(p => ({ partner: p.partner_key, amount: p.amount_cents / 100, purchased_at: p.created_at })),
+    });
+  } catch (error) {
+    console.error('Get upgrade quote error:', error);
+    res.status(500).json({ error: 'Failed to compute upgrade quote' });
+  }
+};
+
+/**
+ * POST /api/stripe/billing-portal
+ * Body: { returnUrl? }
+ * Stripe Billing Portal session for the signed-in user (card, invoices,
+ * plan changes and cancellation).
+ */
+const createBillingPortalSession = async (req, res) => {
+  try {
+    const email = normEmail(req.actingEmail);
+    const customerId = await getStripeCustomerId(email);
+    if (!customerId) {
+      return res.status(404).json({ error: 'No billing account for this user' });
+    }
+
+    const { returnUrl } = req.body || {};
+    const portal = await stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/dashboard`,
+    });
+
+    res.json({ success: true, url: portal.url });
+  } catch (error) {
+    console.error('Billing portal session error:', error);
+    res.status(500).json({ error: 'Failed to create billing portal session' });
+  }
+};
+
 /* --------------------------- Health Check --------------------------- */
 const healthCheck = async (req, res) => {
   try {
@@ -1047,48 +2064,9 @@ const getSessionStatus = async (req, res) => {
   }
 };
 
-const testManualPayment = async (req, res) => {
-  try {
-    const { email, tier } = req.body;
-    
-    if (!email || !tier) {
-      return res.status(400).json({ error: 'Email and tier are required' });
-    }
-
-    // Simulate a successful payment session
-    const mockSession = {
-      id: 'test_session_' + Date.now(),
-      metadata: {
-        user_email: email,
-        membership_tier: tier,
-        product_type: 'crowbar_master'
-      },
-      customer_email: email,
-      amount_total: tier === 'discount19' ? 1900 : 
-                   tier === 'basic' ? 4900 :
-                   tier === 'pro' ? 9900 : 49900,
-      payment_status: 'paid'
-    };
-
-    await handleSuccessfulPayment(mockSession, 'test_event_id');
-    
-    res.json({ 
-      success: true, 
-      message: `Test payment processed for ${email} with ${tier} tier` 
-    });
-  } catch (error) {
-    console.error('Test manual payment error:', error);
-    res.status(500).json({ error: 'Test payment failed' });
-  }
-};
-
 const getUserAccess = async (req, res) => {
   try {
-    const { email } = req.query;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    const email = req.actingEmail;
 
     const { data: user, error } = await supabase
       .from('users')
@@ -1119,13 +2097,8 @@ const getUserAccess = async (req, res) => {
 
 const syncUserAccess = async (req, res) => {
   try {
-    const { email } = req.body;
-    
-    if (!email) {
-      return res.status(400).json({ error: 'Email is required' });
-    }
+    const email = req.actingEmail;
 
-    
     const { data: user, error } = await supabase
       .from('users')
       .select('*')
@@ -1154,13 +2127,15 @@ const syncUserAccess = async (req, res) => {
 module.exports = {
   createCheckoutSession,
   handleWebhook,
+  processWebhookEvent,
   handleSuccessfulPayment,
   getTierInfo,
+  getUpgradeQuote,
+  createBillingPortalSession,
   healthCheck,
   applyAgeDiscount,
   uploadFile,
   getSessionStatus,
-  testManualPayment,
   getUserAccess,
   syncUserAccess
 };
\ No newline at end of file
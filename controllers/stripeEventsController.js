@@ -0,0 +1,44 @@
+const { listStripeEvents, replayStripeEvent } = require('../services/stripeEventStore');
+const { nudgeStripeEventWorker } = require('../services/stripeEventWorker');
+
+const STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+/**
+ * GET /api/admin/stripe-events?status=dead&type=&limit=
+ * Lists stored webhook events (newest first) with attempt count and last error.
+ */
+const getStripeEvents = async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    const events = await listStripeEvents({ status: status || null, type: type || null, limit });
+    res.json({ success: true, events });
+  } catch (error) {
+    console.error('getStripeEvents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+/**
+ * POST /api/admin/stripe-events/:eventId/replay
+ * Re-queues a failed or dead event with a fresh retry budget.
+ */
+const replayEvent = async (req, res) => {
+  try {
+    const event = await replayStripeEvent(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ error: 'No failed or dead event with that id' });
+    }
+
+    nudgeStripeEventWorker();
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('replayEvent error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = { getStripeEvents, replayEvent };
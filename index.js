@@ -5,20 +5,29 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// CORS
+const { isPartnerOrigin } = require('./services/partnerRegistryService');
+
+// CORS: Crowbar's own sites here, partner sites from the partner registry
+const CROWBAR_ORIGINS = [
+  'http://localhost:3000',
+  'http://127.0.0.1:3000',
+  'https://crowbar-master-site.vercel.app',
+  'http://localhost:5173',
+  'http://localhost:3001',
+  'https://www.crowbarltd.com',
+];
+
 app.use(
   cors({
-    origin: [
-      'http://localhost:3000',
-      'http://127.0.0.1:3000',
-      'https://crowbar-master-site.vercel.app',
-      'http://localhost:5173',
-      'https://www.ecoworldbuy.com',
-      'https://www.careduel.com',
-      'https://www.talentkonnect.com',
-      'http://localhost:3001',
-      'https://www.crowbarltd.com',
-    ],
+    origin: (origin, callback) => {
+      if (!origin || CROWBAR_ORIGINS.includes(origin)) return callback(null, true);
+      isPartnerOrigin(origin)
+        .then((allowed) => callback(null, allowed))
+        .catch((err) => {
+          console.error('CORS partner lookup failed:', err);
+          callback(null, false);
+        });
+    },
     credentials: true,
   })
 );
@@ -37,7 +46,10 @@ app.use(logger);
 ------------------------------------------ */
 app.use('/api/stripe/webhook', express.raw({ type: 'application/json' }));
 
-const { handleWebhook } = require('./controllers/stripeController');
+const { handleWebhook, processWebhookEvent } = require('./controllers/stripeController');
+const { startStripeEventWorker } = require('./services/stripeEventWorker');
+const { startSkillEventScheduler } = require('./services/skillEventScheduler');
+const { startSubscriptionScheduler } = require('./services/subscriptionScheduler');
 
 /* -----------------------------------------
    📌 Register Webhook Route (REQUIRED!)
@@ -46,14 +58,25 @@ app.post('/api/stripe/webhook', handleWebhook);
 
 /* -----------------------------------------
    🔥 JSON parser for ALL OTHER routes
+   (keeps the raw bytes for HMAC-signed bridge requests)
 ------------------------------------------ */
-app.use(express.json());
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Routes
 app.use('/api/credits', require('./routes/credits'));
 app.use('/api/stripe', require('./routes/stripe'));
 app.use('/api/gate', require('./routes/gate'));
 app.use('/api/bridge', require('./routes/bridge'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/skill-events', require('./routes/skillEvents'));
+app.use('/api/race', require('./routes/race'));
+app.use('/api/referrals', require('./routes/referrals'));
 app.use('/api', require('./routes/upload')); 
 app.use('/api', require('./routes/user'));  
 
@@ -90,4 +113,28 @@ app.listen(PORT, () => {
   console.log(` Health check: http://localhost:${PORT}/health`);
   console.log(` Test route: http://localhost:${PORT}/test`);
   console.log(` Webhook: POST http://localhost:${PORT}/api/stripe/webhook`);
+
+  // Stored Stripe events are processed (and retried) in the background
+  if (process.env.STRIPE_EVENT_WORKER !== 'off') {
+    startStripeEventWorker(processWebhookEvent, {
+      intervalMs: Number(process.env.STRIPE_EVENT_WORKER_INTERVAL_MS || 10000),
+    });
+    console.log(' Stripe event worker started');
+  }
+
+  // Elite end-of-event credit refunds
+  if (process.env.SKILL_EVENT_SCHEDULER !== 'off') {
+    startSkillEventScheduler({
+      intervalMs: Number(process.env.SKILL_EVENT_SCHEDULER_INTERVAL_MS || 5 * 60 * 1000),
+    });
+    console.log(' Skill event scheduler started');
+  }
+
+  // Monthly credit allowances for subscriptions (annual plans between invoices)
+  if (process.env.SUBSCRIPTION_SCHEDULER !== 'off') {
+    startSubscriptionScheduler({
+      intervalMs: Number(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MS || 60 * 60 * 1000),
+    });
+    console.log(' Subscription scheduler started');
+  }
 });
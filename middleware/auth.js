@@ -0,0 +1,154 @@
+const { supabase } = require('../config/supabase');
+const { verifyPartnerKey } = require('../services/partnerKeyService');
+
+/*
+ * Caller identity for user-facing routes.
+ *
+ *  - user   : Supabase access token in `Authorization: Bearer <jwt>`.
+ *             Acts only on its own account; any email in body/query must match.
+ *  - admin  : same token, with app_metadata.role === 'admin' (or listed in ADMIN_EMAILS).
+ *  - bridge : partner server calling with its API key in `x-api-key`
+ *             (see services/partnerKeyService). Carries partnerKey + scopes.
+ *
+ * Admin and bridge callers act on behalf of the email they pass in body/query.
+ * The resolved account is exposed as req.actingEmail; handlers must use that
+ * instead of reading email from the request.
+ */
+
+function normEmail(e) {
+  return (e || '').trim().toLowerCase();
+}
+
+function adminEmails() {
+  return String(process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(normEmail)
+    .filter(Boolean);
+}
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme?.toLowerCase() === 'bearer' && token ? token.trim() : null;
+}
+
+// Resolve the caller, or null if no valid credential was presented
+async function authenticate(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    const partner = await verifyPartnerKey(apiKey);
+    return partner ? { type: 'bridge', ...partner } : null;
+  }
+
+  const token = bearerToken(req);
+  if (!token) return null;
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error || !data?.user?.email) return null;
+
+  const email = normEmail(data.user.email);
+  const isAdmin = data.user.app_metadata?.role === 'admin' || adminEmails().includes(email);
+
+  return { type: isAdmin ? 'admin' : 'user', userId: data.user.id, email };
+}
+
+function claimedEmail(req) {
+  return normEmail(req.body?.email || req.query?.email);
+}
+
+function authGuard({ subjectRequired, optional = false }) {
+  return async function (req, res, next) {
+    try {
+      const principal = await authenticate(req);
+      if (!principal && optional) return next();
+      if (!principal) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const claimed = claimedEmail(req);
+
+      if (principal.type === 'user') {
+        if (claimed && claimed !== principal.email) {
+          return res.status(403).json({ error: 'Cannot act on behalf of another user' });
+        }
+        req.actingEmail = principal.email;
+      } else {
+        // admin acting on self is allowed; bridge must name the user
+        req.actingEmail = claimed || principal.email || null;
+        if (subjectRequired && !req.actingEmail) {
+          return res.status(400).json({ error: 'email is required for delegated calls' });
+        }
+      }
+
+      req.auth = principal;
+      next();
+    } catch (err) {
+      console.error('auth middleware error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Require an authenticated caller and set req.auth + req.actingEmail.
+ * 401 without valid credentials, 403 when a user names someone else's email,
+ * 400 when a delegated caller does not say whom it acts for.
+ */
+const requireAuth = authGuard({ subjectRequired: true });
+
+// Same, but delegated callers may omit email (routes addressed by resource id)
+const requireCaller = authGuard({ subjectRequired: false });
+
+// Resolve the caller when credentials are sent, else continue anonymously
+// (req.auth / req.actingEmail unset); invalid credentials still get 401
+const optionalAuth = authGuard({ subjectRequired: true, optional: true });
+
+// Admins, or partners whose key carries `scope` (use after requireAuth).
+// With allowUsers, signed-in users (acting on their own account) pass too.
+function requireScope(scope, { allowUsers = false } = {}) {
+  return function (req, res, next) {
+    if (req.auth?.type === 'admin') return next();
+    if (allowUsers && req.auth?.type === 'user') return next();
+    if (req.auth?.type === 'bridge' && req.auth.scopes.includes(scope)) return next();
+    return res.status(403).json({ error: 'Forbidden', required_scope: scope });
+  };
+}
+
+/**
+ * Partner-only routes (/api/bridge). Requires a partner API key with `scope`
+ * and sets req.partner = { partnerKey, scopes, keyId }.
+ */
+function requirePartner(scope) {
+  return async function (req, res, next) {
+    try {
+      const partner = await verifyPartnerKey(req.headers['x-api-key']);
+      if (!partner) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+      if (!partner.scopes.includes(scope)) {
+        return res.status(403).json({ error: 'Forbidden', required_scope: scope });
+      }
+      req.partner = partner;
+      next();
+    } catch (err) {
+      console.error('requirePartner error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// Only admin users (use after requireAuth)
+function requireAdmin(req, res, next) {
+  if (req.auth?.type === 'admin') return next();
+  return res.status(403).json({ error: 'Forbidden' });
+}
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireCaller,
+  optionalAuth,
+  requireScope,
+  requirePartner,
+  requireAdmin,
+};
@@ -0,0 +1,85 @@
+const { supabase } = require('../config/supabase');
+const {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  verifySignature,
+} = require('../utils/requestSigning');
+
+// Record a nonce; false if this signer already used it (replay)
+async function claimNonce(signer, nonce, toleranceSeconds) {
+  const { error } = await supabase
+    .from('signed_request_nonces')
+    .insert({ signer, nonce });
+
+  if (error) {
+    if (error.code === '23505') return false;
+    throw error;
+  }
+
+  // Best-effort prune: anything older than the window can no longer be replayed
+  const cutoff = new Date(Date.now() - 2 * toleranceSeconds * 1000).toISOString();
+  supabase
+    .from('signed_request_nonces')
+    .delete()
+    .lt('created_at', cutoff)
+    .then(({ error: pruneErr }) => {
+      if (pruneErr) console.error('nonce prune error:', pruneErr);
+    });
+
+  return true;
+}
+
+/**
+ * Require a valid `x-crowbar-signature` on the raw request body.
+ *
+ * Options:
+ *  - getSigner(req) -> { id, secret, unsignedUntil? }  who signed it (default:
+ *    the partner resolved by requirePartner, so mount this after it). Until
+ *    unsignedUntil, a request without a signature header is let through.
+ *  - toleranceSeconds (default 300)
+ *
+ * Needs req.rawBody (set by the express.json `verify` hook in index.js).
+ */
+function requireSignature({
+  getSigner = req => req.partner && {
+    id: req.partner.partnerKey,
+    secret: req.partner.signingSecret,
+    unsignedUntil: req.partner.unsignedUntil,
+  },
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+} = {}) {
+  return async function (req, res, next) {
+    try {
+      const signer = getSigner(req);
+
+      // Keys from before signing, during their rollout window
+      if (!req.headers[SIGNATURE_HEADER] && signer?.unsignedUntil && new Date(signer.unsignedUntil) > new Date()) {
+        console.warn(`unsigned request accepted for ${signer.id} (allowed until ${signer.unsignedUntil}): ${req.method} ${req.originalUrl}`);
+        return next();
+      }
+
+      const result = verifySignature({
+        header: req.headers[SIGNATURE_HEADER],
+        rawBody: req.rawBody || '',
+        secret: signer?.secret,
+        toleranceSeconds,
+      });
+
+      if (!result.ok) {
+        console.warn(`signature rejected (${result.reason}) for ${signer?.id || 'unknown'}: ${req.method} ${req.originalUrl}`);
+        return res.status(401).json({ error: 'Invalid signature', reason: result.reason });
+      }
+
+      if (!(await claimNonce(signer.id, result.nonce, toleranceSeconds))) {
+        return res.status(401).json({ error: 'Invalid signature', reason: 'nonce_replayed' });
+      }
+
+      next();
+    } catch (err) {
+      console.error('requireSignature error:', err);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = { requireSignature };
@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const {
+  getPartners,
+  updatePartner,
+  getPartnerKeys,
+  createPartnerKey,
+  rotatePartnerKeys,
+  deletePartnerKey,
+  createSigningSecret,
+} = require('../controllers/partnerController');
+const { getStripeEvents, replayEvent } = require('../controllers/stripeEventsController');
+const { listKycSubmissions, approveKyc, rejectKyc } = require('../controllers/kycController');
+const { getCatalog, updateTier, updatePlan, updateCreditPack } = require('../controllers/catalogController');
+const {
+  getSkillEvents,
+  postSkillEvent,
+  patchSkillEvent,
+  getParticipants,
+  runRefunds,
+} = require('../controllers/skillEventsController');
+const { getAdminSeasons, postSeason, patchSeason, postSnapshot } = require('../controllers/raceController');
+const { getRewardRules, postRewardRule, patchRewardRule } = require('../controllers/rewardRulesController');
+const { getPromoCodes, postPromoCode, patchPromoCode } = require('../controllers/promoCodesController');
+
+// Every admin route needs an admin user token
+router.use(requireAuth, requireAdmin);
+
+// GET /api/admin/partners
+router.get('/partners', getPartners);
+
+// PUT /api/admin/partners/:partnerKey
+router.put('/partners/:partnerKey', updatePartner);
+
+// GET /api/admin/partners/:partnerKey/keys
+router.get('/partners/:partnerKey/keys', getPartnerKeys);
+
+// POST /api/admin/partners/:partnerKey/keys
+router.post('/partners/:partnerKey/keys', createPartnerKey);
+
+// POST /api/admin/partners/:partnerKey/keys/rotate
+router.post('/partners/:partnerKey/keys/rotate', rotatePartnerKeys);
+
+// DELETE /api/admin/partners/:partnerKey/keys/:keyId
+router.delete('/partners/:partnerKey/keys/:keyId', deletePartnerKey);
+
+// POST /api/admin/partners/:partnerKey/keys/:keyId/signing-secret
+router.post('/partners/:partnerKey/keys/:keyId/signing-secret', createSigningSecret);
+
+// GET /api/admin/stripe-events?status=dead
+router.get('/stripe-events', getStripeEvents);
+
+// POST /api/admin/stripe-events/:eventId/replay
+router.post('/stripe-events/:eventId/replay', replayEvent);
+
+// GET /api/admin/kyc?status=pending
+router.get('/kyc', listKycSubmissions);
+
+// POST /api/admin/kyc/:userId/approve
+router.post('/kyc/:userId/approve', approveKyc);
+
+// POST /api/admin/kyc/:userId/reject
+router.post('/kyc/:userId/reject', rejectKyc);
+
+// GET /api/admin/tiers
+router.get('/tiers', getCatalog);
+
+// PUT /api/admin/tiers/:key
+router.put('/tiers/:key', updateTier);
+
+// PUT /api/admin/plans/:key
+router.put('/plans/:key', updatePlan);
+
+// PUT /api/admin/credit-packs/:key
+router.put('/credit-packs/:key', updateCreditPack);
+
+// GET /api/admin/skill-events
+router.get('/skill-events', getSkillEvents);
+
+// POST /api/admin/skill-events
+router.post('/skill-events', postSkillEvent);
+
+// PATCH /api/admin/skill-events/:eventId
+router.patch('/skill-events/:eventId', patchSkillEvent);
+
+// GET /api/admin/skill-events/:eventId/participants
+router.get('/skill-events/:eventId/participants', getParticipants);
+
+// POST /api/admin/skill-events/:eventId/process-refunds
+router.post('/skill-events/:eventId/process-refunds', runRefunds);
+
+// GET /api/admin/race/seasons
+router.get('/race/seasons', getAdminSeasons);
+
+// POST /api/admin/race/seasons
+router.post('/race/seasons', postSeason);
+
+// PATCH /api/admin/race/seasons/:seasonId
+router.patch('/race/seasons/:seasonId', patchSeason);
+
+// POST /api/admin/race/seasons/:seasonId/snapshot
+router.post('/race/seasons/:seasonId/snapshot', postSnapshot);
+
+// GET /api/admin/reward-rules?partner=&action=&active=true
+router.get('/reward-rules', getRewardRules);
+
+// POST /api/admin/reward-rules
+router.post('/reward-rules', postRewardRule);
+
+// PATCH /api/admin/reward-rules/:ruleId
+router.patch('/reward-rules/:ruleId', patchRewardRule);
+
+// GET /api/admin/promo-codes?active=true
+router.get('/promo-codes', getPromoCodes);
+
+// POST /api/admin/promo-codes
+router.post('/promo-codes', postPromoCode);
+
+// PATCH /api/admin/promo-codes/:promoId
+router.patch('/promo-codes/:promoId', patchPromoCode);
+
+module.exports = router;
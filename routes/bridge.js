@@ -4,11 +4,13 @@ const {
   syncLogin,
   syncCheckout
 } = require('../controllers/bridgeController');
+const { requirePartner } = require('../middleware/auth');
+const { requireSignature } = require('../middleware/requestSignature');
 
 // POST /api/bridge/sync-login
-router.post('/sync-login', syncLogin);
+router.post('/sync-login', requirePartner('sync-login'), syncLogin);
 
-// POST /api/bridge/sync-checkout
-router.post('/sync-checkout', syncCheckout);
+// POST /api/bridge/sync-checkout (HMAC-signed: x-crowbar-signature)
+router.post('/sync-checkout', requirePartner('sync-checkout'), requireSignature(), syncCheckout);
 
 module.exports = router;
@@ -1,17 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { earnCredits, getBalance, spendCredits, applyReferralCode } = require('../controllers/creditsController');
+const {
+  earnCredits,
+  getBalance,
+  getHistory,
+  spendCredits,
+  createHold,
+  getHold,
+  captureHold,
+  releaseHold,
+  applyReferralCode,
+} = require('../controllers/creditsController');
+const { requireAuth, requireCaller, requireScope } = require('../middleware/auth');
+
+// Users act on their own account; partner keys need the scope
+const userOk = { allowUsers: true };
 
 // POST /api/credits/earn
-router.post('/earn', earnCredits);
+router.post('/earn', requireAuth, requireScope('credits:earn'), earnCredits);
+
+// GET /api/credits/balance
+router.get('/balance', requireAuth, requireScope('credits:read', userOk), getBalance);
 
-// GET /api/credits/balance?email=user@example.com
-router.get('/balance', getBalance);
+// GET /api/credits/history?origin_site=&reason=&from=&to=&cursor=
+router.get('/history', requireAuth, requireScope('credits:read', userOk), getHistory);
 
 // POST /api/credits/spend
-router.post('/spend', spendCredits);
+router.post('/spend', requireAuth, requireScope('credits:spend', userOk), spendCredits);
+
+// POST /api/credits/holds
+router.post('/holds', requireAuth, requireScope('credits:hold', userOk), createHold);
+
+// GET /api/credits/holds/:holdId
+router.get('/holds/:holdId', requireCaller, requireScope('credits:hold', userOk), getHold);
+
+// POST /api/credits/holds/:holdId/capture
+router.post('/holds/:holdId/capture', requireCaller, requireScope('credits:hold', userOk), captureHold);
+
+// POST /api/credits/holds/:holdId/release
+router.post('/holds/:holdId/release', requireCaller, requireScope('credits:hold', userOk), releaseHold);
 
 // POST /api/credits/apply_referral_code
-router.post('/apply_referral_code', applyReferralCode);
+router.post('/apply_referral_code', requireAuth, requireScope('credits:earn', userOk), applyReferralCode);
 
 module.exports = router;
@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { startGate, completeGate } = require('../controllers/gateController');
+const { optionalAuth } = require('../middleware/auth');
 
 // Start gate 
 router.post('/start', startGate);
 
 // Complete gate
-router.post('/complete', completeGate);
+router.post('/complete', optionalAuth, completeGate);
 
 module.exports = router;
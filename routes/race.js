@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { getSeasons, getRaceLeaderboard, getMyRank } = require('../controllers/raceController');
+
+// GET /api/race/seasons
+router.get('/seasons', getSeasons);
+
+// GET /api/race/leaderboard?season=&limit=
+router.get('/leaderboard', getRaceLeaderboard);
+
+// GET /api/race/leaderboard/me?season=
+router.get('/leaderboard/me', requireAuth, getMyRank);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const { getMyReferrals, regenerateCode } = require('../controllers/referralController');
+
+// GET /api/referrals/me
+router.get('/me', requireAuth, getMyReferrals);
+
+// POST /api/referrals/me/code
+router.post('/me/code', requireAuth, regenerateCode);
+
+module.exports = router;
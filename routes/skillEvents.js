@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  listEvents,
+  getMyEntries,
+  registerEvent,
+  unregisterEvent,
+} = require('../controllers/skillEventsController');
+
+// GET /api/skill-events
+router.get('/', listEvents);
+
+// GET /api/skill-events/me/entries
+router.get('/me/entries', requireAuth, getMyEntries);
+
+// POST /api/skill-events/:eventId/register
+router.post('/:eventId/register', requireAuth, registerEvent);
+
+// DELETE /api/skill-events/:eventId/register
+router.delete('/:eventId/register', requireAuth, unregisterEvent);
+
+module.exports = router;
@@ -1,12 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const {createCheckoutSession, getSessionStatus, testManualPayment, getUserAccess, syncUserAccess, getTierInfo, } = require('../controllers/stripeController');
+const {createCheckoutSession, getSessionStatus, getUserAccess, syncUserAccess, getTierInfo, getUpgradeQuote, createBillingPortalSession, } = require('../controllers/stripeController');
+const { requireAuth } = require('../middleware/auth');
 
-router.post('/create-checkout-session', createCheckoutSession);
+router.post('/create-checkout-session', requireAuth, createCheckoutSession);
 router.get('/session-status/:sessionId', getSessionStatus);
-router.post('/test-manual-payment', testManualPayment);
-router.get('/user', getUserAccess);
-router.post('/sync-user', syncUserAccess);
+router.get('/user', requireAuth, getUserAccess);
+router.post('/sync-user', requireAuth, syncUserAccess);
 router.get('/tiers', getTierInfo);
+router.get('/upgrade-quote', requireAuth, getUpgradeQuote);
+router.post('/billing-portal', requireAuth, createBillingPortalSession);
 
 module.exports = router;
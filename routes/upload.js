@@ -1,12 +1,34 @@
 // routes/upload.js
 const express = require('express');
 const multer = require('multer');
-const { supabase } = require('../config/supabase'); // adjust path if needed
+const { requireAuth } = require('../middleware/auth');
+const { signedDocumentUrl } = require('../services/kycDocumentService');
+const { MAX_UPLOAD_BYTES, storeUpload } = require('../services/uploadService');
 
 const router = express.Router();
-const upload = multer({ storage: multer.memoryStorage() });
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+});
+
+// Run multer and turn its limit errors into the same structured rejection
+function receiveFile(req, res, next) {
+  upload.single('file')(req, res, err => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({
+        success: false,
+        error: 'File rejected',
+        reasons: [{ code: err.code.toLowerCase(), message: err.message, max_bytes: MAX_UPLOAD_BYTES }],
+      });
+    }
+    next(err);
+  });
+}
 
-router.post('/upload', upload.single('file'), async (req, res) => {
+// Auth runs before multer, so delegated callers pass ?email= in the query
+router.post('/upload', requireAuth, receiveFile, async (req, res) => {
   try {
     const folder = req.body.folder || 'kyc';
     const file = req.file;
@@ -15,22 +37,25 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       return res.status(400).json({ success: false, error: 'File missing' });
     }
 
-    const filePath = `${folder}/${Date.now()}-${file.originalname}`;
+    const stored = await storeUpload({
+      email: req.actingEmail,
+      folder,
+      buffer: file.buffer,
+      originalName: file.originalname,
+    });
 
-    const { data: uploaded, error } = await supabase.storage
-      .from('user_uploads')
-      .upload(filePath, file.buffer, { contentType: file.mimetype });
-
-    if (error) {
-      console.error('Supabase upload error:', error);
-      throw error;
+    if (!stored.ok) {
+      return res.status(stored.status).json({ success: false, error: 'File rejected', reasons: stored.reasons });
     }
 
-    const {
-      data: { publicUrl },
-    } = supabase.storage.from('user_uploads').getPublicUrl(filePath);
+    // KYC documents: return the object path (to save on the profile) and a
+    // short-lived preview link, never a public URL
+    if (stored.private) {
+      const signed_url = await signedDocumentUrl(stored.path);
+      return res.json({ success: true, path: stored.path, signed_url, content_type: stored.contentType });
+    }
 
-    return res.json({ success: true, url: publicUrl });
+    return res.json({ success: true, url: stored.url, content_type: stored.contentType });
   } catch (err) {
     console.error('Upload error:', err.message);
     res.status(500).json({ success: false, error: err.message });
@@ -1,18 +1,21 @@
 // routes/users.js
 const express = require('express');
 const { supabase } = require('../config/supabase');
+const { applyCreditDelta } = require('../services/creditLedgerService');
+const { requireAuth } = require('../middleware/auth');
+const { isOwnKycPath, signedDocumentsForUser, KYC_DOCUMENT_FIELDS } = require('../services/kycDocumentService');
 
 const router = express.Router();
 
 /**
  * POST /api/user/update-profile
- * Updates user profile + triggers reward if full profile + full KYC is complete.
+ * Updates the authenticated user's profile + triggers reward if full profile + full KYC is complete.
  */
 // routes/users.js - Add detailed logging
-router.post('/user/update-profile', async (req, res) => {
+router.post('/user/update-profile', requireAuth, async (req, res) => {
   try {
+    const email = req.actingEmail;
     const {
-      email,
       full_name,
       phone,
       dob,
@@ -24,8 +27,14 @@ router.post('/user/update-profile', async (req, res) => {
       dob_doc_url
     } = req.body || {};
 
-    if (!email) {
-      return res.status(400).json({ success: false, error: 'Email is required' });
+    // KYC document fields must be paths returned by /api/upload for this user
+    const kycDocs = { id_front_url, id_back_url, selfie_url, dob_doc_url };
+    const badDoc = Object.entries(kycDocs).find(([, ref]) => ref && !isOwnKycPath(email, ref));
+    if (badDoc) {
+      return res.status(400).json({
+        success: false,
+        error: `${badDoc[0]} must be a document path returned by /api/upload`
+      });
     }
 
     // 1️ Update profile row
@@ -56,6 +65,18 @@ router.post('/user/update-profile', async (req, res) => {
     }
     console.log("FULL UPDATED USER ROW:", updatedUser);
 
+    // Re-uploaded documents after a rejection go back into the review queue
+    const resubmittedDocs = [id_front_url, id_back_url, selfie_url, dob_doc_url].some(Boolean);
+    if (updatedUser.kyc_status === 'rejected' && resubmittedDocs) {
+      const { error: kycError } = await supabase
+        .from('users')
+        .update({ kyc_status: 'pending', kyc_rejection_reason: null })
+        .eq('email', email);
+
+      if (kycError) console.error('KYC resubmission update error:', kycError);
+      else updatedUser.kyc_status = 'pending';
+    }
+
     // 2 CHECK required fields for reward - ADD DEBUG LOGGING
     const profileComplete =
       updatedUser.full_name &&
@@ -96,58 +117,29 @@ router.post('/user/update-profile', async (req, res) => {
 if (profileComplete && kycComplete && !alreadyRewarded) {
   console.log('AWARDING 20 CREDITS TO:', email);
 
-  const newCredits = (updatedUser.total_credits || 0) + 20;
-
-  // Correct primary key based on your DB structure
-  const userId = updatedUser.id;
-  console.log(" Using correct userId:", userId);
-
-  // 1️ Update users table
-  const { error: creditError } = await supabase
+  // 1️ Mark reward as given
+  const { error: flagError } = await supabase
     .from('users')
     .update({
-      total_credits: newCredits,
       profile_completed: true,
       kyc_status: 'pending'
     })
     .eq('email', email.toLowerCase());
 
-  if (creditError) {
-    console.error('Credit update error:', creditError);
+  if (flagError) {
+    console.error('Profile flag update error:', flagError);
   } else {
-
-    // 2️ INSERT into credits_ledger
-    const { error: ledgerError } = await supabase
-  .from('credits_ledger')
-  .insert([{
-    user_id: userId,                      
-    email: updatedUser.email,             
-    delta: 20,
-    reason: 'reward',
-    origin_site: 'Profile + KYC bonus',
-    reward_day: new Date().toISOString().split('T')[0],
-    created_at: new Date().toISOString()   
-  }])
-  .select(); 
-
-if (ledgerError) {
-  console.error("LEDGER INSERT ERROR:", ledgerError);
-} else {
-  console.log("LEDGER INSERT SUCCESS:", ledgerData);
-}
-
-    // 3 UPDATE credits table
-    const { error: balanceError } = await supabase
-      .from('credits')
-      .upsert({
-        user_id: userId,
-        balance: newCredits
+    // 2️ Ledger row + total_credits (atomic)
+    try {
+      await applyCreditDelta({
+        email: updatedUser.email,
+        delta: 20,
+        reason: 'reward',
+        originSite: 'Profile + KYC bonus',
+        rewardDay: new Date().toISOString().split('T')[0]
       });
-
-    if (balanceError) {
-      console.log(" FAILED updating credits table:", balanceError);
-    } else {
-      console.log("SUCCESS: Credits table updated");
+    } catch (ledgerError) {
+      console.error("LEDGER INSERT ERROR:", ledgerError);
     }
   }
 }
@@ -161,4 +153,27 @@ if (ledgerError) {
   }
 });
 
+/**
+ * GET /api/user/kyc-documents
+ * Short-lived signed links to the authenticated user's own KYC documents.
+ */
+router.get('/user/kyc-documents', requireAuth, async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(['kyc_status', ...KYC_DOCUMENT_FIELDS].join(', '))
+      .eq('email', req.actingEmail)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+
+    const documents = await signedDocumentsForUser(user);
+    return res.json({ success: true, kyc_status: user.kyc_status, documents });
+  } catch (err) {
+    console.error('KYC documents error:', err);
+    return res.status(500).json({ success: false, error: 'Failed to load documents' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
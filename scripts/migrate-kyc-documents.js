@@ -0,0 +1,124 @@
+// scripts/migrate-kyc-documents.js
+// Moves KYC documents that were stored in public buckets (kyc-documents,
+// user_uploads) into the private KYC bucket and replaces the public URLs on
+// the user row with object paths.
+//
+// Usage: node scripts/migrate-kyc-documents.js [--dry-run] [--delete-source]
+//   --dry-run        only report what would move
+//   --delete-source  remove the public object after a successful copy
+require('dotenv').config();
+
+const path = require('path');
+const { supabase } = require('../config/supabase');
+const {
+  KYC_BUCKET,
+  KYC_DOCUMENT_FIELDS,
+  isLegacyDocumentUrl,
+  parseStorageUrl,
+} = require('../services/kycDocumentService');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const DELETE_SOURCE = process.argv.includes('--delete-source');
+const PAGE_SIZE = 200;
+
+async function moveDocument(email, field, url) {
+  const source = parseStorageUrl(url);
+  if (!source) {
+    console.warn(`  ${field}: not a storage URL, skipped (${url})`);
+    return null;
+  }
+
+  const target = `${email}/${Date.now()}-${field}-${path.basename(source.path)}`;
+  if (DRY_RUN) {
+    console.log(`  ${field}: ${source.bucket}/${source.path} -> ${KYC_BUCKET}/${target}`);
+    return null;
+  }
+
+  const { data: blob, error: dlErr } = await supabase.storage.from(source.bucket).download(source.path);
+  if (dlErr) throw new Error(`download ${source.bucket}/${source.path}: ${dlErr.message}`);
+
+  const { error: upErr } = await supabase.storage
+    .from(KYC_BUCKET)
+    .upload(target, Buffer.from(await blob.arrayBuffer()), { contentType: blob.type || undefined, upsert: false });
+  if (upErr) throw new Error(`upload ${KYC_BUCKET}/${target}: ${upErr.message}`);
+
+  return { source, target };
+}
+
+async function migrateUser(user) {
+  const update = {};
+  const moved = [];
+
+  for (const field of KYC_DOCUMENT_FIELDS) {
+    if (!isLegacyDocumentUrl(user[field])) continue;
+    const result = await moveDocument(user.email, field, user[field]);
+    if (result) {
+      update[field] = result.target;
+      moved.push(result.source);
+    }
+  }
+
+  if (!Object.keys(update).length) return 0;
+
+  const { error } = await supabase.from('users').update(update).eq('id', user.id);
+  if (error) throw new Error(`update user ${user.email}: ${error.message}`);
+
+  if (DELETE_SOURCE) {
+    for (const src of moved) {
+      const { error: rmErr } = await supabase.storage.from(src.bucket).remove([src.path]);
+      if (rmErr) console.error(`  could not delete ${src.bucket}/${src.path}:`, rmErr.message);
+    }
+  }
+
+  return moved.length;
+}
+
+async function main() {
+  const orFilter = KYC_DOCUMENT_FIELDS.map(f => `${f}.like.http%`).join(',');
+  let offset = 0;
+  let users = 0;
+  let documents = 0;
+  let failures = 0;
+
+  for (;;) {
+    // Migrated rows drop out of the filter, so only advance past failures / dry-run rows
+    const { data, error } = await supabase
+      .from('users')
+      .select(['id', 'email', ...KYC_DOCUMENT_FIELDS].join(', '))
+      .or(orFilter)
+      .order('id')
+      .range(offset, offset + PAGE_SIZE - 1);
+
+    if (error) throw error;
+    if (!data?.length) break;
+
+    let skipped = 0;
+    for (const user of data) {
+      console.log(`${user.email}`);
+      try {
+        const count = await migrateUser(user);
+        if (count) {
+          users += 1;
+          documents += count;
+        } else {
+          skipped += 1;
+        }
+      } catch (err) {
+        failures += 1;
+        skipped += 1;
+        console.error(`  FAILED: ${err.message}`);
+      }
+    }
+
+    offset += skipped;
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  console.log(`${DRY_RUN ? '[dry run] ' : ''}moved ${documents} documents for ${users} users, ${failures} failures`);
+  if (failures) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error('KYC migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+const { supabase } = require("../config/supabase");
+const { applyCreditDelta } = require("./creditLedgerService");
+
+/*
+ * Spend-based auto-upgrade: once a user's spend reaches $99 (rolling 30 days
+ * from the ledger, or lifetime total_spent) they get full_access and a
+ * one-time +49 credit bonus. Shared by the bridge grants and Stripe top-ups.
+ */
+
+const AUTO_UPGRADE_SPEND_USD = 99;
+const AUTO_UPGRADE_BONUS = 49;
+
+/**
+ * Upgrade `email` if their spend qualifies. Never throws; errors are logged.
+ * `originSite` tags the bonus ledger row.
+ */
+async function autoUpgradeIfEligible(email, { originSite = "bridge_auto_upgrade" } = {}) {
+  try {
+    // rolling 30-day from credits_ledger
+    const now = new Date();
+    const start = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    const end = now.toISOString();
+
+    const { data: rows } = await supabase
+      .from("credits_ledger")
+      .select("amount_usd")
+      .eq("email", email)
+      .gte("created_at", start)
+      .lte("created_at", end)
+      .not("amount_usd", "is", null);
+
+    const rolling = (rows || []).reduce((a, r) => a + Number(r.amount_usd || 0), 0);
+
+    const { data: userRow } = await supabase
+      .from("users")
+      .select("total_spent, full_access, auto_upgraded_at")
+      .eq("email", email)
+      .single();
+
+    const effective = Math.max(rolling, Number(userRow?.total_spent || 0));
+
+    if (userRow?.full_access && userRow?.auto_upgraded_at) return;
+    if (effective < AUTO_UPGRADE_SPEND_USD) return;
+
+    // Check if bonus already exists
+    const { data: prior } = await supabase
+      .from("credits_ledger")
+      .select("id")
+      .eq("email", email)
+      .eq("reason", "auto_upgrade_bonus")
+      .limit(1);
+
+    if (!prior?.length) {
+      // grant the bonus once
+      await applyCreditDelta({
+        email,
+        delta: AUTO_UPGRADE_BONUS,
+        reason: "auto_upgrade_bonus",
+        originSite,
+      });
+    }
+
+    await supabase
+      .from("users")
+      .update({
+        full_access: true,
+        auto_upgraded_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq("email", email);
+  } catch (e) {
+    console.error("autoUpgradeIfEligible error:", e);
+  }
+}
+
+module.exports = {
+  AUTO_UPGRADE_SPEND_USD,
+  AUTO_UPGRADE_BONUS,
+  autoUpgradeIfEligible,
+};
@@ -0,0 +1,261 @@
+const { supabase } = require("../config/supabase");
+const { getCatalogSetting } = require("./tierCatalogService");
+
+// SQLSTATEs raised by the ledger functions (see supabase/migrations)
+const INSUFFICIENT_CREDITS = "CB402";
+const HOLD_NOT_FOUND = "CB404";
+const HOLD_NOT_ACTIVE = "CB409";
+
+function normEmail(e) {
+  return (e || "").trim().toLowerCase();
+}
+
+// Parse the JSON DETAIL attached to CB4xx errors ({ available, required } etc.)
+function errorDetails(err) {
+  try {
+    return err?.details ? JSON.parse(err.details) : {};
+  } catch {
+    return {};
+  }
+}
+
+function isInsufficientCredits(err) {
+  return err?.code === INSUFFICIENT_CREDITS;
+}
+
+/**
+ * Whether earning under `reason` gets the user's credit_multiplier.
+ * Patterns come from catalog_settings.multiplier_reasons: exact reasons,
+ * or prefixes ending in '*'. Nothing is multiplied if the list is unavailable.
+ */
+async function isMultiplierReason(reason) {
+  let patterns;
+  try {
+    patterns = await getCatalogSetting("multiplier_reasons", []);
+  } catch (err) {
+    console.error("multiplier_reasons lookup failed, crediting base amount:", err);
+    return false;
+  }
+  if (!Array.isArray(patterns) || !reason) return false;
+
+  return patterns.some((p) =>
+    typeof p === "string" && (p.endsWith("*") ? reason.startsWith(p.slice(0, -1)) : reason === p)
+  );
+}
+
+/**
+ * Apply a single credit movement.
+ *
+ * Runs the `apply_credit_delta` Postgres function, which inserts the
+ * credits_ledger row and updates users.total_credits in one transaction,
+ * so concurrent earn/spend calls can no longer overwrite each other.
+ *
+ * Set requireSufficient for debits that must not take the available
+ * balance (total minus active holds) below zero; those fail with
+ * error.code INSUFFICIENT_CREDITS.
+ *
+ * Positive deltas whose reason is listed in multiplier_reasons get the
+ * user's credit_multiplier: the row stores base_delta + bonus_delta.
+ * Pass multiplierReason when `reason` carries something else (e.g. an
+ * idempotency key) and eligibility should follow the real earn type.
+ *
+ * Returns { ledgerId, balance, baseDelta, bonusDelta, multiplier }.
+ * Throws the Supabase error on failure (error.code '23505' means a
+ * duplicate stripe_event_id).
+ */
+async function applyCreditDelta({
+  email,
+  delta,
+  reason,
+  originSite = null,
+  stripeSessionId = null,
+  stripeEventId = null,
+  amountUsd = null,
+  rewardDay = null,
+  requireSufficient = false,
+  multiplierReason = null,
+}) {
+  const safeEmail = normEmail(email);
+  if (!safeEmail) throw new Error("applyCreditDelta: email is required");
+
+  const safeDelta = Math.trunc(Number(delta) || 0);
+  const applyMultiplier = safeDelta > 0 && (await isMultiplierReason(multiplierReason || reason));
+
+  const { data, error } = await supabase
+    .rpc("apply_credit_delta", {
+      p_email: safeEmail,
+      p_delta: safeDelta,
+      p_reason: reason,
+      p_origin_site: originSite,
+      p_stripe_session_id: stripeSessionId,
+      p_stripe_event_id: stripeEventId,
+      p_amount_usd: amountUsd,
+      p_reward_day: rewardDay,
+      p_require_sufficient: requireSufficient,
+      p_apply_multiplier: applyMultiplier,
+    })
+    .single();
+
+  if (error) {
+    if (!isInsufficientCredits(error)) console.error("apply_credit_delta error:", error);
+    throw error;
+  }
+
+  return {
+    ledgerId: data?.ledger_id ?? null,
+    balance: data?.balance ?? 0,
+    baseDelta: data?.base_delta ?? safeDelta,
+    bonusDelta: data?.bonus_delta ?? 0,
+    multiplier: data?.multiplier ?? null,
+  };
+}
+
+/**
+ * Reserve credits without spending them. The hold counts against the
+ * available balance until it is captured, released or expires.
+ *
+ * Returns { holdId, available, expiresAt }.
+ */
+async function createCreditHold({ email, amount, originSite = null, reference = null, ttlSeconds = 900 }) {
+  const safeEmail = normEmail(email);
+  if (!safeEmail) throw new Error("createCreditHold: email is required");
+
+  const { data, error } = await supabase
+    .rpc("create_credit_hold", {
+      p_email: safeEmail,
+      p_amount: Math.trunc(Number(amount) || 0),
+      p_origin_site: originSite,
+      p_reference: reference,
+      p_ttl_seconds: ttlSeconds,
+    })
+    .single();
+
+  if (error) {
+    if (!isInsufficientCredits(error)) console.error("create_credit_hold error:", error);
+    throw error;
+  }
+
+  return { holdId: data?.hold_id, available: data?.available ?? 0, expiresAt: data?.expires_at };
+}
+
+// Commit a hold: writes the debit ledger row. Returns { ledgerId, balance }.
+async function captureCreditHold(holdId, reason = "hold.capture") {
+  const { data, error } = await supabase
+    .rpc("capture_credit_hold", { p_hold_id: holdId, p_reason: reason })
+    .single();
+
+  if (error) {
+    console.error("capture_credit_hold error:", error);
+    throw error;
+  }
+
+  return { ledgerId: data?.ledger_id ?? null, balance: data?.balance ?? 0 };
+}
+
+// Drop a hold without touching the ledger.
+async function releaseCreditHold(holdId) {
+  const { error } = await supabase.rpc("release_credit_hold", { p_hold_id: holdId });
+
+  if (error) {
+    console.error("release_credit_hold error:", error);
+    throw error;
+  }
+}
+
+async function getCreditHold(holdId) {
+  const { data, error } = await supabase
+    .from("credit_holds")
+    .select("*")
+    .eq("id", holdId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+const HISTORY_DEFAULT_LIMIT = 25;
+const HISTORY_MAX_LIMIT = 100;
+
+// Opaque cursor: base64url of the last row's (created_at, id)
+function encodeHistoryCursor(row) {
+  return Buffer.from(JSON.stringify({ c: row.created_at, i: row.id })).toString("base64url");
+}
+
+function decodeHistoryCursor(cursor) {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    // Keep the raw timestamp (microsecond precision); only allow timestamp characters
+    if (!/^[0-9T:.+\- Z]+$/.test(String(c)) || Number.isNaN(Date.parse(c))) return null;
+    if (!/^[0-9a-f-]+$/i.test(String(i))) return null;
+    return { createdAt: String(c), id: String(i) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Page through a user's credits_ledger, newest first, with the running
+ * balance after each row (credits_ledger_history view).
+ *
+ * Filters: originSite, reasons (array), from / to (ISO dates, inclusive).
+ * Returns { items, nextCursor }. Throws on an invalid cursor.
+ */
+async function listLedgerHistory({ email, originSite = null, reasons = null, from = null, to = null, limit, cursor = null }) {
+  const safeEmail = normEmail(email);
+  if (!safeEmail) throw new Error("listLedgerHistory: email is required");
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || HISTORY_DEFAULT_LIMIT, 1), HISTORY_MAX_LIMIT);
+
+  let query = supabase
+    .from("credits_ledger_history")
+    .select("id, delta, base_delta, bonus_delta, multiplier, reason, origin_site, amount_usd, stripe_session_id, created_at, running_balance")
+    .eq("email", safeEmail);
+
+  if (originSite) query = query.eq("origin_site", originSite);
+  if (reasons?.length) query = query.in("reason", reasons);
+  if (from) query = query.gte("created_at", from);
+  if (to) query = query.lte("created_at", to);
+
+  if (cursor) {
+    const pos = decodeHistoryCursor(cursor);
+    if (!pos) {
+      const err = new Error("Invalid cursor");
+      err.code = "invalid_cursor";
+      throw err;
+    }
+    query = query.or(
+      `created_at.lt."${pos.createdAt}",and(created_at.eq."${pos.createdAt}",id.lt.${pos.id})`
+    );
+  }
+
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(pageSize + 1);
+
+  if (error) {
+    console.error("listLedgerHistory error:", error);
+    throw error;
+  }
+
+  const rows = data || [];
+  const items = rows.slice(0, pageSize);
+  const nextCursor = rows.length > pageSize ? encodeHistoryCursor(items[items.length - 1]) : null;
+
+  return { items, nextCursor };
+}
+
+module.exports = {
+  INSUFFICIENT_CREDITS,
+  HOLD_NOT_FOUND,
+  HOLD_NOT_ACTIVE,
+  errorDetails,
+  isInsufficientCredits,
+  isMultiplierReason,
+  applyCreditDelta,
+  createCreditHold,
+  captureCreditHold,
+  releaseCreditHold,
+  getCreditHold,
+  listLedgerHistory,
+};
@@ -0,0 +1,97 @@
+const { supabase } = require("../config/supabase");
+
+// users columns that point at uploaded KYC documents (object paths in KYC_BUCKET)
+const KYC_DOCUMENT_FIELDS = ["id_doc_url", "id_front_url", "id_back_url", "selfie_url", "dob_doc_url"];
+
+// Private bucket; never hand out public URLs for these objects
+const KYC_BUCKET = process.env.KYC_BUCKET || "kyc-private";
+
+const SIGNED_URL_TTL_SECONDS = 10 * 60;
+
+// ".../storage/v1/object/public/<bucket>/<path>" -> { bucket, path }
+function parseStorageUrl(url) {
+  const match = String(url || "").match(/\/storage\/v1\/object\/(?:public|sign)\/([^/]+)\/([^?]+)/);
+  if (!match) return null;
+  return { bucket: match[1], path: decodeURIComponent(match[2]) };
+}
+
+// A users column value -> { bucket, path }. Paths live in KYC_BUCKET; full
+// URLs are legacy public uploads not yet moved by the migration script.
+function isLegacyDocumentUrl(ref) {
+  return /^https?:\/\//i.test(String(ref || ""));
+}
+
+function resolveDocumentLocation(ref) {
+  if (!ref) return null;
+  if (isLegacyDocumentUrl(ref)) return parseStorageUrl(ref);
+  return { bucket: KYC_BUCKET, path: String(ref).replace(/^\/+/, "") };
+}
+
+// Owner folder for a user's KYC objects
+function kycFolder(email) {
+  return (email || "").trim().toLowerCase();
+}
+
+// True if `path` is an object in this user's own KYC folder
+function isOwnKycPath(email, path) {
+  const folder = kycFolder(email);
+  return Boolean(folder) && typeof path === "string" && path.startsWith(`${folder}/`) && !path.includes("..");
+}
+
+/**
+ * Store a KYC document in the private bucket.
+ * Returns the object path, which is what gets saved on the user row.
+ */
+async function uploadKycDocument(email, buffer, { contentType, fileName }) {
+  const safeName = String(fileName || "document").replace(/[^A-Za-z0-9._-]/g, "_");
+  const path = `${kycFolder(email)}/${Date.now()}-${safeName}`;
+
+  const { error } = await supabase.storage
+    .from(KYC_BUCKET)
+    .upload(path, buffer, { contentType, upsert: false });
+
+  if (error) throw error;
+  return path;
+}
+
+/**
+ * Short-lived link to a stored KYC document. Only call this for the
+ * document owner or an admin reviewer.
+ * Returns null when the reference is empty or cannot be resolved.
+ */
+async function signedDocumentUrl(ref, expiresIn = SIGNED_URL_TTL_SECONDS) {
+  const location = resolveDocumentLocation(ref);
+  if (!location) return null;
+
+  const { data, error } = await supabase.storage
+    .from(location.bucket)
+    .createSignedUrl(location.path, expiresIn);
+
+  if (error) {
+    console.error("createSignedUrl error:", error.message || error);
+    return null;
+  }
+  return data?.signedUrl || null;
+}
+
+// { id_doc_url: <signed url|null>, ... } for every document field set on the user
+async function signedDocumentsForUser(user, expiresIn = SIGNED_URL_TTL_SECONDS) {
+  const docs = {};
+  for (const field of KYC_DOCUMENT_FIELDS) {
+    if (user?.[field]) docs[field] = await signedDocumentUrl(user[field], expiresIn);
+  }
+  return docs;
+}
+
+module.exports = {
+  KYC_DOCUMENT_FIELDS,
+  KYC_BUCKET,
+  SIGNED_URL_TTL_SECONDS,
+  parseStorageUrl,
+  resolveDocumentLocation,
+  isLegacyDocumentUrl,
+  isOwnKycPath,
+  uploadKycDocument,
+  signedDocumentUrl,
+  signedDocumentsForUser,
+};
@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const { supabase } = require("../config/supabase");
+
+const PARTNER_SCOPES = [
+  "sync-login",
+  "sync-checkout",
+  "credits:earn",
+  "credits:spend",
+  "credits:hold",
+  "credits:read",
+];
+
+function hashKey(rawKey) {
+  return crypto.createHash("sha256").update(String(rawKey)).digest("hex");
+}
+
+function generateKey() {
+  return `cbk_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function generateSigningSecret() {
+  return `cbs_${crypto.randomBytes(32).toString("base64url")}`;
+}
+
+function validScopes(scopes) {
+  return Array.isArray(scopes) && scopes.length > 0 && scopes.every((s) => PARTNER_SCOPES.includes(s));
+}
+
+/**
+ * Resolve a raw API key to its partner.
+ * Returns { partnerKey, scopes, keyId, signingSecret, unsignedUntil } or null if the key is unknown,
+ * revoked, expired or belongs to an inactive partner.
+ */
+async function verifyPartnerKey(rawKey) {
+  if (!rawKey) return null;
+
+  const { data, error } = await supabase
+    .from("partner_api_keys")
+    .select("id, partner_key, scopes, signing_secret, unsigned_until, expires_at, revoked_at, partners!inner(active)")
+    .eq("key_hash", hashKey(rawKey))
+    .maybeSingle();
+
+  if (error) {
+    console.error("verifyPartnerKey error:", error);
+    return null;
+  }
+  if (!data || data.revoked_at || !data.partners?.active) return null;
+  if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+  // best-effort usage stamp
+  supabase
+    .from("partner_api_keys")
+    .update({ last_used_at: new Date().toISOString() })
+    .eq("id", data.id)
+    .then(({ error: touchErr }) => {
+      if (touchErr) console.error("partner key last_used_at error:", touchErr);
+    });
+
+  return {
+    partnerKey: data.partner_key,
+    scopes: data.scopes || [],
+    keyId: data.id,
+    signingSecret: data.signing_secret || null,
+    unsignedUntil: data.unsigned_until || null,
+  };
+}
+
+// Create a key + signing secret. The plaintext values are only returned here.
+async function issuePartnerKey(partnerKey, scopes) {
+  if (!validScopes(scopes)) {
+    throw new Error(`scopes must be a non-empty subset of ${PARTNER_SCOPES.join(", ")}`);
+  }
+
+  const apiKey = generateKey();
+  const signingSecret = generateSigningSecret();
+  const { data, error } = await supabase
+    .from("partner_api_keys")
+    .insert({
+      partner_key: partnerKey,
+      key_prefix: apiKey.slice(0, 12),
+      key_hash: hashKey(apiKey),
+      signing_secret: signingSecret,
+      scopes,
+    })
+    .select("id, partner_key, key_prefix, scopes, created_at")
+    .single();
+
+  if (error) throw error;
+  return { ...data, api_key: apiKey, signing_secret: signingSecret };
+}
+
+/**
+ * Issue a new key and let the partner's current keys expire after
+ * graceHours, so the partner can deploy the new key without downtime.
+ * Scopes default to the union of the keys being rotated out.
+ */
+async function rotatePartnerKey(partnerKey, { scopes = null, graceHours = 24 } = {}) {
+  const nowIso = new Date().toISOString();
+
+  const { data: current, error: curErr } = await supabase
+    .from("partner_api_keys")
+    .select("id, scopes, expires_at")
+    .eq("partner_key", partnerKey)
+    .is("revoked_at", null)
+    .or(`expires_at.is.null,expires_at.gt."${nowIso}"`);
+
+  if (curErr) throw curErr;
+
+  const inherited = Array.from(new Set((current || []).flatMap((k) => k.scopes || [])));
+  const issued = await issuePartnerKey(partnerKey, scopes || inherited);
+
+  const graceUntil = new Date(Date.now() + Math.max(Number(graceHours) || 0, 0) * 3600 * 1000).toISOString();
+  const rotateIds = (current || [])
+    .filter((k) => !k.expires_at || k.expires_at > graceUntil)
+    .map((k) => k.id);
+
+  if (rotateIds.length) {
+    const { error: expErr } = await supabase
+      .from("partner_api_keys")
+      .update({ expires_at: graceUntil })
+      .in("id", rotateIds);
+    if (expErr) throw expErr;
+  }
+
+  return { ...issued, previous_keys_expire_at: rotateIds.length ? graceUntil : null };
+}
+
+async function revokePartnerKey(partnerKey, keyId) {
+  const { data, error } = await supabase
+    .from("partner_api_keys")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("partner_key", partnerKey)
+    .eq("id", keyId)
+    .is("revoked_at", null)
+    .select("id")
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+}
+
+/**
+ * Give a key issued before request signing its signing secret. The plaintext
+ * is only returned here; null if the key is unknown, revoked or already has one.
+ */
+async function issueSigningSecret(partnerKey, keyId) {
+  const signingSecret = generateSigningSecret();
+  const { data, error } = await supabase
+    .from("partner_api_keys")
+    .update({ signing_secret: signingSecret })
+    .eq("partner_key", partnerKey)
+    .eq("id", keyId)
+    .is("signing_secret", null)
+    .is("revoked_at", null)
+    .select("id, partner_key, key_prefix, unsigned_until")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? { ...data, signing_secret: signingSecret } : null;
+}
+
+async function listPartnerKeys(partnerKey) {
+  const { data, error } = await supabase
+    .from("partner_api_keys")
+    .select("id, key_prefix, scopes, created_at, expires_at, revoked_at, last_used_at, unsigned_until")
+    .eq("partner_key", partnerKey)
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  PARTNER_SCOPES,
+  hashKey,
+  verifyPartnerKey,
+  issuePartnerKey,
+  rotatePartnerKey,
+  revokePartnerKey,
+  issueSigningSecret,
+  listPartnerKeys,
+};
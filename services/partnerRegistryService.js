@@ -0,0 +1,232 @@
+const { supabase } = require("../config/supabase");
+
+/*
+ * Partner registry (partners + user_partner_access tables).
+ *
+ * Gate redirects, checkout partner checks and the CORS allow-list all read
+ * partners from here, so adding a brand is a row insert. Partners are cached
+ * for PARTNER_REGISTRY_TTL_MS (default 60s); the last good copy is kept if a
+ * reload fails.
+ */
+
+const CACHE_TTL_MS = Number(process.env.PARTNER_REGISTRY_TTL_MS) || 60 * 1000;
+
+const PARTNER_COLUMNS =
+  "key, display_name, redirect_url, allowed_origins, access_enabled, pass_price_cents, pass_stripe_price_id, active";
+
+let cache = null; // { loadedAt, partners, byKey, origins }
+
+const isUrl = (v) => {
+  try {
+    return ["http:", "https:"].includes(new URL(v).protocol);
+  } catch (e) {
+    return false;
+  }
+};
+
+// Browser Origin form of a URL (scheme://host[:port], no trailing slash)
+const toOrigin = (v) => new URL(v).origin;
+
+/**
+ * Check a partner row. Returns { ok: true, partner } or { ok: false, errors }.
+ */
+function validatePartner(row) {
+  const errors = [];
+  const partner = {
+    ...row,
+    redirect_url: row?.redirect_url || null,
+    allowed_origins: row?.allowed_origins ?? [],
+    access_enabled: row?.access_enabled !== false,
+    pass_price_cents: row?.pass_price_cents == null ? null : Number(row.pass_price_cents),
+    pass_stripe_price_id: row?.pass_stripe_price_id || null,
+    active: row?.active !== false,
+  };
+
+  if (!/^[a-z0-9_]+$/.test(String(partner.key || ""))) errors.push("key must match [a-z0-9_]+");
+  if (typeof partner.display_name !== "string" || !partner.display_name.trim()) errors.push("display_name is required");
+  if (partner.redirect_url && !isUrl(partner.redirect_url)) errors.push("redirect_url must be an http(s) URL");
+  if (partner.pass_price_cents !== null && !(Number.isInteger(partner.pass_price_cents) && partner.pass_price_cents > 0)) {
+    errors.push("pass_price_cents must be a positive integer or null");
+  }
+  if (partner.pass_stripe_price_id && !/^price_\w+$/.test(partner.pass_stripe_price_id)) {
+    errors.push("pass_stripe_price_id must be a Stripe price id");
+  }
+  if (!Array.isArray(partner.allowed_origins) || !partner.allowed_origins.every(isUrl)) {
+    errors.push("allowed_origins must be a list of http(s) origins");
+  } else {
+    partner.allowed_origins = partner.allowed_origins.map(toOrigin);
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, partner };
+}
+
+async function fetchPartners() {
+  const { data, error } = await supabase
+    .from("partners")
+    .select(PARTNER_COLUMNS)
+    .order("key", { ascending: true });
+
+  if (error) throw error;
+
+  const partners = [];
+  for (const row of data || []) {
+    const result = validatePartner(row);
+    if (!result.ok) {
+      console.error(`partner registry: skipping invalid partner ${row?.key}:`, result.errors);
+      continue;
+    }
+    partners.push(result.partner);
+  }
+
+  const active = partners.filter((p) => p.active);
+  return {
+    loadedAt: Date.now(),
+    partners,
+    byKey: Object.fromEntries(active.map((p) => [p.key, p])),
+    origins: new Set(active.flatMap((p) => p.allowed_origins)),
+  };
+}
+
+/**
+ * Cached registry: { partners (all valid rows), byKey (active only), origins }.
+ * Throws only if the registry has never loaded.
+ */
+async function loadPartners({ force = false } = {}) {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  try {
+    cache = await fetchPartners();
+  } catch (err) {
+    if (!cache) throw err;
+    console.error("partner registry reload failed, serving cached copy:", err);
+  }
+  return cache;
+}
+
+function invalidatePartners() {
+  cache = null;
+}
+
+// Active partners
+async function listPartners() {
+  const { partners } = await loadPartners();
+  return partners.filter((p) => p.active);
+}
+
+// Partner by key, or null (inactive ones only with includeInactive)
+async function getPartner(key, { includeInactive = false } = {}) {
+  if (!key) return null;
+  const { byKey, partners } = await loadPartners();
+  if (includeInactive) return partners.find((p) => p.key === key) || null;
+  return byKey[key] || null;
+}
+
+// Partner redirect, trying each key in turn; null when none match
+async function partnerRedirect(...keys) {
+  for (const key of keys) {
+    const partner = await getPartner(key);
+    if (partner?.redirect_url) return partner.redirect_url;
+  }
+  return null;
+}
+
+// Whether a browser Origin belongs to an active partner (CORS)
+async function isPartnerOrigin(origin) {
+  if (!origin) return false;
+  const { origins } = await loadPartners();
+  return origins.has(origin);
+}
+
+/**
+ * Create or update a partner (admin). `changes` is merged over the stored row.
+ * Returns { ok: true, created, partner } or { ok: false, errors }.
+ */
+async function savePartner(key, changes) {
+  const { data: existing, error: readError } = await supabase
+    .from("partners")
+    .select(PARTNER_COLUMNS)
+    .eq("key", key)
+    .maybeSingle();
+
+  if (readError) throw readError;
+
+  const result = validatePartner({ ...(existing || {}), ...changes, key });
+  if (!result.ok) return result;
+
+  const row = Object.fromEntries(PARTNER_COLUMNS.split(", ").map((col) => [col, result.partner[col]]));
+
+  const { data, error } = await supabase
+    .from("partners")
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: "key" })
+    .select(PARTNER_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  invalidatePartners();
+  return { ok: true, created: !existing, partner: data };
+}
+
+/* ------------------------- Per-user partner access ------------------------- */
+
+// Partner keys `email` has access to
+async function listPartnerAccess(email) {
+  const { data, error } = await supabase
+    .from("user_partner_access")
+    .select("partner_key")
+    .eq("email", email)
+    .order("partner_key", { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map((r) => r.partner_key);
+}
+
+/**
+ * Grant access to one or more partners. Existing grants are kept as they are
+ * (the first source wins). `source`: limited_pass | membership | bridge_unlock
+ * | dispute_restore.
+ */
+async function grantPartnerAccess(email, partnerKeys, source, { stripeSessionId = null } = {}) {
+  const keys = [].concat(partnerKeys).filter(Boolean);
+  if (!keys.length) return;
+
+  const { error } = await supabase
+    .from("user_partner_access")
+    .upsert(
+      keys.map((partnerKey) => ({ email, partner_key: partnerKey, source, stripe_session_id: stripeSessionId })),
+      { onConflict: "email,partner_key", ignoreDuplicates: true }
+    );
+
+  if (error) throw error;
+}
+
+// Access to every active partner that can be unlocked (lifetime membership)
+async function grantAllPartnerAccess(email, source, opts = {}) {
+  const partners = await listPartners();
+  await grantPartnerAccess(email, partners.filter((p) => p.access_enabled).map((p) => p.key), source, opts);
+}
+
+async function revokePartnerAccess(email, partnerKey) {
+  const { error } = await supabase
+    .from("user_partner_access")
+    .delete()
+    .eq("email", email)
+    .eq("partner_key", partnerKey);
+
+  if (error) throw error;
+}
+
+module.exports = {
+  validatePartner,
+  loadPartners,
+  invalidatePartners,
+  listPartners,
+  getPartner,
+  partnerRedirect,
+  isPartnerOrigin,
+  savePartner,
+  listPartnerAccess,
+  grantPartnerAccess,
+  grantAllPartnerAccess,
+  revokePartnerAccess,
+};
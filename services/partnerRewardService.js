@@ -0,0 +1,260 @@
+const { supabase } = require("../config/supabase");
+const { isMultiplierReason } = require("./creditLedgerService");
+
+/*
+ * Partner action rewards (partner_reward_rules).
+ *
+ * Amount, cooldown, lifetime cap, tier restriction and date window live in
+ * rows, so a promo ("double credits on TalentKonnect this week") is a new rule
+ * with a higher priority and an ends_at, not a deploy. Rules are per action:
+ * 'visit' is paid by the gate, 'login' by the bridge sync-login and 'checkout'
+ * by the bridge sync-checkout (amount + credits_per_usd of the purchase, capped
+ * at max_credits). All go through grant_partner_reward, which picks the rule
+ * and enforces the limits under the user row lock.
+ */
+
+const REWARD_REASON = "action.rewarded";
+const ACTIONS = ["visit", "login", "checkout"];
+const COOLDOWNS = ["daily", "weekly", "rolling", "none"];
+
+const RULE_FIELDS = [
+  "partner_key",
+  "action",
+  "name",
+  "amount",
+  "credits_per_usd",
+  "max_credits",
+  "cooldown",
+  "cooldown_hours",
+  "lifetime_cap",
+  "required_tiers",
+  "starts_at",
+  "ends_at",
+  "priority",
+  "active",
+];
+
+const isNonNegInt = (v) => Number.isInteger(v) && v >= 0;
+const isPosInt = (v) => Number.isInteger(v) && v > 0;
+
+/**
+ * Check rule fields (a full rule when `partial` is false).
+ * Returns { ok: true, values } or { ok: false, errors }.
+ */
+function validateRule(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of RULE_FIELDS) {
+    if (input?.[field] !== undefined) values[field] = input[field];
+  }
+
+  if (!partial || values.partner_key !== undefined) {
+    if (typeof values.partner_key !== "string" || !values.partner_key.trim()) errors.push("partner_key is required");
+  }
+  if (!partial || values.name !== undefined) {
+    if (typeof values.name !== "string" || !values.name.trim()) errors.push("name is required");
+  }
+  if (!partial || values.amount !== undefined) {
+    if (!isNonNegInt(values.amount)) errors.push("amount must be a non-negative integer");
+  }
+  if (values.action !== undefined && !ACTIONS.includes(values.action)) {
+    errors.push(`action must be one of: ${ACTIONS.join(", ")}`);
+  }
+  if (values.cooldown !== undefined && !COOLDOWNS.includes(values.cooldown)) {
+    errors.push(`cooldown must be one of: ${COOLDOWNS.join(", ")}`);
+  }
+  if (values.credits_per_usd !== undefined && values.credits_per_usd !== null) {
+    if (typeof values.credits_per_usd !== "number" || !(values.credits_per_usd >= 0)) {
+      errors.push("credits_per_usd must be a non-negative number or null");
+    }
+  }
+  for (const field of ["max_credits", "cooldown_hours", "lifetime_cap"]) {
+    if (values[field] !== undefined && values[field] !== null && !isPosInt(values[field])) {
+      errors.push(`${field} must be a positive integer or null`);
+    }
+  }
+  if (values.required_tiers !== undefined && values.required_tiers !== null) {
+    if (!Array.isArray(values.required_tiers) || !values.required_tiers.every((t) => typeof t === "string")) {
+      errors.push("required_tiers must be a list of tier keys or null");
+    }
+  }
+  for (const field of ["starts_at", "ends_at"]) {
+    if (values[field] !== undefined && values[field] !== null) {
+      if (Number.isNaN(Date.parse(values[field]))) errors.push(`${field} must be an ISO date`);
+      else values[field] = new Date(values[field]).toISOString();
+    }
+  }
+  if (values.priority !== undefined && !Number.isInteger(values.priority)) errors.push("priority must be an integer");
+  if (values.active !== undefined && typeof values.active !== "boolean") errors.push("active must be a boolean");
+
+  return errors.length ? { ok: false, errors } : { ok: true, values };
+}
+
+// Cross-field checks against the merged (stored + new) rule
+function checkRuleShape(rule) {
+  const errors = [];
+  if ((rule.cooldown || "daily") === "rolling" && !rule.cooldown_hours) {
+    errors.push("cooldown_hours is required for a rolling cooldown");
+  }
+  if (rule.starts_at && rule.ends_at && new Date(rule.ends_at) <= new Date(rule.starts_at)) {
+    errors.push("ends_at must be after starts_at");
+  }
+  return errors;
+}
+
+async function getRewardRule(id) {
+  const { data, error } = await supabase
+    .from("partner_reward_rules")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Rules ordered the way grant_partner_reward picks them (priority first)
+async function listRewardRules({ partnerKey = null, action = null, activeOnly = false } = {}) {
+  let query = supabase.from("partner_reward_rules").select("*");
+
+  if (partnerKey) query = query.eq("partner_key", partnerKey);
+  if (action) query = query.eq("action", action);
+  if (activeOnly) query = query.eq("active", true);
+
+  const { data, error } = await query
+    .order("partner_key", { ascending: true })
+    .order("priority", { ascending: false })
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/** Returns { ok: true, rule } or { ok: false, errors }. */
+async function createRewardRule(input) {
+  const result = validateRule(input);
+  if (!result.ok) return result;
+
+  const errors = checkRuleShape(result.values);
+  if (errors.length) return { ok: false, errors };
+
+  const { data: partner, error: partnerError } = await supabase
+    .from("partners")
+    .select("key")
+    .eq("key", result.values.partner_key)
+    .maybeSingle();
+  if (partnerError) throw partnerError;
+  if (!partner) return { ok: false, errors: [`unknown partner: ${result.values.partner_key}`] };
+
+  const { data, error } = await supabase
+    .from("partner_reward_rules")
+    .insert(result.values)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return { ok: true, rule: data };
+}
+
+/**
+ * Update a rule; partner_key and action cannot change.
+ * Returns { ok: true, rule }, { ok: false, errors } or null when not found.
+ */
+async function updateRewardRule(id, input) {
+  const existing = await getRewardRule(id);
+  if (!existing) return null;
+
+  const { partner_key: _partner, action: _action, ...changes } = input || {};
+  const result = validateRule(changes, { partial: true });
+  if (!result.ok) return result;
+
+  const errors = checkRuleShape({ ...existing, ...result.values });
+  if (errors.length) return { ok: false, errors };
+
+  const { data, error } = await supabase
+    .from("partner_reward_rules")
+    .update({ ...result.values, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return { ok: true, rule: data };
+}
+
+/**
+ * Pay `email` the reward for `action` ('visit' | 'login' | 'checkout') on
+ * `partnerKey`, if a rule allows it. Checkouts pass the purchase amount, a
+ * `reference` that is paid at most once, and the ledger `reason`.
+ * Returns { awarded, credits, base_delta, bonus_delta, multiplier, rule_id,
+ * reason, next_eligible_at }; reason is 'granted', 'no_active_rule',
+ * 'already_granted', 'cooldown' or 'lifetime_cap_reached'.
+ */
+async function awardPartnerReward(
+  email,
+  partnerKey,
+  action = "visit",
+  { amountUsd = null, reference = null, stripeSessionId = null, reason = REWARD_REASON } = {}
+) {
+  const { data, error } = await supabase
+    .rpc("grant_partner_reward", {
+      p_email: email,
+      p_partner_key: partnerKey,
+      p_action: action,
+      p_apply_multiplier: await isMultiplierReason(reason),
+      p_amount_usd: amountUsd,
+      p_reference: reference,
+      p_stripe_session_id: stripeSessionId,
+      p_reason: reason,
+    })
+    .single();
+
+  if (error) throw error;
+
+  if (!data?.granted) {
+    return {
+      awarded: false,
+      credits: 0,
+      rule_id: data?.rule_id || null,
+      reason: data?.reason || "no_active_rule",
+      next_eligible_at: data?.next_eligible_at || null,
+    };
+  }
+
+  const credits = data.base_delta + data.bonus_delta;
+
+  // legacy history
+  const { error: legacyError } = await supabase.from("credits").insert([{
+    email,
+    amount: credits,
+    origin_site: partnerKey,
+    eligible_global_race: false,
+    legal_accept: true,
+    stripe_session_id: stripeSessionId,
+  }]);
+  if (legacyError) console.error("partner reward legacy credits insert error:", legacyError);
+
+  return {
+    awarded: true,
+    credits,
+    base_delta: data.base_delta,
+    bonus_delta: data.bonus_delta,
+    multiplier: Number(data.multiplier),
+    rule_id: data.rule_id,
+    reason: data.reason,
+    next_eligible_at: null,
+  };
+}
+
+module.exports = {
+  REWARD_REASON,
+  ACTIONS,
+  COOLDOWNS,
+  validateRule,
+  getRewardRule,
+  listRewardRules,
+  createRewardRule,
+  updateRewardRule,
+  awardPartnerReward,
+};
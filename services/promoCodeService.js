@@ -0,0 +1,323 @@
+const { supabase } = require("../config/supabase");
+const { loadCatalog } = require("./tierCatalogService");
+
+/*
+ * Promo codes for membership checkouts (promo_codes + promo_redemptions).
+ *
+ * A code maps to a Stripe coupon or promotion code that Checkout applies;
+ * our side enforces the window, redemption caps, per-user limit and tier
+ * restriction. Opening a checkout reserves a 'pending' redemption
+ * (reserve_promo_redemption, under a lock on the code) that holds a slot
+ * until the session expires; the paid session completes it, and its discount
+ * is stamped on the purchase's ledger row.
+ */
+
+// SQLSTATEs raised by reserve_promo_redemption
+const PROMO_NOT_FOUND = "CB404";
+const PROMO_UNAVAILABLE = "CB409";
+
+// Matches the checkout session lifetime
+const HOLD_MINUTES = 30;
+
+const PROMO_FIELDS = [
+  "code",
+  "description",
+  "stripe_coupon_id",
+  "stripe_promotion_code_id",
+  "percent_off",
+  "amount_off_cents",
+  "max_redemptions",
+  "per_user_limit",
+  "allowed_tiers",
+  "starts_at",
+  "expires_at",
+  "active",
+];
+
+const isPosInt = (v) => Number.isInteger(v) && v > 0;
+
+/**
+ * Check promo fields (a full code when `partial` is false).
+ * Returns { ok: true, values } or { ok: false, errors }.
+ */
+function validatePromo(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of PROMO_FIELDS) {
+    if (input?.[field] !== undefined) values[field] = input[field];
+  }
+
+  if (!partial || values.code !== undefined) {
+    values.code = String(values.code || "").trim().toUpperCase();
+    if (!/^[A-Z0-9_-]+$/.test(values.code)) errors.push("code must match [A-Z0-9_-]+");
+  }
+  if (values.description !== undefined && values.description !== null && typeof values.description !== "string") {
+    errors.push("description must be a string");
+  }
+  if (values.stripe_coupon_id !== undefined && values.stripe_coupon_id !== null && typeof values.stripe_coupon_id !== "string") {
+    errors.push("stripe_coupon_id must be a string");
+  }
+  if (values.stripe_promotion_code_id != null && !/^promo_\w+$/.test(String(values.stripe_promotion_code_id))) {
+    errors.push("stripe_promotion_code_id must be a Stripe promotion code id");
+  }
+  if (values.percent_off != null) {
+    const pct = Number(values.percent_off);
+    if (!(pct > 0 && pct <= 100)) errors.push("percent_off must be between 0 and 100");
+    else values.percent_off = pct;
+  }
+  if (values.amount_off_cents != null && !isPosInt(values.amount_off_cents)) {
+    errors.push("amount_off_cents must be a positive integer");
+  }
+  for (const field of ["max_redemptions", "per_user_limit"]) {
+    if (values[field] !== undefined && values[field] !== null && !isPosInt(values[field])) {
+      errors.push(`${field} must be a positive integer or null`);
+    }
+  }
+  if (values.allowed_tiers !== undefined && values.allowed_tiers !== null) {
+    if (!Array.isArray(values.allowed_tiers) || !values.allowed_tiers.every((t) => typeof t === "string")) {
+      errors.push("allowed_tiers must be a list of tier keys or null");
+    }
+  }
+  for (const field of ["starts_at", "expires_at"]) {
+    if (values[field] !== undefined && values[field] !== null) {
+      if (Number.isNaN(Date.parse(values[field]))) errors.push(`${field} must be an ISO date`);
+      else values[field] = new Date(values[field]).toISOString();
+    }
+  }
+  if (values.active !== undefined && typeof values.active !== "boolean") errors.push("active must be a boolean");
+
+  return errors.length ? { ok: false, errors } : { ok: true, values };
+}
+
+// Cross-field checks against the merged (stored + new) code.
+// couponPending: the Stripe coupon is created after these checks pass.
+async function checkPromoShape(promo, { couponPending = false } = {}) {
+  const errors = [];
+
+  if (!couponPending && !promo.stripe_coupon_id && !promo.stripe_promotion_code_id) {
+    errors.push("stripe_coupon_id or stripe_promotion_code_id is required");
+  }
+  if ((promo.percent_off == null) === (promo.amount_off_cents == null)) {
+    errors.push("exactly one of percent_off or amount_off_cents is required");
+  }
+  if (promo.starts_at && promo.expires_at && new Date(promo.expires_at) <= new Date(promo.starts_at)) {
+    errors.push("expires_at must be after starts_at");
+  }
+  if (promo.allowed_tiers?.length) {
+    const { tiers } = await loadCatalog();
+    const unknown = promo.allowed_tiers.filter((key) => !tiers.some((t) => t.key === key));
+    if (unknown.length) errors.push(`unknown tiers: ${unknown.join(", ")}`);
+  }
+
+  return errors;
+}
+
+async function getPromoCode(id) {
+  const { data, error } = await supabase
+    .from("promo_codes")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/** Codes, newest first, each with its completed redemption count. */
+async function listPromoCodes({ activeOnly = false } = {}) {
+  let query = supabase.from("promo_codes").select("*");
+  if (activeOnly) query = query.eq("active", true);
+
+  const { data, error } = await query.order("created_at", { ascending: false });
+  if (error) throw error;
+
+  return Promise.all(
+    (data || []).map(async (promo) => {
+      const { count, error: countError } = await supabase
+        .from("promo_redemptions")
+        .select("id", { count: "exact", head: true })
+        .eq("promo_code_id", promo.id)
+        .eq("status", "completed");
+      if (countError) throw countError;
+      return { ...promo, redemptions: count || 0 };
+    })
+  );
+}
+
+/**
+ * Validate a new code before its Stripe coupon is created: fields, shape and
+ * that the code is not taken.
+ * Returns { ok: true, values } or { ok: false, errors }.
+ */
+async function precheckPromoCode(input) {
+  const result = validatePromo(input);
+  if (!result.ok) return result;
+
+  const errors = await checkPromoShape(result.values, { couponPending: true });
+  if (errors.length) return { ok: false, errors };
+
+  const { data: existing, error } = await supabase
+    .from("promo_codes")
+    .select("id")
+    .eq("code", result.values.code)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (existing) return { ok: false, errors: [`code ${result.values.code} already exists`] };
+  return result;
+}
+
+/** Returns { ok: true, promo } or { ok: false, errors }. */
+async function createPromoCode(input) {
+  const result = validatePromo(input);
+  if (!result.ok) return result;
+
+  const errors = await checkPromoShape(result.values);
+  if (errors.length) return { ok: false, errors };
+
+  const { data, error } = await supabase
+    .from("promo_codes")
+    .insert(result.values)
+    .select("*")
+    .single();
+
+  if (error) {
+    if (error.code === "23505") return { ok: false, errors: [`code ${result.values.code} already exists`] };
+    throw error;
+  }
+  return { ok: true, promo: data };
+}
+
+/**
+ * Update a code; the code text itself cannot change.
+ * Returns { ok: true, promo }, { ok: false, errors } or null when not found.
+ */
+async function updatePromoCode(id, input) {
+  const existing = await getPromoCode(id);
+  if (!existing) return null;
+
+  const { code: _code, ...changes } = input || {};
+  const result = validatePromo(changes, { partial: true });
+  if (!result.ok) return result;
+
+  const errors = await checkPromoShape({ ...existing, ...result.values });
+  if (errors.length) return { ok: false, errors };
+
+  const { data, error } = await supabase
+    .from("promo_codes")
+    .update({ ...result.values, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return { ok: true, promo: data };
+}
+
+/**
+ * Validate `code` for this checkout and hold one redemption.
+ * Returns { redemption_id, promo_code_id, code, stripe_coupon_id,
+ * stripe_promotion_code_id }. Throws PROMO_NOT_FOUND / PROMO_UNAVAILABLE
+ * (DETAIL { reason }).
+ */
+async function reservePromoCode({ code, email, tierKey, mode }) {
+  const { data, error } = await supabase
+    .rpc("reserve_promo_redemption", {
+      p_code: code,
+      p_email: email,
+      p_tier_key: tierKey,
+      p_mode: mode,
+      p_hold_minutes: HOLD_MINUTES,
+    })
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Stripe Checkout `discounts` for a reservation
+function promoDiscounts(reservation) {
+  if (reservation.stripe_promotion_code_id) return [{ promotion_code: reservation.stripe_promotion_code_id }];
+  return [{ coupon: reservation.stripe_coupon_id }];
+}
+
+async function attachPromoSession(redemptionId, stripeSessionId) {
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ stripe_session_id: stripeSessionId })
+    .eq("id", redemptionId);
+
+  if (error) throw error;
+}
+
+// Free the slot held by a checkout that was never paid
+async function releasePromoRedemption(redemptionId) {
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ status: "released" })
+    .eq("id", redemptionId)
+    .eq("status", "pending");
+
+  if (error) throw error;
+}
+
+/**
+ * Mark a redemption completed for its paid session (also after its hold ran
+ * out: the payment went through). Idempotent. Returns the redemption or null.
+ */
+async function completePromoRedemption(redemptionId, { stripeSessionId = null, discountCents = 0 } = {}) {
+  const { data: updated, error } = await supabase
+    .from("promo_redemptions")
+    .update({
+      status: "completed",
+      stripe_session_id: stripeSessionId,
+      discount_cents: discountCents,
+      completed_at: new Date().toISOString(),
+    })
+    .eq("id", redemptionId)
+    .neq("status", "completed")
+    .select("*");
+  if (error) throw error;
+  if (updated?.length) return updated[0];
+
+  const { data: existing, error: readError } = await supabase
+    .from("promo_redemptions")
+    .select("*")
+    .eq("id", redemptionId)
+    .maybeSingle();
+  if (readError) throw readError;
+  return existing;
+}
+
+// Record the redemption's discount on the purchase's ledger row
+async function stampLedgerDiscount(redemption, ledgerId) {
+  const { error: ledgerError } = await supabase
+    .from("credits_ledger")
+    .update({ promo_code: redemption.code, discount_usd: (redemption.discount_cents || 0) / 100 })
+    .eq("id", ledgerId);
+  if (ledgerError) throw ledgerError;
+
+  const { error } = await supabase
+    .from("promo_redemptions")
+    .update({ ledger_id: ledgerId })
+    .eq("id", redemption.id);
+  if (error) throw error;
+}
+
+module.exports = {
+  PROMO_NOT_FOUND,
+  PROMO_UNAVAILABLE,
+  validatePromo,
+  getPromoCode,
+  listPromoCodes,
+  precheckPromoCode,
+  createPromoCode,
+  updatePromoCode,
+  reservePromoCode,
+  promoDiscounts,
+  attachPromoSession,
+  releasePromoRedemption,
+  completePromoRedemption,
+  stampLedgerDiscount,
+};
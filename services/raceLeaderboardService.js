@@ -0,0 +1,227 @@
+const { supabase } = require("../config/supabase");
+const { displayName } = require("../utils/masking");
+
+/*
+ * Global race: users ranked by eligible_global_race credits inside a season.
+ * Open seasons are computed live (race_leaderboard); seasons frozen with
+ * snapshot_race_season are served from race_season_snapshots.
+ *
+ * Leaderboard entries never carry emails, only a masked display name, so
+ * partner sites can embed the public endpoints as-is.
+ */
+
+const SEASON_NOT_FOUND = "CB404";
+const SEASON_NOT_ENDED = "CB409";
+
+const MAX_LIMIT = 100;
+const SNAPSHOT_SIZE = Number(process.env.RACE_SNAPSHOT_SIZE) || 100;
+
+function clampLimit(limit, fallback = 10) {
+  return Math.min(Math.max(parseInt(limit, 10) || fallback, 1), MAX_LIMIT);
+}
+
+function publicSeason(season) {
+  return {
+    slug: season.slug,
+    name: season.name,
+    starts_at: season.starts_at,
+    ends_at: season.ends_at,
+    status: season.snapshot_at ? "archived" : new Date(season.ends_at) <= new Date() ? "ended" : "active",
+  };
+}
+
+/**
+ * Season by slug, or the one running now when slug is empty.
+ * Returns null when there is no such season.
+ */
+async function getSeason(slug = null) {
+  let query = supabase.from("race_seasons").select("*");
+
+  if (slug) {
+    query = query.eq("slug", slug);
+  } else {
+    const nowIso = new Date().toISOString();
+    query = query.lte("starts_at", nowIso).gt("ends_at", nowIso).order("starts_at", { ascending: false }).limit(1);
+  }
+
+  const { data, error } = await query.maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function listSeasons() {
+  const { data, error } = await supabase
+    .from("race_seasons")
+    .select("*")
+    .order("starts_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/** Top entries for a season: [{ rank, name, points }]. */
+async function getLeaderboard(season, { limit, offset = 0 } = {}) {
+  const pageSize = clampLimit(limit);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  let rows;
+  if (season.snapshot_at) {
+    const { data, error } = await supabase
+      .from("race_season_snapshots")
+      .select("rank, email, full_name, points")
+      .eq("season_id", season.id)
+      .order("rank", { ascending: true })
+      .order("email", { ascending: true })
+      .range(start, start + pageSize - 1);
+    if (error) throw error;
+    rows = data || [];
+  } else {
+    const { data, error } = await supabase.rpc("race_leaderboard", {
+      p_starts: season.starts_at,
+      p_ends: season.ends_at,
+      p_limit: pageSize,
+      p_offset: start,
+    });
+    if (error) throw error;
+    rows = data || [];
+  }
+
+  return rows.map((r) => ({
+    rank: Number(r.rank),
+    name: displayName(r.full_name, r.email),
+    points: Number(r.points),
+  }));
+}
+
+/**
+ * A user's standing: { rank, points, participants }. Frozen seasons use the
+ * snapshot when the user made it in, and live totals otherwise.
+ */
+async function getUserStanding(season, email) {
+  if (season.snapshot_at) {
+    const { data, error } = await supabase
+      .from("race_season_snapshots")
+      .select("rank, points")
+      .eq("season_id", season.id)
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) {
+      const { count } = await supabase
+        .from("race_season_snapshots")
+        .select("email", { count: "exact", head: true })
+        .eq("season_id", season.id);
+      return { rank: data.rank, points: data.points, participants: count ?? null, archived: true };
+    }
+  }
+
+  const { data, error } = await supabase
+    .rpc("race_rank", { p_starts: season.starts_at, p_ends: season.ends_at, p_email: email })
+    .single();
+  if (error) throw error;
+
+  return {
+    rank: data?.rank == null ? null : Number(data.rank),
+    points: Number(data?.points || 0),
+    participants: Number(data?.participants || 0),
+    archived: false,
+  };
+}
+
+/**
+ * Check season fields (all required unless `partial`).
+ * Returns { ok: true, values } or { ok: false, errors }.
+ */
+function validateSeason(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of ["slug", "name", "starts_at", "ends_at"]) {
+    if (input?.[field] !== undefined) values[field] = input[field];
+  }
+
+  if (!partial || values.slug !== undefined) {
+    if (!/^[a-z0-9-]+$/.test(String(values.slug || ""))) errors.push("slug must match [a-z0-9-]+");
+  }
+  if (!partial || values.name !== undefined) {
+    if (typeof values.name !== "string" || !values.name.trim()) errors.push("name is required");
+  }
+  for (const field of ["starts_at", "ends_at"]) {
+    if (!partial || values[field] !== undefined) {
+      if (Number.isNaN(Date.parse(values[field]))) errors.push(`${field} must be an ISO date`);
+      else values[field] = new Date(values[field]).toISOString();
+    }
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, values };
+}
+
+/** Returns { ok: true, season } or { ok: false, errors }. */
+async function createSeason(input) {
+  const result = validateSeason(input);
+  if (!result.ok) return result;
+  if (result.values.ends_at <= result.values.starts_at) {
+    return { ok: false, errors: ["ends_at must be after starts_at"] };
+  }
+
+  const { data, error } = await supabase.from("race_seasons").insert(result.values).select("*").single();
+  if (error) throw error;
+  return { ok: true, season: data };
+}
+
+/**
+ * Update a season that has not been frozen.
+ * Returns { ok: true, season }, { ok: false, errors } or null when not found.
+ */
+async function updateSeason(id, input) {
+  const { data: existing, error: readError } = await supabase
+    .from("race_seasons")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+  if (readError) throw readError;
+  if (!existing) return null;
+  if (existing.snapshot_at) return { ok: false, errors: ["season is archived"] };
+
+  const result = validateSeason(input, { partial: true });
+  if (!result.ok) return result;
+
+  const startsAt = result.values.starts_at || existing.starts_at;
+  const endsAt = result.values.ends_at || existing.ends_at;
+  if (new Date(endsAt) <= new Date(startsAt)) {
+    return { ok: false, errors: ["ends_at must be after starts_at"] };
+  }
+
+  const { data, error } = await supabase
+    .from("race_seasons")
+    .update({ ...result.values, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select("*")
+    .single();
+  if (error) throw error;
+  return { ok: true, season: data };
+}
+
+/**
+ * Freeze an ended season's top RACE_SNAPSHOT_SIZE (default 100).
+ * Returns the number of rows written (0 if it was already frozen).
+ * Throws SEASON_NOT_FOUND / SEASON_NOT_ENDED.
+ */
+async function snapshotSeason(id, size = SNAPSHOT_SIZE) {
+  const { data, error } = await supabase.rpc("snapshot_race_season", { p_season_id: id, p_limit: size });
+  if (error) throw error;
+  return Number(data || 0);
+}
+
+module.exports = {
+  SEASON_NOT_FOUND,
+  SEASON_NOT_ENDED,
+  publicSeason,
+  getSeason,
+  listSeasons,
+  getLeaderboard,
+  getUserStanding,
+  createSeason,
+  updateSeason,
+  snapshotSeason,
+};
@@ -0,0 +1,420 @@
+const { supabase } = require("../config/supabase");
+const { getCatalogSetting } = require("./tierCatalogService");
+const { sendCreditActivityEmail } = require("./creditsEmailService");
+const { maskEmail } = require("../utils/masking");
+
+/*
+ * Referral program.
+ *
+ * Entering a code only records a 'pending' referral. Rewards are paid when the
+ * referral qualifies, which by default is the referee's first purchase
+ * (handleSuccessfulPayment calls qualifyReferralOnPurchase). Rules come from
+ * catalog_settings.referral_program:
+ *
+ *  - qualification              : 'first_purchase' (default) or 'signup' (pay on code entry)
+ *  - min_purchase_usd           : smallest purchase that qualifies
+ *  - referrer_rewards           : credits per level, [level1, level2, ...]; level 2 is
+ *                                 whoever referred the referrer, and so on
+ *  - referee_reward             : optional welcome credits for the referee
+ *  - max_rewards_per_referrer   : lifetime cap on paid rewards per referrer
+ *  - max_rewards_per_referrer_30d : rolling 30-day cap
+ *
+ * Self-referral checks: normalised email (plus tags, Gmail dots), the referee
+ * being upstream of the referrer, and the same Stripe customer or card
+ * fingerprint on both sides.
+ */
+
+const DEFAULT_PROGRAM = {
+  qualification: "first_purchase",
+  min_purchase_usd: 0,
+  referrer_rewards: [25],
+  referee_reward: 0,
+  max_rewards_per_referrer: 100,
+  max_rewards_per_referrer_30d: 20,
+};
+
+// Ledger reasons for referral payouts. Level 1 keeps the historical reason.
+const REFERRER_REASON = "referral_signup";
+const REFEREE_REASON = "referral_welcome";
+
+function levelReason(level) {
+  return level === 1 ? REFERRER_REASON : `${REFERRER_REASON}.level${level}`;
+}
+
+const nonNegInt = (v, fallback) => (Number.isInteger(Number(v)) && Number(v) >= 0 ? Number(v) : fallback);
+
+async function getReferralProgram() {
+  let raw = {};
+  try {
+    raw = (await getCatalogSetting("referral_program", {})) || {};
+  } catch (err) {
+    console.error("referral_program lookup failed, using defaults:", err);
+  }
+
+  const rewards = Array.isArray(raw.referrer_rewards)
+    ? raw.referrer_rewards.map((r) => nonNegInt(r, 0))
+    : DEFAULT_PROGRAM.referrer_rewards;
+
+  return {
+    qualification: raw.qualification === "signup" ? "signup" : DEFAULT_PROGRAM.qualification,
+    min_purchase_usd: Math.max(Number(raw.min_purchase_usd) || 0, 0),
+    referrer_rewards: rewards,
+    referee_reward: nonNegInt(raw.referee_reward, DEFAULT_PROGRAM.referee_reward),
+    max_rewards_per_referrer: nonNegInt(raw.max_rewards_per_referrer, DEFAULT_PROGRAM.max_rewards_per_referrer),
+    max_rewards_per_referrer_30d: nonNegInt(raw.max_rewards_per_referrer_30d, DEFAULT_PROGRAM.max_rewards_per_referrer_30d),
+  };
+}
+
+// Canonical mailbox: lowercase, no +tag, no dots for Gmail
+function canonicalEmail(email) {
+  const [local = "", domain = ""] = String(email || "").trim().toLowerCase().split("@");
+  let box = local.split("+")[0];
+  const host = domain === "googlemail.com" ? "gmail.com" : domain;
+  if (host === "gmail.com") box = box.replace(/\./g, "");
+  return `${box}@${host}`;
+}
+
+// Referrer chain above `email` (closest first), following qualified referrals
+async function referrerChain(email, depth) {
+  const chain = [];
+  let current = email;
+
+  while (chain.length < depth) {
+    const { data, error } = await supabase
+      .from("referrals")
+      .select("referrer_email")
+      .eq("referred_email", current)
+      .eq("status", "qualified")
+      .maybeSingle();
+    if (error) throw error;
+
+    const next = data?.referrer_email;
+    if (!next || next === email || chain.includes(next)) break;
+    chain.push(next);
+    current = next;
+  }
+
+  return chain;
+}
+
+async function hasPurchased(email) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("total_spent")
+    .eq("email", email)
+    .maybeSingle();
+  if (error) throw error;
+  return Number(data?.total_spent || 0) > 0;
+}
+
+async function rewardCount(email, since = null) {
+  let query = supabase
+    .from("credits_ledger")
+    .select("id", { count: "exact", head: true })
+    .eq("email", email)
+    .like("reason", `${REFERRER_REASON}%`)
+    .gt("delta", 0);
+  if (since) query = query.gte("created_at", since);
+
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+async function withinCaps(email, program) {
+  if ((await rewardCount(email)) >= program.max_rewards_per_referrer) return false;
+  const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  return (await rewardCount(email, since)) < program.max_rewards_per_referrer_30d;
+}
+
+async function getUserName(email) {
+  const { data } = await supabase.from("users").select("full_name").eq("email", email).maybeSingle();
+  return data?.full_name || email;
+}
+
+// Ledger + legacy credits row + email for one payout, at most once per
+// (referral, level). Returns false when an earlier attempt already paid it.
+async function payReward({ referralId, level, email, delta, reason }) {
+  const { data, error } = await supabase
+    .rpc("pay_referral_reward", {
+      p_referral_id: String(referralId),
+      p_level: level,
+      p_email: email,
+      p_amount: delta,
+      p_reason: reason,
+    })
+    .single();
+  if (error) throw error;
+  if (!data?.granted) return false;
+
+  const { error: creditsErr } = await supabase.from("credits").insert([{
+    email,
+    amount: delta,
+    origin_site: "referral",
+    eligible_global_race: false,
+    legal_accept: true,
+  }]);
+  if (creditsErr) console.error("referral credits insert error:", creditsErr);
+
+  try {
+    await sendCreditActivityEmail({
+      email,
+      userName: await getUserName(email),
+      reason,
+      delta,
+      newBalance: data.balance,
+      amountUsd: null,
+      originSite: "referral",
+      occurredAt: new Date().toISOString(),
+      ledgerId: data.ledger_id,
+    });
+  } catch (e) {
+    console.error("Referral email failed:", e?.message || e);
+  }
+
+  return true;
+}
+
+async function rejectReferral(referral, reason) {
+  const { error } = await supabase
+    .from("referrals")
+    .update({ status: "rejected", rejected_reason: reason })
+    .eq("id", referral.id)
+    .eq("status", "pending");
+  if (error) console.error("referral reject error:", error);
+  console.log(` Referral ${referral.referred_email} <- ${referral.referrer_email} rejected: ${reason}`);
+  return { qualified: false, reason };
+}
+
+/**
+ * Pay every configured reward for a pending referral, then mark it qualified.
+ * Each level is paid at most once (referral_rewards), so a retry after a
+ * partial failure pays only what is missing; levels paid earlier still count.
+ */
+async function qualifyReferral(referral, program, sessionId = null) {
+  const { data: paidRows, error: paidErr } = await supabase
+    .from("referral_rewards")
+    .select("level, amount")
+    .eq("referral_id", String(referral.id));
+  if (paidErr) throw paidErr;
+  const paid = new Map((paidRows || []).map((r) => [r.level, r.amount]));
+
+  const levels = program.referrer_rewards;
+  const chain = [referral.referrer_email, ...(await referrerChain(referral.referrer_email, levels.length - 1))];
+
+  let referrerReward = 0;
+  for (let i = 0; i < chain.length; i++) {
+    const level = i + 1;
+    if (paid.has(level)) {
+      if (level === 1) referrerReward = paid.get(level);
+      continue;
+    }
+
+    const amount = levels[i] || 0;
+    if (amount <= 0) continue;
+
+    if (!(await withinCaps(chain[i], program))) {
+      console.log(` Referral reward skipped for ${chain[i]}: cap reached`);
+      continue;
+    }
+
+    await payReward({ referralId: referral.id, level, email: chain[i], delta: amount, reason: levelReason(level) });
+    if (level === 1) referrerReward = amount;
+  }
+
+  let refereeReward = paid.get(0) || 0;
+  if (!paid.has(0) && program.referee_reward > 0) {
+    await payReward({
+      referralId: referral.id,
+      level: 0,
+      email: referral.referred_email,
+      delta: program.referee_reward,
+      reason: REFEREE_REASON,
+    });
+    refereeReward = program.referee_reward;
+  }
+
+  const { data: marked, error: markErr } = await supabase
+    .from("referrals")
+    .update({
+      status: "qualified",
+      qualified_at: new Date().toISOString(),
+      qualifying_session_id: sessionId,
+      referrer_reward: referrerReward,
+      referee_reward: refereeReward,
+    })
+    .eq("id", referral.id)
+    .eq("status", "pending")
+    .select("id");
+  if (markErr) throw markErr;
+  if (!marked?.length) return { qualified: false, reason: "already_processed" };
+
+  return { qualified: true, referrerReward, refereeReward };
+}
+
+/**
+ * Attach a referral code to `refereeEmail`.
+ * Returns { ok: true, status, referrer } or { ok: false, status (HTTP), message }.
+ */
+async function applyReferral({ refereeEmail, code }) {
+  const email = String(refereeEmail || "").trim().toLowerCase();
+  const program = await getReferralProgram();
+
+  const { data: referrer, error: refErr } = await supabase
+    .from("users")
+    .select("email, referred_by")
+    .eq("referral_code", code)
+    .maybeSingle();
+  if (refErr) throw refErr;
+  if (!referrer) return { ok: false, status: 404, message: "Invalid referral code" };
+
+  const referrerEmail = referrer.email.toLowerCase();
+
+  if (canonicalEmail(referrerEmail) === canonicalEmail(email)) {
+    return { ok: false, status: 400, message: "You cannot use your own referral code" };
+  }
+  if ((await referrerChain(referrerEmail, 10)).includes(email) || referrer.referred_by?.toLowerCase() === email) {
+    return { ok: false, status: 400, message: "You cannot use the code of someone you referred" };
+  }
+
+  const { data: existing, error: existErr } = await supabase
+    .from("referrals")
+    .select("id")
+    .eq("referred_email", email)
+    .maybeSingle();
+  if (existErr) throw existErr;
+  if (existing) return { ok: false, status: 400, message: "Referral code already used for this account" };
+
+  if (program.qualification === "first_purchase" && (await hasPurchased(email))) {
+    return { ok: false, status: 400, message: "Referral codes must be applied before the first purchase" };
+  }
+
+  const { data: referral, error: insertErr } = await supabase
+    .from("referrals")
+    .insert({ referrer_email: referrerEmail, referred_email: email, referral_code: code, status: "pending" })
+    .select("*")
+    .single();
+  if (insertErr) throw insertErr;
+
+  await supabase.from("users").update({ referred_by: referrerEmail }).eq("email", email);
+
+  if (program.qualification === "signup") {
+    const result = await qualifyReferral(referral, program);
+    return { ok: true, status: result.qualified ? "qualified" : "pending", referrer: referrerEmail };
+  }
+
+  return { ok: true, status: "pending", referrer: referrerEmail };
+}
+
+// Remember who paid with which Stripe customer / card (one row per session)
+async function recordPaymentFingerprint({ email, sessionId, customerId, cardFingerprint }) {
+  if (!sessionId || (!customerId && !cardFingerprint)) return;
+
+  const { error } = await supabase
+    .from("payment_fingerprints")
+    .upsert(
+      { email, stripe_session_id: sessionId, stripe_customer_id: customerId || null, card_fingerprint: cardFingerprint || null },
+      { onConflict: "stripe_session_id", ignoreDuplicates: true }
+    );
+  if (error) console.error("payment_fingerprints insert error:", error);
+}
+
+// Did the referrer ever pay with the same Stripe customer or card?
+async function sharesPaymentIdentity(referrerEmail, { customerId, cardFingerprint }) {
+  const filters = [];
+  if (customerId) filters.push(`stripe_customer_id.eq.${customerId}`);
+  if (cardFingerprint) filters.push(`card_fingerprint.eq.${cardFingerprint}`);
+  if (!filters.length) return false;
+
+  const { data, error } = await supabase
+    .from("payment_fingerprints")
+    .select("id")
+    .eq("email", referrerEmail)
+    .or(filters.join(","))
+    .limit(1);
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+/**
+ * Called for every successful payment. Records the payment fingerprint and,
+ * when this is the referee's qualifying purchase, pays the referral rewards.
+ * Never throws for rule failures; returns { qualified, reason? }.
+ */
+async function qualifyReferralOnPurchase({ email, sessionId, amountUsd, customerId = null, cardFingerprint = null }) {
+  const safeCustomer = /^cus_\w+$/.test(String(customerId || "")) ? customerId : null;
+  const safeCard = /^\w+$/.test(String(cardFingerprint || "")) ? cardFingerprint : null;
+
+  await recordPaymentFingerprint({ email, sessionId, customerId: safeCustomer, cardFingerprint: safeCard });
+
+  const { data: referral, error } = await supabase
+    .from("referrals")
+    .select("*")
+    .eq("referred_email", email)
+    .eq("status", "pending")
+    .maybeSingle();
+  if (error) throw error;
+  if (!referral) return { qualified: false, reason: "no_pending_referral" };
+
+  const program = await getReferralProgram();
+  if (program.qualification !== "first_purchase") return { qualified: false, reason: "not_purchase_qualified" };
+
+  if (Number(amountUsd || 0) < program.min_purchase_usd) {
+    // A later, larger purchase can still qualify
+    return { qualified: false, reason: "below_min_purchase" };
+  }
+
+  if (await sharesPaymentIdentity(referral.referrer_email, { customerId: safeCustomer, cardFingerprint: safeCard })) {
+    return rejectReferral(referral, "same_payment_identity");
+  }
+
+  return qualifyReferral(referral, program, sessionId);
+}
+
+/**
+ * Dashboard data for a referrer: their referees (masked, with status) and
+ * the credits earned from referral_signup rewards at every level.
+ */
+async function getReferralSummary(email) {
+  const { data: referrals, error } = await supabase
+    .from("referrals")
+    .select("*")
+    .eq("referrer_email", email);
+  if (error) throw error;
+
+  const { data: rewards, error: ledgerErr } = await supabase
+    .from("credits_ledger")
+    .select("delta")
+    .eq("email", email)
+    .like("reason", `${REFERRER_REASON}%`);
+  if (ledgerErr) throw ledgerErr;
+
+  const referees = (referrals || [])
+    .map((r) => ({
+      referee: maskEmail(r.referred_email),
+      status: r.status,
+      referred_at: r.created_at || null,
+      qualified_at: r.qualified_at || null,
+      reward: r.referrer_reward || 0,
+    }))
+    .sort((a, b) => String(b.referred_at || "").localeCompare(String(a.referred_at || "")));
+
+  const counts = { pending: 0, qualified: 0, rejected: 0 };
+  for (const r of referees) counts[r.status] = (counts[r.status] || 0) + 1;
+
+  return {
+    referees,
+    counts,
+    credits_earned: (rewards || []).reduce((sum, r) => sum + Number(r.delta || 0), 0),
+  };
+}
+
+module.exports = {
+  REFERRER_REASON,
+  REFEREE_REASON,
+  getReferralProgram,
+  canonicalEmail,
+  applyReferral,
+  qualifyReferralOnPurchase,
+  getReferralSummary,
+};
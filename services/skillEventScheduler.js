@@ -0,0 +1,165 @@
+const { supabase } = require("../config/supabase");
+const { listEventParticipants } = require("./skillEventService");
+const { sendCreditActivityEmail } = require("./creditsEmailService");
+
+/*
+ * Pays the Elite "credit refund on event end".
+ *
+ * Every tick looks for scheduled events whose ends_at has passed and that are
+ * not yet marked refunds_completed_at, and calls grant_event_end_refund for
+ * each participant with a refund_on_event_end configured. The function is
+ * exactly-once per (event, participant), so overlapping ticks or several
+ * instances can run this safely; only the call that actually granted sends
+ * the email. An event is marked complete once no grant failed; until then it
+ * is retried with backoff, and due events are taken in retry order so one
+ * that keeps failing does not hold up the rest.
+ */
+
+let timer = null;
+let running = false;
+let options = { intervalMs: 5 * 60 * 1000, batchSize: 20 };
+
+const BASE_BACKOFF_SECONDS = 5 * 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// 5m, 10m, 20m ... capped at 6h
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+async function getUserName(email) {
+  const { data } = await supabase.from("users").select("full_name").eq("email", email).maybeSingle();
+  return data?.full_name || email;
+}
+
+// Participants whose users row carries a refund (Elite perk)
+async function eligibleParticipants(eventId) {
+  const participants = await listEventParticipants(eventId);
+  if (!participants.length) return [];
+
+  const { data, error } = await supabase
+    .from("users")
+    .select("email")
+    .in("email", participants.map((p) => p.email))
+    .gt("refund_on_event_end", 0);
+
+  if (error) throw error;
+  return (data || []).map((u) => u.email);
+}
+
+async function grantRefund(event, email) {
+  const { data, error } = await supabase
+    .rpc("grant_event_end_refund", { p_event_id: event.id, p_email: email })
+    .single();
+
+  if (error) throw error;
+  if (!data?.granted) return false;
+
+  try {
+    await sendCreditActivityEmail({
+      email,
+      userName: await getUserName(email),
+      reason: `event_end_refund:${event.slug}`,
+      delta: data.amount,
+      newBalance: data.balance,
+      amountUsd: null,
+      originSite: "skill_event",
+      occurredAt: new Date().toISOString(),
+      ledgerId: data.ledger_id,
+    });
+  } catch (e) {
+    console.error("Event refund email failed:", e?.message || e);
+  }
+
+  return true;
+}
+
+/**
+ * Grant refunds for one ended event.
+ * Returns { granted, failed } counts; marks the event complete when failed is 0.
+ */
+async function processEventRefunds(event) {
+  let granted = 0;
+  let failed = 0;
+
+  for (const email of await eligibleParticipants(event.id)) {
+    try {
+      if (await grantRefund(event, email)) granted += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(` Event refund failed (${event.slug}, ${email}):`, err?.message || err);
+    }
+  }
+
+  const nowIso = new Date().toISOString();
+  if (!failed) {
+    const { error } = await supabase
+      .from("skill_events")
+      .update({ refunds_completed_at: nowIso, updated_at: nowIso })
+      .eq("id", event.id);
+    if (error) console.error("skill_events refunds_completed_at update error:", error);
+  } else {
+    const attempts = Number(event.refund_attempts || 0) + 1;
+    const { error } = await supabase
+      .from("skill_events")
+      .update({
+        refund_attempts: attempts,
+        refund_next_attempt_at: new Date(Date.now() + backoffSeconds(attempts) * 1000).toISOString(),
+        updated_at: nowIso,
+      })
+      .eq("id", event.id);
+    if (error) console.error("skill_events refund backoff update error:", error);
+  }
+
+  if (granted || failed) {
+    console.log(` Event ${event.slug}: ${granted} refund(s) granted, ${failed} failed`);
+  }
+  return { granted, failed };
+}
+
+async function runEventRefunds() {
+  if (running) return;
+  running = true;
+
+  try {
+    const nowIso = new Date().toISOString();
+    const { data: events, error } = await supabase
+      .from("skill_events")
+      .select("id, slug, ends_at, refund_attempts")
+      .eq("status", "scheduled")
+      .is("refunds_completed_at", null)
+      .lte("ends_at", nowIso)
+      .lte("refund_next_attempt_at", nowIso)
+      .order("refund_next_attempt_at", { ascending: true })
+      .limit(options.batchSize);
+
+    if (error) throw error;
+
+    for (const event of events || []) {
+      await processEventRefunds(event);
+    }
+  } catch (err) {
+    console.error("skill event scheduler error:", err?.message || err);
+  } finally {
+    running = false;
+  }
+}
+
+function startSkillEventScheduler(opts = {}) {
+  if (timer) return;
+  options = { ...options, ...opts };
+  timer = setInterval(runEventRefunds, options.intervalMs);
+  runEventRefunds();
+}
+
+function stopSkillEventScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  processEventRefunds,
+  runEventRefunds,
+  startSkillEventScheduler,
+  stopSkillEventScheduler,
+};
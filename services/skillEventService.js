@@ -0,0 +1,244 @@
+const { supabase } = require("../config/supabase");
+const { getCatalogSetting } = require("./tierCatalogService");
+
+// SQLSTATEs raised by register_skill_event / unregister_skill_event
+const EVENT_NOT_FOUND = "CB404";
+const EVENT_CONFLICT = "CB409";
+
+const EVENT_STATUSES = ["scheduled", "cancelled"];
+
+const EVENT_FIELDS = [
+  "slug",
+  "title",
+  "description",
+  "starts_at",
+  "ends_at",
+  "status",
+  "registration_opens_at",
+  "priority_window_hours",
+  "unregister_cutoff_hours",
+  "credit_cost",
+];
+
+const isNonNegInt = (v) => Number.isInteger(v) && v >= 0;
+
+/**
+ * Check event fields (a full event when `partial` is false).
+ * Returns { ok: true, values } or { ok: false, errors }.
+ */
+function validateEvent(input, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  for (const field of EVENT_FIELDS) {
+    if (input?.[field] !== undefined) values[field] = input[field];
+  }
+
+  if (!partial || values.slug !== undefined) {
+    if (!/^[a-z0-9-]+$/.test(String(values.slug || ""))) errors.push("slug must match [a-z0-9-]+");
+  }
+  if (!partial || values.title !== undefined) {
+    if (typeof values.title !== "string" || !values.title.trim()) errors.push("title is required");
+  }
+  for (const field of ["starts_at", "ends_at"]) {
+    if (!partial || values[field] !== undefined) {
+      if (Number.isNaN(Date.parse(values[field]))) errors.push(`${field} must be an ISO date`);
+      else values[field] = new Date(values[field]).toISOString();
+    }
+  }
+  if (values.registration_opens_at !== undefined && values.registration_opens_at !== null) {
+    if (Number.isNaN(Date.parse(values.registration_opens_at))) errors.push("registration_opens_at must be an ISO date");
+    else values.registration_opens_at = new Date(values.registration_opens_at).toISOString();
+  }
+  for (const field of ["priority_window_hours", "unregister_cutoff_hours"]) {
+    if (values[field] !== undefined && !isNonNegInt(values[field])) errors.push(`${field} must be a non-negative integer`);
+  }
+  if (values.credit_cost !== undefined && values.credit_cost !== null && !isNonNegInt(values.credit_cost)) {
+    errors.push("credit_cost must be a non-negative integer or null");
+  }
+  if (values.status !== undefined && !EVENT_STATUSES.includes(values.status)) {
+    errors.push(`status must be one of: ${EVENT_STATUSES.join(", ")}`);
+  }
+  if (values.starts_at && values.ends_at && values.ends_at <= values.starts_at) {
+    errors.push("ends_at must be after starts_at");
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, values };
+}
+
+async function getSkillEvent(id) {
+  const { data, error } = await supabase
+    .from("skill_events")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Events ordered by start date; `upcoming` keeps only events that have not ended
+async function listSkillEvents({ status = null, upcoming = false, limit = 50 } = {}) {
+  let query = supabase.from("skill_events").select("*");
+
+  if (status) query = query.eq("status", status);
+  if (upcoming) query = query.gt("ends_at", new Date().toISOString());
+
+  const { data, error } = await query
+    .order("starts_at", { ascending: true })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+  if (error) throw error;
+  return data || [];
+}
+
+/** Returns { ok: true, event } or { ok: false, errors }. */
+async function createSkillEvent(input) {
+  const result = validateEvent(input);
+  if (!result.ok) return result;
+
+  const { data, error } = await supabase
+    .from("skill_events")
+    .insert(result.values)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return { ok: true, event: data };
+}
+
+/**
+ * Update an event. Dates are re-checked against the stored row.
+ * Returns { ok: true, event }, { ok: false, errors } or null when not found.
+ */
+async function updateSkillEvent(id, input) {
+  const existing = await getSkillEvent(id);
+  if (!existing) return null;
+
+  const result = validateEvent(input, { partial: true });
+  if (!result.ok) return result;
+
+  const startsAt = result.values.starts_at || existing.starts_at;
+  const endsAt = result.values.ends_at || existing.ends_at;
+  if (new Date(endsAt) <= new Date(startsAt)) {
+    return { ok: false, errors: ["ends_at must be after starts_at"] };
+  }
+
+  const { data, error } = await supabase
+    .from("skill_events")
+    .update({ ...result.values, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select("*")
+    .single();
+
+  if (error) throw error;
+  return { ok: true, event: data };
+}
+
+// Registered (not cancelled) participants of an event
+async function listEventParticipants(eventId) {
+  const { data, error } = await supabase
+    .from("skill_event_participants")
+    .select("email, status, created_at")
+    .eq("event_id", eventId)
+    .eq("status", "registered")
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Registration windows as seen by a user with or without the priority perk
+function registrationWindow(event) {
+  const opensAt = event.registration_opens_at ? new Date(event.registration_opens_at) : null;
+  const hour = 60 * 60 * 1000;
+
+  return {
+    opens_at: opensAt?.toISOString() || null,
+    priority_opens_at: opensAt ? new Date(opensAt.getTime() - event.priority_window_hours * hour).toISOString() : null,
+    closes_at: event.starts_at,
+    unregister_cutoff_at: new Date(new Date(event.starts_at).getTime() - event.unregister_cutoff_hours * hour).toISOString(),
+  };
+}
+
+async function defaultCreditCost() {
+  const value = Number(await getCatalogSetting("skill_event_credit_cost", 0));
+  return Number.isInteger(value) && value >= 0 ? value : 0;
+}
+
+/**
+ * Register `email` for an event. Uses one membership entry, or the event's
+ * credit cost (catalog default skill_event_credit_cost) when none are left.
+ * Returns { participantId, entrySource, creditsSpent, entriesAvailable, balance }.
+ * Throws the Supabase error (EVENT_NOT_FOUND, EVENT_CONFLICT, or
+ * INSUFFICIENT_CREDITS from the ledger).
+ */
+async function registerForEvent(eventId, email) {
+  const { data, error } = await supabase
+    .rpc("register_skill_event", {
+      p_event_id: eventId,
+      p_email: email,
+      p_default_credit_cost: await defaultCreditCost(),
+    })
+    .single();
+
+  if (error) throw error;
+  return {
+    participantId: data.participant_id,
+    entrySource: data.entry_source,
+    creditsSpent: data.credits_spent,
+    entriesAvailable: data.entries_available,
+    balance: data.balance,
+  };
+}
+
+/**
+ * Cancel a registration before the cutoff and give back the entry or credits.
+ * Returns { entrySource, creditsRefunded, entriesAvailable, balance }.
+ */
+async function unregisterFromEvent(eventId, email) {
+  const { data, error } = await supabase
+    .rpc("unregister_skill_event", { p_event_id: eventId, p_email: email })
+    .single();
+
+  if (error) throw error;
+  return {
+    entrySource: data.entry_source,
+    creditsRefunded: data.credits_refunded,
+    entriesAvailable: data.entries_available,
+    balance: data.balance,
+  };
+}
+
+// A user's registrations, most recent first; cancelled ones only when asked
+async function listUserEntries(email, { includeCancelled = false } = {}) {
+  let query = supabase
+    .from("skill_event_participants")
+    .select(
+      "event_id, status, entry_source, credits_spent, created_at, cancelled_at, " +
+        "skill_events(slug, title, starts_at, ends_at, status, unregister_cutoff_hours)"
+    )
+    .eq("email", email);
+
+  if (!includeCancelled) query = query.eq("status", "registered");
+
+  const { data, error } = await query.order("created_at", { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  EVENT_NOT_FOUND,
+  EVENT_CONFLICT,
+  EVENT_STATUSES,
+  validateEvent,
+  getSkillEvent,
+  listSkillEvents,
+  createSkillEvent,
+  updateSkillEvent,
+  listEventParticipants,
+  registrationWindow,
+  registerForEvent,
+  unregisterFromEvent,
+  listUserEntries,
+};
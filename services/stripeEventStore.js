@@ -0,0 +1,118 @@
+const { supabase } = require("../config/supabase");
+
+const MAX_ATTEMPTS = Number(process.env.STRIPE_EVENT_MAX_ATTEMPTS || 8);
+const BASE_BACKOFF_SECONDS = 30;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// 30s, 60s, 120s ... capped at 6h
+function backoffSeconds(attempts) {
+  return Math.min(BASE_BACKOFF_SECONDS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_SECONDS);
+}
+
+/**
+ * Persist a verified Stripe event as 'pending'.
+ * Duplicate deliveries of the same event id are ignored.
+ * Throws if the row could not be written (caller should NOT ack Stripe).
+ */
+async function recordStripeEvent(event) {
+  const { error } = await supabase
+    .from("stripe_events")
+    .upsert(
+      { id: event.id, type: event.type, payload: event },
+      { onConflict: "id", ignoreDuplicates: true }
+    );
+
+  if (error) {
+    console.error("recordStripeEvent error:", error);
+    throw error;
+  }
+}
+
+// Claim due events for processing (see claim_stripe_events)
+async function claimStripeEvents(limit = 10, leaseSeconds = 300) {
+  const { data, error } = await supabase.rpc("claim_stripe_events", {
+    p_limit: limit,
+    p_lease_seconds: leaseSeconds,
+  });
+
+  if (error) {
+    console.error("claimStripeEvents error:", error);
+    throw error;
+  }
+  return data || [];
+}
+
+async function markStripeEventProcessed(id) {
+  const nowIso = new Date().toISOString();
+  const { error } = await supabase
+    .from("stripe_events")
+    .update({ status: "processed", processed_at: nowIso, locked_until: null, last_error: null, updated_at: nowIso })
+    .eq("id", id);
+
+  if (error) console.error("markStripeEventProcessed error:", error);
+}
+
+/**
+ * Record a failed attempt. Schedules a retry with exponential backoff,
+ * or moves the event to 'dead' once MAX_ATTEMPTS is reached.
+ */
+async function markStripeEventFailed(row, err) {
+  const dead = row.attempts >= MAX_ATTEMPTS;
+  const now = Date.now();
+
+  const { error } = await supabase
+    .from("stripe_events")
+    .update({
+      status: dead ? "dead" : "failed",
+      last_error: String(err?.message || err).slice(0, 2000),
+      next_attempt_at: new Date(now + backoffSeconds(row.attempts) * 1000).toISOString(),
+      locked_until: null,
+      updated_at: new Date(now).toISOString(),
+    })
+    .eq("id", row.id);
+
+  if (error) console.error("markStripeEventFailed error:", error);
+  return dead ? "dead" : "failed";
+}
+
+async function listStripeEvents({ status = null, type = null, limit = 50 } = {}) {
+  let query = supabase
+    .from("stripe_events")
+    .select("id, type, status, attempts, next_attempt_at, last_error, created_at, updated_at, processed_at");
+
+  if (status) query = query.eq("status", status);
+  if (type) query = query.eq("type", type);
+
+  const { data, error } = await query
+    .order("created_at", { ascending: false })
+    .limit(Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200));
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Put a failed/dead event back in the queue with a fresh attempt budget
+async function replayStripeEvent(id) {
+  const nowIso = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("stripe_events")
+    .update({ status: "pending", attempts: 0, next_attempt_at: nowIso, locked_until: null, updated_at: nowIso })
+    .eq("id", id)
+    .in("status", ["failed", "dead"])
+    .select("id, type, status")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  backoffSeconds,
+  recordStripeEvent,
+  claimStripeEvents,
+  markStripeEventProcessed,
+  markStripeEventFailed,
+  listStripeEvents,
+  replayStripeEvent,
+};
@@ -0,0 +1,70 @@
+const {
+  claimStripeEvents,
+  markStripeEventProcessed,
+  markStripeEventFailed,
+} = require("./stripeEventStore");
+
+/*
+ * Polls stripe_events and runs the handler for each due event.
+ * The handler is injected (index.js passes processWebhookEvent) so this
+ * module does not depend on the controllers. A handler that throws marks
+ * the event failed; it is retried with backoff and eventually goes dead.
+ */
+
+let handler = null;
+let timer = null;
+let running = false;
+let rerun = false;
+let options = { intervalMs: 10000, batchSize: 10, leaseSeconds: 300 };
+
+async function drain() {
+  if (!handler) return;
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+      const rows = await claimStripeEvents(options.batchSize, options.leaseSeconds);
+
+      for (const row of rows) {
+        try {
+          await handler(row.payload);
+          await markStripeEventProcessed(row.id);
+        } catch (err) {
+          const status = await markStripeEventFailed(row, err);
+          console.error(` Stripe event ${row.id} (${row.type}) attempt ${row.attempts} ${status}:`, err?.message || err);
+        }
+      }
+
+      if (rows.length === options.batchSize) rerun = true;
+    } while (rerun);
+  } catch (err) {
+    console.error("stripe event worker error:", err?.message || err);
+  } finally {
+    running = false;
+  }
+}
+
+function startStripeEventWorker(eventHandler, opts = {}) {
+  if (timer) return;
+  handler = eventHandler;
+  options = { ...options, ...opts };
+  timer = setInterval(drain, options.intervalMs);
+  drain();
+}
+
+function stopStripeEventWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+// Process newly stored events right away instead of waiting for the next tick
+function nudgeStripeEventWorker() {
+  drain();
+}
+
+module.exports = { startStripeEventWorker, stopStripeEventWorker, nudgeStripeEventWorker };
@@ -0,0 +1,62 @@
+const { getPlan } = require("./tierCatalogService");
+const { listAllowanceSubscriptions, grantDueAllowances } = require("./subscriptionService");
+
+/*
+ * Tops up subscription allowances between invoices.
+ *
+ * invoice.paid grants the first month of each billing period; annual plans
+ * (and any webhook that failed) need the later months granted on time, so
+ * every tick walks the active subscriptions through grantDueAllowances.
+ * Grants are once per subscription month, so overlapping ticks or several
+ * instances are safe.
+ */
+
+let timer = null;
+let running = false;
+let options = { intervalMs: 60 * 60 * 1000 };
+
+async function runSubscriptionAllowances() {
+  if (running) return;
+  running = true;
+
+  try {
+    let granted = 0;
+    let failed = 0;
+
+    for (const subscription of await listAllowanceSubscriptions()) {
+      try {
+        const plan = await getPlan(subscription.plan_key, { includeInactive: true });
+        granted += await grantDueAllowances(subscription, plan);
+      } catch (err) {
+        failed += 1;
+        console.error(` Subscription allowance failed (${subscription.stripe_subscription_id}):`, err?.message || err);
+      }
+    }
+
+    if (granted || failed) {
+      console.log(` Subscription allowances: ${granted} granted, ${failed} failed`);
+    }
+  } catch (err) {
+    console.error("subscription scheduler error:", err?.message || err);
+  } finally {
+    running = false;
+  }
+}
+
+function startSubscriptionScheduler(opts = {}) {
+  if (timer) return;
+  options = { ...options, ...opts };
+  timer = setInterval(runSubscriptionAllowances, options.intervalMs);
+  runSubscriptionAllowances();
+}
+
+function stopSubscriptionScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runSubscriptionAllowances,
+  startSubscriptionScheduler,
+  stopSubscriptionScheduler,
+};
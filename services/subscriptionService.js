@@ -0,0 +1,369 @@
+const { supabase } = require("../config/supabase");
+const { sendCreditActivityEmail } = require("./creditsEmailService");
+const {
+  PERK_DEFAULTS,
+  ACCESS_FIELDS,
+  getTier,
+  getPlan,
+  getPlanByStripePrice,
+} = require("./tierCatalogService");
+
+/*
+ * Recurring memberships (subscriptions + subscription_allowances tables).
+ *
+ * Stripe is the source of truth: every billing webhook re-reads the Stripe
+ * subscription and hands it to syncSubscription, which mirrors it into
+ * subscriptions and moves the user's access flags. While a subscription is
+ * live the user holds the plan's tier with access_mode 'subscription'; what
+ * they had before is kept in access_snapshot and put back when it lapses.
+ * A lifetime tier at least as good as the plan's is left alone (the
+ * subscriber still gets the allowances).
+ *
+ * Credits come as a monthly allowance (grant_subscription_allowance, once per
+ * subscription month), so annual plans are topped up by the scheduler.
+ */
+
+// Statuses that grant access; past_due keeps it while Stripe retries the card
+const ACCESS_STATUSES = ["active", "trialing"];
+const LIVE_STATUSES = [...ACCESS_STATUSES, "past_due"];
+const LAPSED_STATUSES = ["canceled", "unpaid", "incomplete_expired", "paused"];
+const ALLOWANCE_STATUSES = ["active"];
+
+// Entries are spent, not held: a lapse leaves them as they are
+const SNAPSHOT_FIELDS = ACCESS_FIELDS.filter((f) => f !== "entries_available");
+
+const toIso = (unixSeconds) => (unixSeconds ? new Date(unixSeconds * 1000).toISOString() : null);
+
+// `date` plus `months`, clamped to the end of shorter months (Jan 31 -> Feb 28)
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+async function getUserName(email) {
+  const { data } = await supabase.from("users").select("full_name").eq("email", email).maybeSingle();
+  return data?.full_name || email;
+}
+
+// The user's subscription that still grants access, or null
+async function getLiveSubscription(email) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select("*")
+    .eq("email", email)
+    .in("status", LIVE_STATUSES)
+    .order("created_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getSubscriptionByStripeId(stripeSubscriptionId) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select("*")
+    .eq("stripe_subscription_id", stripeSubscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// Stripe customer saved for `email` (Billing Portal, repeat checkouts)
+async function getStripeCustomerId(email) {
+  const { data, error } = await supabase
+    .from("users")
+    .select("stripe_customer_id")
+    .eq("email", email)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.stripe_customer_id || null;
+}
+
+async function emailForCustomer(customerId) {
+  if (!customerId) return null;
+  const { data, error } = await supabase
+    .from("users")
+    .select("email")
+    .eq("stripe_customer_id", customerId)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.email || null;
+}
+
+// The users columns a subscription to `tier` sets
+function tierAccess(tier) {
+  return {
+    membership_tier: tier.key,
+    membership_paid_cents: 0,
+    credit_multiplier: tier.credit_multiplier,
+    full_access: tier.full_access,
+    ...PERK_DEFAULTS,
+    ...tier.perks,
+    crowbar_access: true,
+    access_mode: "subscription",
+  };
+}
+
+/**
+ * Give the user the plan's tier. The first call snapshots their access; later
+ * calls (plan switched in the Billing Portal) only move the tier.
+ */
+async function applyAccess(row, plan) {
+  const tier = await getTier(plan.tier_key, { includeInactive: true });
+  if (!tier) throw new Error(`Subscription plan ${plan.key} has unknown tier ${plan.tier_key}`);
+
+  const { data: user, error: userError } = await supabase
+    .from("users")
+    .select(SNAPSHOT_FIELDS.join(", "))
+    .eq("email", row.email)
+    .maybeSingle();
+  if (userError) throw userError;
+
+  const nowIso = new Date().toISOString();
+
+  if (row.access_applied) {
+    if (user?.access_mode !== "subscription" || user.membership_tier === tier.key) return false;
+
+    const { error } = await supabase
+      .from("users")
+      .update({ ...tierAccess(tier), updated_at: nowIso })
+      .eq("email", row.email)
+      .eq("access_mode", "subscription");
+    if (error) throw error;
+    return true;
+  }
+
+  if (user?.membership_tier && user.access_mode !== "subscription") {
+    const heldTier = await getTier(user.membership_tier, { includeInactive: true });
+    if (heldTier && heldTier.price_cents >= tier.price_cents) return false;
+  }
+
+  // Claim the row so concurrent events snapshot only once
+  const { data: claimed, error: claimError } = await supabase
+    .from("subscriptions")
+    .update({ access_applied: true, access_snapshot: user || {}, updated_at: nowIso })
+    .eq("id", row.id)
+    .eq("access_applied", false)
+    .select("id");
+  if (claimError) throw claimError;
+  if (!claimed?.length) return false;
+
+  const { error } = await supabase
+    .from("users")
+    .update({ ...tierAccess(tier), updated_at: nowIso })
+    .eq("email", row.email);
+  if (error) throw error;
+
+  return true;
+}
+
+/**
+ * Put back what the user had before the subscription, unless something else
+ * (a lifetime purchase) has replaced the subscription access since.
+ */
+async function lapseAccess(row) {
+  const nowIso = new Date().toISOString();
+
+  const { data: claimed, error: claimError } = await supabase
+    .from("subscriptions")
+    .update({ access_applied: false, updated_at: nowIso })
+    .eq("id", row.id)
+    .eq("access_applied", true)
+    .select("access_snapshot");
+  if (claimError) throw claimError;
+  if (!claimed?.length) return false;
+
+  const snapshot = claimed[0].access_snapshot || {};
+  const restored = Object.fromEntries(SNAPSHOT_FIELDS.map((f) => [f, snapshot[f] ?? null]));
+
+  const { error } = await supabase
+    .from("users")
+    .update({
+      ...restored,
+      credit_multiplier: restored.credit_multiplier ?? 1,
+      crowbar_access: Boolean(restored.crowbar_access),
+      full_access: Boolean(restored.full_access),
+      ...Object.fromEntries(Object.entries(PERK_DEFAULTS).map(([f, v]) => [f, restored[f] ?? v])),
+      updated_at: nowIso,
+    })
+    .eq("email", row.email)
+    .eq("access_mode", "subscription");
+  if (error) throw error;
+
+  return true;
+}
+
+/**
+ * Mirror a Stripe subscription object and move access to match its status.
+ * The plan comes from the subscription's price (so portal plan switches are
+ * picked up), else its plan_key metadata.
+ * Returns { subscription, plan, access: 'applied' | 'lapsed' | 'unchanged' }.
+ */
+async function syncSubscription(stripeSub) {
+  const item = stripeSub.items?.data?.[0];
+  const customerId = typeof stripeSub.customer === "string" ? stripeSub.customer : stripeSub.customer?.id || null;
+
+  const plan =
+    (await getPlanByStripePrice(item?.price?.id)) ||
+    (stripeSub.metadata?.plan_key ? await getPlan(stripeSub.metadata.plan_key, { includeInactive: true }) : null);
+
+  const existing = await getSubscriptionByStripeId(stripeSub.id);
+  const email =
+    existing?.email ||
+    (stripeSub.metadata?.user_email || "").trim().toLowerCase() ||
+    (await emailForCustomer(customerId));
+  if (!email) throw new Error(`No user for subscription ${stripeSub.id}`);
+
+  const nowIso = new Date().toISOString();
+
+  const { data: row, error } = await supabase
+    .from("subscriptions")
+    .upsert(
+      {
+        stripe_subscription_id: stripeSub.id,
+        stripe_customer_id: customerId,
+        email,
+        plan_key: plan?.key || existing?.plan_key || null,
+        status: stripeSub.status,
+        current_period_start: toIso(stripeSub.current_period_start ?? item?.current_period_start),
+        current_period_end: toIso(stripeSub.current_period_end ?? item?.current_period_end),
+        cancel_at_period_end: Boolean(stripeSub.cancel_at_period_end),
+        ended_at: toIso(stripeSub.ended_at),
+        updated_at: nowIso,
+      },
+      { onConflict: "stripe_subscription_id" }
+    )
+    .select("*")
+    .single();
+  if (error) throw error;
+
+  const { error: userError } = await supabase
+    .from("users")
+    .upsert([{ email }], { onConflict: "email", ignoreDuplicates: true });
+  if (userError) throw userError;
+
+  if (customerId) {
+    const { error: customerError } = await supabase
+      .from("users")
+      .update({ stripe_customer_id: customerId, updated_at: nowIso })
+      .eq("email", email)
+      .is("stripe_customer_id", null);
+    if (customerError) console.error("users stripe_customer_id update error:", customerError);
+  }
+
+  const rowPlan = plan || (row.plan_key ? await getPlan(row.plan_key, { includeInactive: true }) : null);
+  let access = "unchanged";
+
+  if (ACCESS_STATUSES.includes(row.status)) {
+    if (!rowPlan) throw new Error(`Unknown plan for subscription ${stripeSub.id}`);
+    if (await applyAccess(row, rowPlan)) access = "applied";
+  } else if (LAPSED_STATUSES.includes(row.status)) {
+    if (await lapseAccess(row)) access = "lapsed";
+  }
+
+  return { subscription: row, plan: rowPlan, access };
+}
+
+/**
+ * Record a paid invoice. Returns true the first time it is seen (so callers
+ * count the spend once).
+ */
+async function recordInvoice(subscription, invoice) {
+  const { data, error } = await supabase
+    .from("subscription_invoices")
+    .upsert(
+      { stripe_invoice_id: invoice.id, subscription_id: subscription.id, amount_cents: invoice.amount_paid || 0 },
+      { onConflict: "stripe_invoice_id", ignoreDuplicates: true }
+    )
+    .select("stripe_invoice_id");
+
+  if (error) throw error;
+  return Boolean(data?.length);
+}
+
+/**
+ * Grant every monthly allowance due in the current billing period up to now.
+ * Safe to repeat: each subscription month is granted once.
+ * Returns the number granted.
+ */
+async function grantDueAllowances(subscription, plan) {
+  if (!plan?.monthly_credits || !ALLOWANCE_STATUSES.includes(subscription.status)) return 0;
+  if (!subscription.current_period_start || !subscription.current_period_end) return 0;
+
+  const periodStart = new Date(subscription.current_period_start);
+  const until = Math.min(Date.now(), new Date(subscription.current_period_end).getTime());
+  let granted = 0;
+
+  for (let i = 0; ; i += 1) {
+    const allowanceStart = addMonths(periodStart, i);
+    if (allowanceStart.getTime() > until) break;
+
+    const reason = `subscription_allowance_${plan.key}`;
+    const { data, error } = await supabase
+      .rpc("grant_subscription_allowance", {
+        p_subscription_id: subscription.id,
+        p_allowance_start: allowanceStart.toISOString(),
+        p_amount: plan.monthly_credits,
+        p_reason: reason,
+      })
+      .single();
+
+    if (error) throw error;
+    if (!data?.granted) continue;
+    granted += 1;
+
+    try {
+      await sendCreditActivityEmail({
+        email: subscription.email,
+        userName: await getUserName(subscription.email),
+        reason,
+        delta: plan.monthly_credits,
+        newBalance: data.balance,
+        amountUsd: null,
+        originSite: "stripe_subscription",
+        occurredAt: new Date().toISOString(),
+        ledgerId: data.ledger_id,
+      });
+    } catch (e) {
+      console.error("Subscription allowance email failed:", e?.message || e);
+    }
+  }
+
+  return granted;
+}
+
+/** Subscriptions that may have allowances due (scheduler). */
+async function listAllowanceSubscriptions() {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select("*")
+    .in("status", ALLOWANCE_STATUSES)
+    .not("plan_key", "is", null)
+    .lte("current_period_start", new Date().toISOString());
+
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  LAPSED_STATUSES,
+  getLiveSubscription,
+  getSubscriptionByStripeId,
+  getStripeCustomerId,
+  syncSubscription,
+  recordInvoice,
+  grantDueAllowances,
+  listAllowanceSubscriptions,
+};
@@ -0,0 +1,447 @@
+const { supabase } = require("../config/supabase");
+
+/*
+ * Tier catalog (membership_tiers + subscription_plans + credit_packs +
+ * catalog_settings tables).
+ *
+ * Checkout, fulfilment and /api/stripe/tiers all read tiers from here, so a
+ * price or benefit change is a row update. Rows are validated on load; an
+ * invalid row is logged and left out rather than sold with bad data.
+ * The catalog is cached for TIER_CATALOG_TTL_MS (default 60s) and the last
+ * good copy is kept if a reload fails.
+ */
+
+const CACHE_TTL_MS = Number(process.env.TIER_CATALOG_TTL_MS) || 60 * 1000;
+
+// users columns a tier's `perks` may set on purchase, with the value a reversal resets them to
+const PERK_DEFAULTS = {
+  elite_prep_access: false,
+  vip_onboarding: false,
+  marketplace_priority: false,
+  refund_on_event_end: null,
+  priority_challenge: false,
+  pro_welcome_perk: false,
+};
+const PERK_FIELDS = Object.keys(PERK_DEFAULTS);
+
+// users columns a membership (purchase, upgrade or subscription) sets; what
+// reversals and lapsed subscriptions snapshot and restore
+const ACCESS_FIELDS = [
+  "membership_tier", "membership_paid_cents", "entries_available", "credit_multiplier",
+  "crowbar_access", "full_access",
+  ...PERK_FIELDS,
+  "access_mode",
+];
+
+const PLAN_INTERVALS = ["month", "year"];
+
+const TIER_COLUMNS =
+  "key, name, price_cents, stripe_price_id, stripe_price_env, credits, entries, credit_multiplier, " +
+  "full_access, requires_age_verification, perks, features, requirements, sort_order, active";
+
+const PLAN_COLUMNS =
+  "key, tier_key, name, interval, price_cents, stripe_price_id, stripe_price_env, monthly_credits, sort_order, active";
+
+const PACK_COLUMNS =
+  "key, name, credits, price_cents, stripe_price_id, stripe_price_env, sort_order, active";
+
+let cache = null; // { loadedAt, tiers, byKey, plans, plansByKey, packs, packsByKey, limitedPass, settings }
+
+const isNonNegInt = (v) => Number.isInteger(v) && v >= 0;
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string");
+
+/**
+ * Check a tier row. Returns { ok: true, tier } with numeric fields coerced,
+ * or { ok: false, errors: [message] }.
+ */
+function validateTier(row) {
+  const errors = [];
+  const tier = {
+    ...row,
+    price_cents: Number(row?.price_cents),
+    credits: Number(row?.credits ?? 0),
+    entries: Number(row?.entries ?? 0),
+    credit_multiplier: Number(row?.credit_multiplier ?? 1),
+    full_access: Boolean(row?.full_access),
+    requires_age_verification: Boolean(row?.requires_age_verification),
+    perks: row?.perks ?? {},
+    features: row?.features ?? [],
+    requirements: row?.requirements ?? [],
+    sort_order: Number(row?.sort_order ?? 0),
+    active: row?.active !== false,
+    stripe_price_id: row?.stripe_price_id || null,
+    stripe_price_env: row?.stripe_price_env || null,
+  };
+
+  if (!/^[a-z0-9_]+$/.test(String(tier.key || ""))) errors.push("key must match [a-z0-9_]+");
+  if (typeof tier.name !== "string" || !tier.name.trim()) errors.push("name is required");
+  if (!Number.isInteger(tier.price_cents) || tier.price_cents <= 0) errors.push("price_cents must be a positive integer");
+  if (!isNonNegInt(tier.credits)) errors.push("credits must be a non-negative integer");
+  if (!isNonNegInt(tier.entries)) errors.push("entries must be a non-negative integer");
+  if (!Number.isFinite(tier.credit_multiplier) || tier.credit_multiplier < 1) errors.push("credit_multiplier must be >= 1");
+  if (!Number.isInteger(tier.sort_order)) errors.push("sort_order must be an integer");
+  if (tier.stripe_price_id && !/^price_\w+$/.test(tier.stripe_price_id)) errors.push("stripe_price_id must be a Stripe price id");
+  if (tier.stripe_price_env && !/^[A-Z0-9_]+$/.test(tier.stripe_price_env)) errors.push("stripe_price_env must be an env var name");
+  if (!isStringList(tier.features)) errors.push("features must be a list of strings");
+  if (!isStringList(tier.requirements)) errors.push("requirements must be a list of strings");
+
+  if (!tier.perks || typeof tier.perks !== "object" || Array.isArray(tier.perks)) {
+    errors.push("perks must be an object");
+  } else {
+    for (const [field, value] of Object.entries(tier.perks)) {
+      if (!PERK_FIELDS.includes(field)) errors.push(`perks.${field} is not a known perk`);
+      else if (typeof value !== "boolean" && !isNonNegInt(value)) errors.push(`perks.${field} must be a boolean or non-negative integer`);
+    }
+  }
+
+  return errors.length ? { ok: false, errors } : { ok: true, tier };
+}
+
+/**
+ * Check a subscription plan row against the known tier keys.
+ * Returns { ok: true, plan } or { ok: false, errors }.
+ */
+function validatePlan(row, tierKeys) {
+  const errors = [];
+  const plan = {
+    ...row,
+    price_cents: Number(row?.price_cents),
+    monthly_credits: Number(row?.monthly_credits ?? 0),
+    sort_order: Number(row?.sort_order ?? 0),
+    active: row?.active !== false,
+    stripe_price_id: row?.stripe_price_id || null,
+    stripe_price_env: row?.stripe_price_env || null,
+  };
+
+  if (!/^[a-z0-9_]+$/.test(String(plan.key || ""))) errors.push("key must match [a-z0-9_]+");
+  if (!tierKeys.includes(plan.tier_key)) errors.push(`tier_key must be one of: ${tierKeys.join(", ")}`);
+  if (typeof plan.name !== "string" || !plan.name.trim()) errors.push("name is required");
+  if (!PLAN_INTERVALS.includes(plan.interval)) errors.push(`interval must be one of: ${PLAN_INTERVALS.join(", ")}`);
+  if (!Number.isInteger(plan.price_cents) || plan.price_cents <= 0) errors.push("price_cents must be a positive integer");
+  if (!isNonNegInt(plan.monthly_credits)) errors.push("monthly_credits must be a non-negative integer");
+  if (!Number.isInteger(plan.sort_order)) errors.push("sort_order must be an integer");
+  if (plan.stripe_price_id && !/^price_\w+$/.test(plan.stripe_price_id)) errors.push("stripe_price_id must be a Stripe price id");
+  if (plan.stripe_price_env && !/^[A-Z0-9_]+$/.test(plan.stripe_price_env)) errors.push("stripe_price_env must be an env var name");
+
+  return errors.length ? { ok: false, errors } : { ok: true, plan };
+}
+
+/**
+ * Check a credit pack row.
+ * Returns { ok: true, pack } or { ok: false, errors }.
+ */
+function validatePack(row) {
+  const errors = [];
+  const pack = {
+    ...row,
+    credits: Number(row?.credits),
+    price_cents: Number(row?.price_cents),
+    sort_order: Number(row?.sort_order ?? 0),
+    active: row?.active !== false,
+    stripe_price_id: row?.stripe_price_id || null,
+    stripe_price_env: row?.stripe_price_env || null,
+  };
+
+  if (!/^[a-z0-9_]+$/.test(String(pack.key || ""))) errors.push("key must match [a-z0-9_]+");
+  if (typeof pack.name !== "string" || !pack.name.trim()) errors.push("name is required");
+  if (!Number.isInteger(pack.credits) || pack.credits <= 0) errors.push("credits must be a positive integer");
+  if (!Number.isInteger(pack.price_cents) || pack.price_cents <= 0) errors.push("price_cents must be a positive integer");
+  if (!Number.isInteger(pack.sort_order)) errors.push("sort_order must be an integer");
+  if (pack.stripe_price_id && !/^price_\w+$/.test(pack.stripe_price_id)) errors.push("stripe_price_id must be a Stripe price id");
+  if (pack.stripe_price_env && !/^[A-Z0-9_]+$/.test(pack.stripe_price_env)) errors.push("stripe_price_env must be an env var name");
+
+  return errors.length ? { ok: false, errors } : { ok: true, pack };
+}
+
+function normalizeLimitedPass(value, byKey) {
+  const priceCents = Number(value?.price_cents);
+  const target = byKey[value?.upgrade_target_tier];
+
+  if (!Number.isInteger(priceCents) || priceCents <= 0 || !target) {
+    console.error("tier catalog: invalid limited_pass setting, limited pass disabled:", value);
+    return null;
+  }
+  if (priceCents >= target.price_cents) {
+    console.error("tier catalog: limited_pass price must be below its upgrade target, limited pass disabled");
+    return null;
+  }
+
+  return {
+    priceCents,
+    priceUsd: priceCents / 100,
+    stripePriceId: value.stripe_price_id || (value.stripe_price_env ? process.env[value.stripe_price_env] : null) || null,
+    upgradeTargetTier: target.key,
+    upgradeTargetCents: target.price_cents,
+    upgradeTargetUsd: target.price_cents / 100,
+  };
+}
+
+async function fetchCatalog() {
+  const [
+    { data: rows, error: tiersError },
+    { data: planRows, error: plansError },
+    { data: packRows, error: packsError },
+    { data: settings, error: settingsError },
+  ] = await Promise.all([
+    supabase.from("membership_tiers").select(TIER_COLUMNS).order("sort_order", { ascending: true }),
+    supabase.from("subscription_plans").select(PLAN_COLUMNS).order("sort_order", { ascending: true }),
+    supabase.from("credit_packs").select(PACK_COLUMNS).order("sort_order", { ascending: true }),
+    supabase.from("catalog_settings").select("key, value"),
+  ]);
+
+  if (tiersError) throw tiersError;
+  if (plansError) throw plansError;
+  if (packsError) throw packsError;
+  if (settingsError) throw settingsError;
+
+  const tiers = [];
+  for (const row of rows || []) {
+    const result = validateTier(row);
+    if (!result.ok) {
+      console.error(`tier catalog: skipping invalid tier ${row?.key}:`, result.errors);
+      continue;
+    }
+    tiers.push({ ...result.tier, price_usd: result.tier.price_cents / 100 });
+  }
+
+  const byKey = Object.fromEntries(tiers.filter((t) => t.active).map((t) => [t.key, t]));
+
+  const plans = [];
+  for (const row of planRows || []) {
+    const result = validatePlan(row, tiers.map((t) => t.key));
+    if (!result.ok) {
+      console.error(`tier catalog: skipping invalid plan ${row?.key}:`, result.errors);
+      continue;
+    }
+    plans.push({ ...result.plan, price_usd: result.plan.price_cents / 100 });
+  }
+  // A plan is sellable only while its tier is
+  const plansByKey = Object.fromEntries(plans.filter((p) => p.active && byKey[p.tier_key]).map((p) => [p.key, p]));
+
+  const packs = [];
+  for (const row of packRows || []) {
+    const result = validatePack(row);
+    if (!result.ok) {
+      console.error(`tier catalog: skipping invalid credit pack ${row?.key}:`, result.errors);
+      continue;
+    }
+    packs.push({ ...result.pack, price_usd: result.pack.price_cents / 100 });
+  }
+  const packsByKey = Object.fromEntries(packs.filter((p) => p.active).map((p) => [p.key, p]));
+
+  const limitedPassSetting = (settings || []).find((s) => s.key === "limited_pass");
+
+  return {
+    loadedAt: Date.now(),
+    tiers,
+    byKey,
+    plans,
+    plansByKey,
+    packs,
+    packsByKey,
+    limitedPass: limitedPassSetting ? normalizeLimitedPass(limitedPassSetting.value, byKey) : null,
+    settings: Object.fromEntries((settings || []).map((s) => [s.key, s.value])),
+  };
+}
+
+/**
+ * Cached catalog: { tiers (all valid rows, sorted), byKey (active only),
+ * plans (all valid rows), plansByKey (sellable only), packs (all valid rows),
+ * packsByKey (active only), limitedPass, settings }.
+ * Throws only if the catalog has never loaded.
+ */
+async function loadCatalog({ force = false } = {}) {
+  if (!force && cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) return cache;
+
+  try {
+    cache = await fetchCatalog();
+  } catch (err) {
+    if (!cache) throw err;
+    console.error("tier catalog reload failed, serving cached copy:", err);
+  }
+  return cache;
+}
+
+function invalidateCatalog() {
+  cache = null;
+}
+
+// Active tiers in display order
+async function listTiers() {
+  const { tiers } = await loadCatalog();
+  return tiers.filter((t) => t.active);
+}
+
+// Tier by key, or null. Fulfilment passes includeInactive so sessions
+// opened before a tier was retired still get their benefits.
+async function getTier(key, { includeInactive = false } = {}) {
+  const { byKey, tiers } = await loadCatalog();
+  if (includeInactive) return tiers.find((t) => t.key === key) || null;
+  return byKey[key] || null;
+}
+
+// Sellable subscription plans in display order
+async function listPlans() {
+  const { plansByKey, plans } = await loadCatalog();
+  return plans.filter((p) => plansByKey[p.key]);
+}
+
+// Plan by key, or null. Billing events pass includeInactive so existing
+// subscribers keep their plan after it is retired.
+async function getPlan(key, { includeInactive = false } = {}) {
+  const { plansByKey, plans } = await loadCatalog();
+  if (includeInactive) return plans.find((p) => p.key === key) || null;
+  return plansByKey[key] || null;
+}
+
+// Plan billed with a Stripe price (plan switches made in the Billing Portal)
+async function getPlanByStripePrice(priceId) {
+  if (!priceId) return null;
+  const { plans } = await loadCatalog();
+  return plans.find((p) => stripePriceFor(p) === priceId) || null;
+}
+
+// Active credit packs in display order
+async function listCreditPacks() {
+  const { packs } = await loadCatalog();
+  return packs.filter((p) => p.active);
+}
+
+// Credit pack by key, or null (inactive ones only with includeInactive)
+async function getCreditPack(key, { includeInactive = false } = {}) {
+  const { packsByKey, packs } = await loadCatalog();
+  if (includeInactive) return packs.find((p) => p.key === key) || null;
+  return packsByKey[key] || null;
+}
+
+// Limited pass config, or null when not configured/invalid
+async function getLimitedPass() {
+  const { limitedPass } = await loadCatalog();
+  return limitedPass;
+}
+
+// Raw catalog_settings value, or `fallback` when unset
+async function getCatalogSetting(key, fallback = null) {
+  const { settings } = await loadCatalog();
+  return settings[key] ?? fallback;
+}
+
+// Stripe price for a tier, plan or credit pack: explicit id first, then the named env var
+function stripePriceFor(tier) {
+  if (!tier) return null;
+  return tier.stripe_price_id || (tier.stripe_price_env ? process.env[tier.stripe_price_env] : null) || null;
+}
+
+/**
+ * Create or update a tier (admin). `changes` is merged over the stored row.
+ * Returns { ok: true, created, tier } or { ok: false, errors }.
+ */
+async function saveTier(key, changes) {
+  const { data: existing, error: readError } = await supabase
+    .from("membership_tiers")
+    .select(TIER_COLUMNS)
+    .eq("key", key)
+    .maybeSingle();
+
+  if (readError) throw readError;
+
+  const result = validateTier({ ...(existing || {}), ...changes, key });
+  if (!result.ok) return result;
+
+  const row = Object.fromEntries(TIER_COLUMNS.split(", ").map((col) => [col, result.tier[col]]));
+
+  const { data, error } = await supabase
+    .from("membership_tiers")
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: "key" })
+    .select(TIER_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  invalidateCatalog();
+  return { ok: true, created: !existing, tier: data };
+}
+
+/**
+ * Create or update a subscription plan (admin), merged over the stored row.
+ * Returns { ok: true, created, plan } or { ok: false, errors }.
+ */
+async function savePlan(key, changes) {
+  const [{ data: existing, error: readError }, { tiers }] = await Promise.all([
+    supabase.from("subscription_plans").select(PLAN_COLUMNS).eq("key", key).maybeSingle(),
+    loadCatalog({ force: true }),
+  ]);
+
+  if (readError) throw readError;
+
+  const result = validatePlan({ ...(existing || {}), ...changes, key }, tiers.map((t) => t.key));
+  if (!result.ok) return result;
+
+  const row = Object.fromEntries(PLAN_COLUMNS.split(", ").map((col) => [col, result.plan[col]]));
+
+  const { data, error } = await supabase
+    .from("subscription_plans")
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: "key" })
+    .select(PLAN_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  invalidateCatalog();
+  return { ok: true, created: !existing, plan: data };
+}
+
+/**
+ * Create or update a credit pack (admin), merged over the stored row.
+ * Returns { ok: true, created, pack } or { ok: false, errors }.
+ */
+async function saveCreditPack(key, changes) {
+  const { data: existing, error: readError } = await supabase
+    .from("credit_packs")
+    .select(PACK_COLUMNS)
+    .eq("key", key)
+    .maybeSingle();
+
+  if (readError) throw readError;
+
+  const result = validatePack({ ...(existing || {}), ...changes, key });
+  if (!result.ok) return result;
+
+  const row = Object.fromEntries(PACK_COLUMNS.split(", ").map((col) => [col, result.pack[col]]));
+
+  const { data, error } = await supabase
+    .from("credit_packs")
+    .upsert({ ...row, updated_at: new Date().toISOString() }, { onConflict: "key" })
+    .select(PACK_COLUMNS)
+    .single();
+
+  if (error) throw error;
+
+  invalidateCatalog();
+  return { ok: true, created: !existing, pack: data };
+}
+
+module.exports = {
+  PERK_DEFAULTS,
+  PERK_FIELDS,
+  ACCESS_FIELDS,
+  PLAN_INTERVALS,
+  validateTier,
+  validatePlan,
+  validatePack,
+  loadCatalog,
+  invalidateCatalog,
+  listTiers,
+  getTier,
+  listPlans,
+  getPlan,
+  getPlanByStripePrice,
+  listCreditPacks,
+  getCreditPack,
+  getLimitedPass,
+  getCatalogSetting,
+  stripePriceFor,
+  saveTier,
+  savePlan,
+  saveCreditPack,
+};
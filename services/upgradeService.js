@@ -0,0 +1,205 @@
+const { supabase } = require("../config/supabase");
+const { getTier, getLimitedPass } = require("./tierCatalogService");
+
+/*
+ * Limited passes and the "credit what you've paid" upgrade.
+ *
+ * Each pass purchase is a limited_passes row. A limited user can upgrade to
+ * any active tier by paying the tier price minus their active passes; the
+ * passes are then marked 'upgraded' with the upgrade's checkout session, so a
+ * refund of either side can be unwound precisely.
+ *
+ * Members move up between lifetime tiers the same way: the target price minus
+ * users.membership_paid_cents. Downgrades are refused.
+ */
+
+/**
+ * Price of a pass for `partner` (registry row): the partner's own price when
+ * set, otherwise the catalog limited pass. Returns { priceCents, stripePriceId }
+ * (stripePriceId null: charge with price_data) or null when passes are off.
+ */
+async function passPriceFor(partner) {
+  const pass = await getLimitedPass();
+  if (!pass || !partner) return null;
+
+  if (partner.pass_price_cents) {
+    return { priceCents: partner.pass_price_cents, stripePriceId: partner.pass_stripe_price_id || null };
+  }
+  return { priceCents: pass.priceCents, stripePriceId: pass.stripePriceId };
+}
+
+async function listActivePasses(email) {
+  const { data, error } = await supabase
+    .from("limited_passes")
+    .select("id, partner_key, amount_cents, stripe_session_id, created_at")
+    .eq("email", email)
+    .eq("status", "active")
+    .order("created_at", { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Record a paid pass. Idempotent per checkout session.
+ * Returns the pass row.
+ */
+async function recordPass({ email, partnerKey, amountCents, stripeSessionId }) {
+  const { data, error } = await supabase
+    .from("limited_passes")
+    .upsert(
+      { email, partner_key: partnerKey, amount_cents: amountCents, stripe_session_id: stripeSessionId },
+      { onConflict: "stripe_session_id", ignoreDuplicates: true }
+    )
+    .select("*");
+
+  if (error) throw error;
+  if (data?.length) return data[0];
+
+  const { data: existing, error: readError } = await supabase
+    .from("limited_passes")
+    .select("*")
+    .eq("stripe_session_id", stripeSessionId)
+    .single();
+  if (readError) throw readError;
+  return existing;
+}
+
+/**
+ * What an upgrade from `email`'s active passes to `tierKey` costs.
+ * Returns { ok: true, tier, passes, creditCents, balanceCents } or
+ * { ok: false, error } when the tier is unknown/not upgradable, there are no
+ * passes, or they already cover the price.
+ * Pass `includeInactive` when fulfilling a session opened before a tier was retired.
+ */
+async function upgradeQuote(email, tierKey, { includeInactive = false } = {}) {
+  const key = tierKey || (await getLimitedPass())?.upgradeTargetTier;
+  const tier = key ? await getTier(key, { includeInactive }) : null;
+  if (!tier) return { ok: false, error: `Unknown tier: ${tierKey}` };
+  if (tier.requires_age_verification) return { ok: false, error: `Tier ${tier.key} cannot be reached by upgrade` };
+
+  const passes = await listActivePasses(email);
+  if (!passes.length) return { ok: false, error: "No limited passes to upgrade from" };
+
+  const creditCents = passes.reduce((sum, p) => sum + p.amount_cents, 0);
+  const balanceCents = tier.price_cents - creditCents;
+  if (balanceCents <= 0) {
+    return { ok: false, error: `Passes ($${creditCents / 100}) already cover ${tier.name} ($${tier.price_usd})` };
+  }
+
+  return { ok: true, tier, passes, creditCents, balanceCents };
+}
+
+/**
+ * What moving `email` from their current tier up to `tierKey` costs.
+ * Returns { ok: true, tier, fromTier, paidCents, balanceCents } or
+ * { ok: false, error } (no lifetime membership, unknown tier, or not an upgrade).
+ */
+async function tierUpgradeQuote(email, tierKey, { includeInactive = false } = {}) {
+  const { data: user, error } = await supabase
+    .from("users")
+    .select("membership_tier, membership_paid_cents, access_mode")
+    .eq("email", email)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (user?.access_mode === "subscription") {
+    return { ok: false, error: "Subscription members change plan from the billing portal" };
+  }
+
+  const fromTier = user?.membership_tier ? await getTier(user.membership_tier, { includeInactive: true }) : null;
+  if (!fromTier) return { ok: false, error: "No membership to upgrade from" };
+
+  const tier = tierKey ? await getTier(tierKey, { includeInactive }) : null;
+  if (!tier) return { ok: false, error: `Unknown tier: ${tierKey}` };
+  if (tier.requires_age_verification) return { ok: false, error: `Tier ${tier.key} cannot be reached by upgrade` };
+  if (tier.price_cents <= fromTier.price_cents) {
+    return { ok: false, error: `Cannot move from ${fromTier.name} to ${tier.name}: only upgrades are allowed` };
+  }
+
+  const paidCents = user.membership_paid_cents ?? fromTier.price_cents;
+  const balanceCents = tier.price_cents - paidCents;
+  if (balanceCents <= 0) {
+    return { ok: false, error: `Already paid $${paidCents / 100} toward ${tier.name} ($${tier.price_usd})` };
+  }
+
+  return { ok: true, tier, fromTier, paidCents, balanceCents };
+}
+
+// Mark the quoted passes as credited toward the upgrade paid in `upgradeSessionId`
+async function markPassesUpgraded(passIds, upgradeSessionId) {
+  if (!passIds.length) return;
+
+  const nowIso = new Date().toISOString();
+  const { error } = await supabase
+    .from("limited_passes")
+    .update({ status: "upgraded", upgrade_session_id: upgradeSessionId, upgraded_at: nowIso, updated_at: nowIso })
+    .in("id", passIds)
+    .eq("status", "active");
+
+  if (error) throw error;
+}
+
+// Ids of the passes an upgrade session consumed
+async function listSessionUpgradedPassIds(sessionId) {
+  const { data, error } = await supabase
+    .from("limited_passes")
+    .select("id")
+    .eq("upgrade_session_id", sessionId)
+    .eq("status", "upgraded");
+
+  if (error) throw error;
+  return (data || []).map((p) => p.id);
+}
+
+/**
+ * Undo what a checkout session did to passes (refund/dispute): its own pass
+ * is reversed, and passes an upgrade session consumed become active again.
+ * Returns the ids of those reopened passes (for restoreSessionPasses).
+ */
+async function reverseSessionPasses(sessionId) {
+  const nowIso = new Date().toISOString();
+
+  const { error: passError } = await supabase
+    .from("limited_passes")
+    .update({ status: "reversed", updated_at: nowIso })
+    .eq("stripe_session_id", sessionId)
+    .eq("status", "active");
+  if (passError) throw passError;
+
+  const { data: reopened, error: upgradeError } = await supabase
+    .from("limited_passes")
+    .update({ status: "active", upgrade_session_id: null, upgraded_at: null, updated_at: nowIso })
+    .eq("upgrade_session_id", sessionId)
+    .eq("status", "upgraded")
+    .select("id");
+  if (upgradeError) throw upgradeError;
+
+  return (reopened || []).map((p) => p.id);
+}
+
+// Re-apply a session's pass effects after a won dispute
+async function restoreSessionPasses(sessionId, { upgradedPassIds = [] } = {}) {
+  const nowIso = new Date().toISOString();
+
+  const { error } = await supabase
+    .from("limited_passes")
+    .update({ status: "active", updated_at: nowIso })
+    .eq("stripe_session_id", sessionId)
+    .eq("status", "reversed");
+  if (error) throw error;
+
+  await markPassesUpgraded(upgradedPassIds, sessionId);
+}
+
+module.exports = {
+  passPriceFor,
+  listActivePasses,
+  recordPass,
+  upgradeQuote,
+  tierUpgradeQuote,
+  markPassesUpgraded,
+  listSessionUpgradedPassIds,
+  reverseSessionPasses,
+  restoreSessionPasses,
+};
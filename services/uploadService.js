@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const { supabase } = require("../config/supabase");
+const { uploadKycDocument } = require("./kycDocumentService");
+
+const MB = 1024 * 1024;
+
+const PUBLIC_BUCKET = "user_uploads";
+
+/*
+ * Per-folder upload rules. The folder comes from the client; anything not
+ * listed here is rejected.
+ *  - types         : allowed types, detected from magic bytes (not the client MIME)
+ *  - maxBytes      : size limit before normalisation
+ *  - stripMetadata : re-encode images to drop EXIF/GPS/XMP (orientation is applied first)
+ *  - private       : store in the private KYC bucket and return a path instead of a URL
+ */
+const FOLDER_RULES = {
+  kyc: {
+    types: ["image/jpeg", "image/png", "image/webp", "application/pdf"],
+    maxBytes: 10 * MB,
+    stripMetadata: true,
+    private: true,
+  },
+  profile: {
+    types: ["image/jpeg", "image/png", "image/webp", "image/gif"],
+    maxBytes: 5 * MB,
+    stripMetadata: true,
+    private: false,
+  },
+};
+
+// Largest limit of any folder; multer uses it to stop reading oversized bodies early
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(FOLDER_RULES).map((r) => r.maxBytes));
+
+const EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+  "application/pdf": "pdf",
+};
+
+function rulesFor(folder) {
+  return Object.prototype.hasOwnProperty.call(FOLDER_RULES, folder) ? FOLDER_RULES[folder] : null;
+}
+
+// Public object paths name the owner by a hash, never the raw email
+function ownerSegment(email) {
+  return crypto.createHash("sha256").update(String(email || "").trim().toLowerCase()).digest("hex").slice(0, 32);
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((b, i) => buffer[offset + i] === b);
+}
+
+// Detect the real file type from its first bytes; null if unrecognised
+function detectFileType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, [0x47, 0x49, 0x46, 0x38])) return "image/gif";
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  if (startsWith(buffer, [0x25, 0x50, 0x44, 0x46, 0x2d])) return "application/pdf";
+  return null;
+}
+
+// Keep a safe base name; the extension always comes from the detected type
+function sanitizeFileName(originalName, contentType) {
+  const base = path
+    .basename(String(originalName || ""), path.extname(String(originalName || "")))
+    .normalize("NFKD")
+    .replace(/[^A-Za-z0-9_-]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+
+  return `${base || "file"}.${EXTENSIONS[contentType] || "bin"}`;
+}
+
+function rejection(status, code, message, extra = {}) {
+  return { ok: false, status, reasons: [{ code, message, ...extra }] };
+}
+
+/**
+ * Validate and normalise an upload for `folder`.
+ * Returns { ok: true, buffer, contentType, fileName, rules }
+ *      or { ok: false, status, reasons: [{ code, message, ... }] }.
+ */
+async function prepareUpload(buffer, { folder, originalName }) {
+  const rules = rulesFor(folder);
+
+  if (!rules) {
+    return rejection(400, "unknown_folder", "Unknown upload folder", { allowed: Object.keys(FOLDER_RULES) });
+  }
+  if (!buffer?.length) {
+    return rejection(400, "empty_file", "File is empty");
+  }
+  if (buffer.length > rules.maxBytes) {
+    return rejection(413, "file_too_large", `File exceeds ${rules.maxBytes / MB} MB`, {
+      max_bytes: rules.maxBytes,
+      size_bytes: buffer.length,
+    });
+  }
+
+  const contentType = detectFileType(buffer);
+  if (!contentType || !rules.types.includes(contentType)) {
+    return rejection(415, "unsupported_type", "File type is not allowed for this folder", {
+      detected: contentType,
+      allowed: rules.types,
+    });
+  }
+
+  let output = buffer;
+  if (rules.stripMetadata && contentType.startsWith("image/") && contentType !== "image/gif") {
+    try {
+      // rotate() bakes EXIF orientation into pixels; sharp drops all metadata
+      // (EXIF, GPS, XMP, IPTC) on output unless withMetadata() is called
+      output = await sharp(buffer, { failOn: "error" }).rotate().toBuffer();
+    } catch (err) {
+      return rejection(400, "corrupt_image", "Image could not be decoded", { detail: err.message });
+    }
+  }
+
+  return {
+    ok: true,
+    buffer: output,
+    contentType,
+    fileName: sanitizeFileName(originalName, contentType),
+    rules,
+  };
+}
+
+/**
+ * Validate, normalise and store a user upload.
+ * KYC folders go to the private bucket ({ path }); others to the public
+ * bucket ({ path, url }). Rejections come back as { ok: false, status, reasons }.
+ */
+async function storeUpload({ email, folder, buffer, originalName }) {
+  const prepared = await prepareUpload(buffer, { folder, originalName });
+  if (!prepared.ok) return prepared;
+
+  const { contentType, fileName, rules } = prepared;
+
+  if (rules.private) {
+    const storedPath = await uploadKycDocument(email, prepared.buffer, { contentType, fileName });
+    return { ok: true, private: true, path: storedPath, contentType };
+  }
+
+  const storedPath = `${folder}/${ownerSegment(email)}/${Date.now()}-${fileName}`;
+
+  const { error } = await supabase.storage
+    .from(PUBLIC_BUCKET)
+    .upload(storedPath, prepared.buffer, { contentType });
+  if (error) throw error;
+
+  const {
+    data: { publicUrl },
+  } = supabase.storage.from(PUBLIC_BUCKET).getPublicUrl(storedPath);
+
+  return { ok: true, private: false, path: storedPath, url: publicUrl, contentType };
+}
+
+module.exports = {
+  FOLDER_RULES,
+  MAX_UPLOAD_BYTES,
+  detectFileType,
+  sanitizeFileName,
+  prepareUpload,
+  storeUpload,
+};
@@ -0,0 +1,58 @@
+-- Atomic credit movements.
+-- Every change to users.total_credits goes through apply_credit_delta so the
+-- credits_ledger row and the new balance are written in one transaction.
+-- The UPDATE takes a row lock on the user, so concurrent calls serialise
+-- instead of overwriting each other's balance.
+
+create or replace function public.apply_credit_delta(
+  p_email text,
+  p_delta integer,
+  p_reason text,
+  p_origin_site text default null,
+  p_stripe_session_id text default null,
+  p_stripe_event_id text default null,
+  p_amount_usd numeric default null,
+  p_reward_day date default null
+)
+returns table (ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_user_id uuid;
+  v_balance integer;
+  v_ledger_id bigint;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'apply_credit_delta: email is required';
+  end if;
+
+  insert into users (email)
+  values (v_email)
+  on conflict (email) do nothing;
+
+  update users
+     set total_credits = coalesce(total_credits, 0) + coalesce(p_delta, 0),
+         updated_at = now()
+   where email = v_email
+  returning id, total_credits into v_user_id, v_balance;
+
+  insert into credits_ledger (
+    user_id, email, delta, reason, origin_site,
+    stripe_session_id, stripe_event_id, amount_usd, reward_day, created_at
+  )
+  values (
+    v_user_id, v_email, coalesce(p_delta, 0), p_reason, p_origin_site,
+    p_stripe_session_id, p_stripe_event_id, p_amount_usd, p_reward_day, now()
+  )
+  returning id into v_ledger_id;
+
+  ledger_id := v_ledger_id;
+  balance := v_balance;
+  return next;
+end;
+$$;
+
+revoke all on function public.apply_credit_delta(text, integer, text, text, text, text, numeric, date) from public, anon, authenticated;
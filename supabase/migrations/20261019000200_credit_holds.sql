@@ -0,0 +1,241 @@
+-- Spend guard and two-phase credit holds.
+--
+-- Available balance = users.total_credits minus every active hold
+-- (status 'held' and not yet expired). Spends and new holds that would take
+-- the available balance below zero raise SQLSTATE 'CB402', which the API
+-- surfaces as HTTP 402. The DETAIL carries {"available": n, "required": n}.
+
+create table if not exists public.credit_holds (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  amount integer not null check (amount > 0),
+  status text not null default 'held'
+    check (status in ('held', 'captured', 'released')),
+  origin_site text,
+  reference text,
+  ledger_id bigint references public.credits_ledger (id),
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  captured_at timestamptz,
+  released_at timestamptz
+);
+
+create index if not exists credit_holds_email_status_idx
+  on public.credit_holds (email, status);
+
+-- One live hold per partner reference, so a retried "reserve" is idempotent.
+create unique index if not exists credit_holds_origin_reference_uidx
+  on public.credit_holds (origin_site, reference)
+  where reference is not null and status = 'held';
+
+create or replace function public.credit_holds_active_total(p_email text)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+  select coalesce(sum(amount), 0)::integer
+    from credit_holds
+   where email = p_email
+     and status = 'held'
+     and expires_at > now();
+$$;
+
+-- Re-create apply_credit_delta with the optional balance guard.
+drop function if exists public.apply_credit_delta(text, integer, text, text, text, text, numeric, date);
+
+create or replace function public.apply_credit_delta(
+  p_email text,
+  p_delta integer,
+  p_reason text,
+  p_origin_site text default null,
+  p_stripe_session_id text default null,
+  p_stripe_event_id text default null,
+  p_amount_usd numeric default null,
+  p_reward_day date default null,
+  p_require_sufficient boolean default false
+)
+returns table (ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_delta integer := coalesce(p_delta, 0);
+  v_user_id uuid;
+  v_balance integer;
+  v_available integer;
+  v_ledger_id bigint;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'apply_credit_delta: email is required';
+  end if;
+
+  insert into users (email)
+  values (v_email)
+  on conflict (email) do nothing;
+
+  update users
+     set total_credits = coalesce(total_credits, 0) + v_delta,
+         updated_at = now()
+   where email = v_email
+  returning id, total_credits into v_user_id, v_balance;
+
+  if p_require_sufficient and v_delta < 0 then
+    v_available := v_balance - credit_holds_active_total(v_email);
+    if v_available < 0 then
+      raise exception using
+        errcode = 'CB402',
+        message = 'insufficient_credits',
+        detail = json_build_object(
+          'available', v_available - v_delta,
+          'required', -v_delta
+        )::text;
+    end if;
+  end if;
+
+  insert into credits_ledger (
+    user_id, email, delta, reason, origin_site,
+    stripe_session_id, stripe_event_id, amount_usd, reward_day, created_at
+  )
+  values (
+    v_user_id, v_email, v_delta, p_reason, p_origin_site,
+    p_stripe_session_id, p_stripe_event_id, p_amount_usd, p_reward_day, now()
+  )
+  returning id into v_ledger_id;
+
+  ledger_id := v_ledger_id;
+  balance := v_balance;
+  return next;
+end;
+$$;
+
+create or replace function public.create_credit_hold(
+  p_email text,
+  p_amount integer,
+  p_origin_site text default null,
+  p_reference text default null,
+  p_ttl_seconds integer default 900
+)
+returns table (hold_id uuid, available integer, expires_at timestamptz)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_balance integer;
+  v_available integer;
+  v_hold credit_holds%rowtype;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'create_credit_hold: amount must be > 0';
+  end if;
+
+  -- Lock the user row so concurrent holds/spends see each other.
+  select coalesce(total_credits, 0) into v_balance
+    from users
+   where email = v_email
+   for update;
+
+  if not found then
+    v_balance := 0;
+  end if;
+
+  v_available := v_balance - credit_holds_active_total(v_email);
+  if v_available < p_amount then
+    raise exception using
+      errcode = 'CB402',
+      message = 'insufficient_credits',
+      detail = json_build_object('available', v_available, 'required', p_amount)::text;
+  end if;
+
+  insert into credit_holds (email, amount, origin_site, reference, expires_at)
+  values (
+    v_email, p_amount, p_origin_site, p_reference,
+    now() + make_interval(secs => greatest(coalesce(p_ttl_seconds, 900), 60))
+  )
+  returning * into v_hold;
+
+  hold_id := v_hold.id;
+  available := v_available - p_amount;
+  expires_at := v_hold.expires_at;
+  return next;
+end;
+$$;
+
+create or replace function public.capture_credit_hold(
+  p_hold_id uuid,
+  p_reason text default 'hold.capture'
+)
+returns table (ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hold credit_holds%rowtype;
+  v_result record;
+begin
+  select * into v_hold from credit_holds where id = p_hold_id for update;
+
+  if not found then
+    raise exception using errcode = 'CB404', message = 'hold_not_found';
+  end if;
+  if v_hold.status <> 'held' then
+    raise exception using errcode = 'CB409', message = 'hold_not_active',
+      detail = json_build_object('status', v_hold.status)::text;
+  end if;
+  if v_hold.expires_at <= now() then
+    raise exception using errcode = 'CB409', message = 'hold_expired';
+  end if;
+
+  -- Mark captured first so the hold no longer counts against the balance guard.
+  update credit_holds
+     set status = 'captured', captured_at = now()
+   where id = v_hold.id;
+
+  select * into v_result
+    from apply_credit_delta(
+      v_hold.email, -v_hold.amount, p_reason, v_hold.origin_site,
+      null, null, null, null, true
+    );
+
+  update credit_holds set ledger_id = v_result.ledger_id where id = v_hold.id;
+
+  ledger_id := v_result.ledger_id;
+  balance := v_result.balance;
+  return next;
+end;
+$$;
+
+create or replace function public.release_credit_hold(p_hold_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hold credit_holds%rowtype;
+begin
+  select * into v_hold from credit_holds where id = p_hold_id for update;
+
+  if not found then
+    raise exception using errcode = 'CB404', message = 'hold_not_found';
+  end if;
+  if v_hold.status <> 'held' then
+    raise exception using errcode = 'CB409', message = 'hold_not_active',
+      detail = json_build_object('status', v_hold.status)::text;
+  end if;
+
+  update credit_holds
+     set status = 'released', released_at = now()
+   where id = v_hold.id;
+end;
+$$;
+
+revoke all on function public.apply_credit_delta(text, integer, text, text, text, text, numeric, date, boolean) from public, anon, authenticated;
+revoke all on function public.create_credit_hold(text, integer, text, text, integer) from public, anon, authenticated;
+revoke all on function public.capture_credit_hold(uuid, text) from public, anon, authenticated;
+revoke all on function public.release_credit_hold(uuid) from public, anon, authenticated;
@@ -0,0 +1,25 @@
+-- Credit history with a running balance per user.
+-- The window runs over the user's full ledger, so filters applied when
+-- querying the view (origin_site, reason, dates) do not change the balance.
+
+create index if not exists credits_ledger_email_created_idx
+  on public.credits_ledger (email, created_at desc, id desc);
+
+create or replace view public.credits_ledger_history as
+select
+  l.id,
+  l.email,
+  l.delta,
+  l.reason,
+  l.origin_site,
+  l.amount_usd,
+  l.stripe_session_id,
+  l.created_at,
+  sum(l.delta) over (
+    partition by l.email
+    order by l.created_at, l.id
+    rows between unbounded preceding and current row
+  )::integer as running_balance
+from public.credits_ledger l;
+
+revoke all on public.credits_ledger_history from anon, authenticated;
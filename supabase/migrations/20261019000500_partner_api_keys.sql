@@ -0,0 +1,30 @@
+-- Partner registry + per-partner API keys (replaces BRIDGE_SHARED_SECRET).
+-- Only the SHA-256 of each key is stored; the plaintext is shown once at issue time.
+
+create table if not exists public.partners (
+  key text primary key,
+  display_name text not null,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+insert into public.partners (key, display_name) values
+  ('talentkonnect', 'TalentKonnect'),
+  ('careduel', 'CareDuel'),
+  ('ecoworldbuy', 'EcoWorldBuy')
+on conflict (key) do nothing;
+
+create table if not exists public.partner_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  partner_key text not null references public.partners (key),
+  key_prefix text not null,
+  key_hash text not null unique,
+  scopes text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  last_used_at timestamptz
+);
+
+create index if not exists partner_api_keys_partner_idx
+  on public.partner_api_keys (partner_key);
@@ -0,0 +1,28 @@
+-- HMAC-signed server-to-server requests.
+-- Each partner key gets a signing secret (shown once at issue time, like the
+-- API key). Seen nonces are kept per partner to reject replays; rows older
+-- than the tolerance window are pruned by the API.
+--
+-- Keys issued before signing existed have no secret. They get one from
+-- POST /api/admin/partners/:partnerKey/keys/:keyId/signing-secret and may send
+-- unsigned requests until unsigned_until, so partners can roll out signing.
+
+alter table public.partner_api_keys
+  add column if not exists signing_secret text,
+  add column if not exists unsigned_until timestamptz;
+
+update public.partner_api_keys
+   set unsigned_until = now() + interval '30 days'
+ where signing_secret is null
+   and unsigned_until is null
+   and revoked_at is null;
+
+create table if not exists public.signed_request_nonces (
+  signer text not null,
+  nonce text not null,
+  created_at timestamptz not null default now(),
+  primary key (signer, nonce)
+);
+
+create index if not exists signed_request_nonces_created_idx
+  on public.signed_request_nonces (created_at);
@@ -0,0 +1,108 @@
+-- Durable Stripe webhook store.
+-- handleWebhook persists every verified event here before acknowledging it;
+-- the worker (services/stripeEventWorker.js) claims due rows, processes them
+-- and retries failures with exponential backoff until they go 'dead'.
+
+create table if not exists public.stripe_events (
+  id text primary key,                -- Stripe event id (evt_...)
+  type text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'processing', 'processed', 'failed', 'dead')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  locked_until timestamptz,
+  last_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists stripe_events_due_idx
+  on public.stripe_events (status, next_attempt_at);
+
+-- Claim up to p_limit due events (pending/failed whose retry time has come,
+-- or 'processing' rows whose lease expired after a crash). Safe to call from
+-- several workers: rows are locked with SKIP LOCKED.
+create or replace function public.claim_stripe_events(
+  p_limit integer default 10,
+  p_lease_seconds integer default 300
+)
+returns setof public.stripe_events
+language sql
+security definer
+set search_path = public
+as $$
+  update stripe_events e
+     set status = 'processing',
+         attempts = e.attempts + 1,
+         locked_until = now() + make_interval(secs => p_lease_seconds),
+         updated_at = now()
+   where e.id in (
+     select id
+       from stripe_events
+      where (status in ('pending', 'failed') and next_attempt_at <= now())
+         or (status = 'processing' and locked_until < now())
+      order by next_attempt_at
+      limit p_limit
+      for update skip locked
+   )
+  returning e.*;
+$$;
+
+revoke all on function public.claim_stripe_events(integer, integer) from public, anon, authenticated;
+
+-- Spend counted per Stripe source (checkout session, invoice, refund event),
+-- so a retried event never adds the same payment to users.total_spent twice.
+create table if not exists public.user_spend_events (
+  key text primary key,               -- e.g. checkout:cs_..., invoice:in_..., reversal:evt_...
+  email text not null,
+  delta_usd numeric not null,
+  created_at timestamptz not null default now()
+);
+
+-- Add p_delta to total_spent once per p_key (every call when p_key is null),
+-- as a single atomic increment.
+create or replace function public.apply_spend_delta(
+  p_email text,
+  p_delta numeric,
+  p_key text default null
+)
+returns table (applied boolean, total_spent numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_email text := lower(trim(p_email));
+  v_rows integer;
+begin
+  if p_key is not null then
+    insert into user_spend_events (key, email, delta_usd)
+    values (p_key, v_email, coalesce(p_delta, 0))
+    on conflict (key) do nothing;
+
+    get diagnostics v_rows = row_count;
+    if v_rows = 0 then
+      applied := false;
+      select u.total_spent into total_spent from users u where u.email = v_email;
+      return next;
+      return;
+    end if;
+  end if;
+
+  insert into users (email) values (v_email) on conflict (email) do nothing;
+
+  update users u
+     set total_spent = coalesce(u.total_spent, 0) + coalesce(p_delta, 0),
+         updated_at = now()
+   where u.email = v_email
+  returning u.total_spent into total_spent;
+
+  applied := true;
+  return next;
+end;
+$$;
+
+revoke all on function public.apply_spend_delta(text, numeric, text) from public, anon, authenticated;
@@ -0,0 +1,32 @@
+-- Refund / dispute reversals of Checkout payments.
+-- One row per Stripe refund source (charge) or dispute. Tracks what has been
+-- reversed so repeated charge.refunded events only apply the difference, and
+-- keeps a snapshot of the revoked access flags so a won dispute can restore them.
+--
+-- An event claims the row ('pending', with the pending_* amounts) before it
+-- touches the ledger, and only marks it 'applied' once every step is done, so
+-- a retry after a partial failure finishes the work instead of skipping it.
+
+create table if not exists public.payment_reversals (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  stripe_session_id text not null,
+  source text not null check (source in ('refund', 'dispute')),
+  source_id text not null,            -- charge id (refund) or dispute id
+  credits_reversed integer not null default 0,
+  usd_reversed numeric not null default 0,
+  access_revoked boolean not null default false,
+  access_snapshot jsonb,
+  status text not null default 'pending'
+    check (status in ('pending', 'applied', 'restored', 'final')),
+  pending_event_id text,              -- event whose reversal is in flight
+  pending_credits integer not null default 0,
+  pending_usd numeric not null default 0,
+  pending_revoke boolean not null default false,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (source, source_id)
+);
+
+create index if not exists payment_reversals_session_idx
+  on public.payment_reversals (stripe_session_id);
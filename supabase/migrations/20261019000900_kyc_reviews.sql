@@ -0,0 +1,20 @@
+-- Admin KYC review: decision columns on users + an audit trail of decisions.
+
+alter table public.users
+  add column if not exists kyc_reviewed_at timestamptz,
+  add column if not exists kyc_reviewed_by text,
+  add column if not exists kyc_rejection_reason text;
+
+create index if not exists users_kyc_status_idx on public.users (kyc_status);
+
+create table if not exists public.kyc_reviews (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null,
+  email text not null,
+  decision text not null check (decision in ('approved', 'rejected')),
+  reason text,
+  reviewed_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists kyc_reviews_user_idx on public.kyc_reviews (user_id);
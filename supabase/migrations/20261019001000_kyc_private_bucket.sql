@@ -0,0 +1,8 @@
+-- Private bucket for KYC documents (government IDs, selfies, DOB proofs).
+-- Objects are only reachable through short-lived signed URLs issued by the API.
+-- users.*_url KYC columns now hold object paths inside this bucket; legacy
+-- public URLs are moved by scripts/migrate-kyc-documents.js.
+
+insert into storage.buckets (id, name, public)
+values ('kyc-private', 'kyc-private', false)
+on conflict (id) do update set public = false;
@@ -0,0 +1,63 @@
+-- Tier catalog. Single source for checkout prices, fulfilment benefits and
+-- /api/stripe/tiers. Rows are validated and cached by services/tierCatalogService.js
+-- (changes are picked up within the cache TTL, no deploy needed).
+--
+-- stripe_price_id wins; stripe_price_env names an env var to fall back to
+-- while price IDs are still configured per environment.
+
+create table if not exists public.membership_tiers (
+  key text primary key check (key ~ '^[a-z0-9_]+$'),
+  name text not null,
+  price_cents integer not null check (price_cents > 0),
+  stripe_price_id text,
+  stripe_price_env text,
+  credits integer not null default 0 check (credits >= 0),
+  entries integer not null default 0 check (entries >= 0),
+  credit_multiplier numeric not null default 1 check (credit_multiplier >= 1),
+  full_access boolean not null default false,
+  requires_age_verification boolean not null default false,
+  perks jsonb not null default '{}'::jsonb,       -- users columns set on purchase
+  features jsonb not null default '[]'::jsonb,    -- marketing copy
+  requirements jsonb not null default '[]'::jsonb,
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+insert into public.membership_tiers
+  (key, name, price_cents, stripe_price_env, credits, entries, credit_multiplier, full_access,
+   requires_age_verification, perks, features, requirements, sort_order)
+values
+  ('discount19', 'Discounted Membership', 1900, 'STRIPE_PRICE_DISCOUNT_19', 49, 1, 1.0, false, true,
+   '{}',
+   '["Lifetime membership", "1 Skill Event entry", "49 credits", "Access to all partner sites", "Referral code", "Dashboard access"]',
+   '["Under 25 or Over 60", "Government ID", "Live Selfie", "Social Media Link"]',
+   10),
+  ('basic', 'Basic Membership', 4900, 'STRIPE_PRICE_BASIC_49', 49, 1, 1.0, false, false,
+   '{}',
+   '["Lifetime membership", "49 credits", "1 Skill Event entry", "Access to all partner sites", "Referrals", "Dashboard basics"]',
+   '[]',
+   20),
+  ('pro', 'Pro Membership', 9900, 'STRIPE_PRICE_PRO_99', 49, 3, 1.5, true, false,
+   '{"priority_challenge": true, "pro_welcome_perk": true}',
+   '["Everything in Basic", "Priority challenge window (UI badge)", "Credit multiplier 1.5x", "3 Skill Event entries", "Pro Welcome Perk placeholder"]',
+   '[]',
+   30),
+  ('elite', 'Elite Membership', 49900, 'STRIPE_PRICE_ELITE_499', 500, 10, 1.5, true, false,
+   '{"elite_prep_access": true, "vip_onboarding": true, "marketplace_priority": true, "refund_on_event_end": 250}',
+   '["Everything in Pro", "10 Skill Event entries", "500 credits", "Elite-only prep access", "VIP Onboarding", "Marketplace priority", "Elite Welcome Pack", "Credit refund on event end (250)"]',
+   '[]',
+   40)
+on conflict (key) do nothing;
+
+-- Non-tier catalog settings (JSON per key)
+create table if not exists public.catalog_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+-- Limited partner pass: price, Stripe price, and the tier a balance upgrade lands on
+insert into public.catalog_settings (key, value) values
+  ('limited_pass', '{"price_cents": 700, "stripe_price_env": "STRIPE_PRICE_ACCESS_7", "upgrade_target_tier": "basic"}')
+on conflict (key) do nothing;
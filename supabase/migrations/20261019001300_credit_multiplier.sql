@@ -0,0 +1,126 @@
+-- Apply users.credit_multiplier to eligible earn reasons inside apply_credit_delta.
+-- Which reasons are eligible is configured in catalog_settings.multiplier_reasons
+-- and decided by services/creditLedgerService.js (p_apply_multiplier).
+--
+-- delta = base_delta + bonus_delta; bonus is floor(base * (multiplier - 1)).
+
+alter table public.credits_ledger
+  add column if not exists base_delta integer,
+  add column if not exists bonus_delta integer not null default 0,
+  add column if not exists multiplier numeric;
+
+-- Exact reasons, or prefixes ending in '*'
+insert into public.catalog_settings (key, value) values
+  ('multiplier_reasons', '["api.earn", "action.rewarded", "bridge.sync_checkout"]')
+on conflict (key) do nothing;
+
+drop function if exists public.apply_credit_delta(text, integer, text, text, text, text, numeric, date, boolean);
+
+create or replace function public.apply_credit_delta(
+  p_email text,
+  p_delta integer,
+  p_reason text,
+  p_origin_site text default null,
+  p_stripe_session_id text default null,
+  p_stripe_event_id text default null,
+  p_amount_usd numeric default null,
+  p_reward_day date default null,
+  p_require_sufficient boolean default false,
+  p_apply_multiplier boolean default false
+)
+returns table (ledger_id bigint, balance integer, base_delta integer, bonus_delta integer, multiplier numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_base integer := coalesce(p_delta, 0);
+  v_bonus integer := 0;
+  v_multiplier numeric := null;
+  v_delta integer;
+  v_user_id uuid;
+  v_balance integer;
+  v_available integer;
+  v_ledger_id bigint;
+begin
+  if v_email is null or v_email = '' then
+    raise exception 'apply_credit_delta: email is required';
+  end if;
+
+  insert into users (email)
+  values (v_email)
+  on conflict (email) do nothing;
+
+  -- Lock the row so the multiplier read and the balance update agree
+  if p_apply_multiplier and v_base > 0 then
+    select greatest(coalesce(u.credit_multiplier, 1), 1)
+      into v_multiplier
+      from users u
+     where u.email = v_email
+       for update;
+    v_bonus := floor(v_base * (v_multiplier - 1))::integer;
+  end if;
+
+  v_delta := v_base + v_bonus;
+
+  update users
+     set total_credits = coalesce(total_credits, 0) + v_delta,
+         updated_at = now()
+   where email = v_email
+  returning id, total_credits into v_user_id, v_balance;
+
+  if p_require_sufficient and v_delta < 0 then
+    v_available := v_balance - credit_holds_active_total(v_email);
+    if v_available < 0 then
+      raise exception using
+        errcode = 'CB402',
+        message = 'insufficient_credits',
+        detail = json_build_object(
+          'available', v_available - v_delta,
+          'required', -v_delta
+        )::text;
+    end if;
+  end if;
+
+  insert into credits_ledger (
+    user_id, email, delta, base_delta, bonus_delta, multiplier, reason, origin_site,
+    stripe_session_id, stripe_event_id, amount_usd, reward_day, created_at
+  )
+  values (
+    v_user_id, v_email, v_delta, v_base, v_bonus, v_multiplier, p_reason, p_origin_site,
+    p_stripe_session_id, p_stripe_event_id, p_amount_usd, p_reward_day, now()
+  )
+  returning id into v_ledger_id;
+
+  ledger_id := v_ledger_id;
+  balance := v_balance;
+  base_delta := v_base;
+  bonus_delta := v_bonus;
+  multiplier := v_multiplier;
+  return next;
+end;
+$$;
+
+revoke all on function public.apply_credit_delta(text, integer, text, text, text, text, numeric, date, boolean, boolean) from public, anon, authenticated;
+
+-- Expose the split in history (new columns appended; create or replace keeps grants)
+create or replace view public.credits_ledger_history as
+select
+  l.id,
+  l.email,
+  l.delta,
+  l.reason,
+  l.origin_site,
+  l.amount_usd,
+  l.stripe_session_id,
+  l.created_at,
+  sum(l.delta) over (
+    partition by l.email
+    order by l.created_at, l.id
+    rows between unbounded preceding and current row
+  )::integer as running_balance,
+  coalesce(l.base_delta, l.delta) as base_delta,
+  l.bonus_delta,
+  l.multiplier
+from public.credits_ledger l;
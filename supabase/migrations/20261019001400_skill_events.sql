@@ -0,0 +1,103 @@
+-- Skill Events and the Elite "credit refund on event end".
+--
+-- When an event's ends_at passes, services/skillEventScheduler.js grants each
+-- participant their users.refund_on_event_end (set by the Elite tier perks)
+-- through grant_event_end_refund, which records the grant in
+-- skill_event_refunds and writes the ledger row in one transaction.
+-- The unique (event_id, email) makes the grant exactly-once per participant.
+
+create table if not exists public.skill_events (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique check (slug ~ '^[a-z0-9-]+$'),
+  title text not null,
+  description text,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  status text not null default 'scheduled' check (status in ('scheduled', 'cancelled')),
+  refunds_completed_at timestamptz,      -- set once every eligible participant was paid
+  refund_attempts integer not null default 0,           -- runs that had a failed grant
+  refund_next_attempt_at timestamptz not null default now(), -- backoff after a failed run
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+
+create index if not exists skill_events_refunds_due_idx
+  on public.skill_events (refund_next_attempt_at)
+  where status = 'scheduled' and refunds_completed_at is null;
+
+create table if not exists public.skill_event_participants (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.skill_events(id) on delete cascade,
+  email text not null,
+  status text not null default 'registered' check (status in ('registered', 'cancelled')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (event_id, email)
+);
+
+create index if not exists skill_event_participants_email_idx
+  on public.skill_event_participants (email);
+
+create table if not exists public.skill_event_refunds (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.skill_events(id),
+  email text not null,
+  amount integer not null check (amount > 0),
+  ledger_id bigint,
+  created_at timestamptz not null default now(),
+  unique (event_id, email)
+);
+
+-- Grant one participant's end-of-event refund. Returns granted = false when
+-- the user has no refund configured or it was already granted for this event.
+create or replace function public.grant_event_end_refund(p_event_id uuid, p_email text)
+returns table (granted boolean, amount integer, ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_amount integer;
+  v_refund_id uuid;
+  v_result record;
+begin
+  select coalesce(u.refund_on_event_end, 0)
+    into v_amount
+    from users u
+   where u.email = v_email;
+
+  if coalesce(v_amount, 0) <= 0 then
+    granted := false;
+    amount := 0;
+    return next;
+    return;
+  end if;
+
+  insert into skill_event_refunds (event_id, email, amount)
+  values (p_event_id, v_email, v_amount)
+  on conflict (event_id, email) do nothing
+  returning id into v_refund_id;
+
+  if v_refund_id is null then
+    granted := false;
+    amount := v_amount;
+    return next;
+    return;
+  end if;
+
+  select * into v_result
+    from apply_credit_delta(v_email, v_amount, 'event_end_refund', 'skill_event');
+
+  update skill_event_refunds set ledger_id = v_result.ledger_id where id = v_refund_id;
+
+  granted := true;
+  amount := v_amount;
+  ledger_id := v_result.ledger_id;
+  balance := v_result.balance;
+  return next;
+end;
+$$;
+
+revoke all on function public.grant_event_end_refund(uuid, text) from public, anon, authenticated;
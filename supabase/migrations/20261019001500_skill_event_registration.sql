@@ -0,0 +1,193 @@
+-- Skill Event registration.
+--
+-- Registering consumes one users.entries_available (membership entries) or,
+-- when none are left, charges the event's credit cost through the ledger.
+-- Users with the priority_challenge perk (Pro) may register
+-- priority_window_hours before registration_opens_at. Unregistering before
+-- the cutoff gives the entry or the credits back.
+--
+-- Errors: CB404 not found / not registered, CB409 window or state conflicts
+-- (DETAIL carries { reason, ... }), CB402 insufficient credits.
+
+alter table public.skill_events
+  add column if not exists registration_opens_at timestamptz,        -- null: open as soon as the event exists
+  add column if not exists priority_window_hours integer not null default 24 check (priority_window_hours >= 0),
+  add column if not exists unregister_cutoff_hours integer not null default 24 check (unregister_cutoff_hours >= 0),
+  add column if not exists credit_cost integer check (credit_cost >= 0);  -- null: catalog default
+
+alter table public.skill_event_participants
+  add column if not exists entry_source text check (entry_source in ('entry', 'credits')),
+  add column if not exists credits_spent integer not null default 0,
+  add column if not exists ledger_id bigint,
+  add column if not exists cancelled_at timestamptz;
+
+-- Credit cost when an event does not set its own
+insert into public.catalog_settings (key, value) values
+  ('skill_event_credit_cost', '25')
+on conflict (key) do nothing;
+
+create or replace function public.register_skill_event(
+  p_event_id uuid,
+  p_email text,
+  p_default_credit_cost integer default 0
+)
+returns table (participant_id uuid, entry_source text, credits_spent integer, entries_available integer, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_email text := lower(trim(p_email));
+  v_event skill_events%rowtype;
+  v_user users%rowtype;
+  v_opens timestamptz;
+  v_cost integer;
+  v_source text;
+  v_spent integer := 0;
+  v_entries integer;
+  v_balance integer;
+  v_ledger record;
+  v_ledger_id bigint;
+  v_participant_id uuid;
+begin
+  select * into v_event from skill_events where id = p_event_id;
+  if not found then
+    raise exception using errcode = 'CB404', message = 'event_not_found';
+  end if;
+
+  if v_event.status <> 'scheduled' then
+    raise exception using errcode = 'CB409', message = 'event_not_open',
+      detail = json_build_object('reason', 'event_' || v_event.status)::text;
+  end if;
+  if now() >= v_event.starts_at then
+    raise exception using errcode = 'CB409', message = 'registration_closed',
+      detail = json_build_object('reason', 'registration_closed')::text;
+  end if;
+
+  -- Lock the user so concurrent registrations cannot spend the same entry.
+  select * into v_user from users where email = v_email for update;
+  if not found then
+    raise exception using errcode = 'CB404', message = 'user_not_found';
+  end if;
+
+  v_opens := v_event.registration_opens_at;
+  if v_opens is not null and coalesce(v_user.priority_challenge, false) then
+    v_opens := v_opens - make_interval(hours => v_event.priority_window_hours);
+  end if;
+  if v_opens is not null and now() < v_opens then
+    raise exception using errcode = 'CB409', message = 'registration_not_open',
+      detail = json_build_object('reason', 'registration_not_open', 'opens_at', v_opens)::text;
+  end if;
+
+  perform 1 from skill_event_participants
+   where event_id = p_event_id and email = v_email and status = 'registered';
+  if found then
+    raise exception using errcode = 'CB409', message = 'already_registered',
+      detail = json_build_object('reason', 'already_registered')::text;
+  end if;
+
+  v_entries := coalesce(v_user.entries_available, 0);
+  v_balance := coalesce(v_user.total_credits, 0);
+  v_cost := coalesce(v_event.credit_cost, p_default_credit_cost, 0);
+
+  if v_entries > 0 then
+    v_source := 'entry';
+    v_entries := v_entries - 1;
+    update users set entries_available = v_entries, updated_at = now() where id = v_user.id;
+  elsif v_cost > 0 then
+    v_source := 'credits';
+    v_spent := v_cost;
+    select * into v_ledger
+      from apply_credit_delta(v_email, -v_cost, 'skill_event_entry', 'skill_event',
+                              null, null, null, null, true);
+    v_balance := v_ledger.balance;
+    v_ledger_id := v_ledger.ledger_id;
+  else
+    raise exception using errcode = 'CB409', message = 'no_entries_available',
+      detail = json_build_object('reason', 'no_entries_available')::text;
+  end if;
+
+  insert into skill_event_participants (event_id, email, status, entry_source, credits_spent, ledger_id)
+  values (p_event_id, v_email, 'registered', v_source, v_spent, v_ledger_id)
+  on conflict (event_id, email) do update
+     set status = 'registered',
+         entry_source = excluded.entry_source,
+         credits_spent = excluded.credits_spent,
+         ledger_id = excluded.ledger_id,
+         cancelled_at = null,
+         created_at = now(),
+         updated_at = now()
+  returning id into v_participant_id;
+
+  participant_id := v_participant_id;
+  entry_source := v_source;
+  credits_spent := v_spent;
+  entries_available := v_entries;
+  balance := v_balance;
+  return next;
+end;
+$$;
+
+create or replace function public.unregister_skill_event(p_event_id uuid, p_email text)
+returns table (entry_source text, credits_refunded integer, entries_available integer, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_email text := lower(trim(p_email));
+  v_event skill_events%rowtype;
+  v_participant skill_event_participants%rowtype;
+  v_cutoff timestamptz;
+  v_entries integer;
+  v_balance integer;
+  v_ledger record;
+begin
+  select * into v_event from skill_events where id = p_event_id;
+  if not found then
+    raise exception using errcode = 'CB404', message = 'event_not_found';
+  end if;
+
+  select * into v_participant
+    from skill_event_participants
+   where event_id = p_event_id and email = v_email and status = 'registered'
+   for update;
+  if not found then
+    raise exception using errcode = 'CB404', message = 'not_registered';
+  end if;
+
+  v_cutoff := v_event.starts_at - make_interval(hours => v_event.unregister_cutoff_hours);
+  if now() >= v_cutoff then
+    raise exception using errcode = 'CB409', message = 'unregister_closed',
+      detail = json_build_object('reason', 'unregister_closed', 'cutoff_at', v_cutoff)::text;
+  end if;
+
+  if v_participant.entry_source = 'entry' then
+    update users
+       set entries_available = coalesce(entries_available, 0) + 1, updated_at = now()
+     where email = v_email
+    returning entries_available, total_credits into v_entries, v_balance;
+  else
+    if v_participant.credits_spent > 0 then
+      select * into v_ledger
+        from apply_credit_delta(v_email, v_participant.credits_spent, 'skill_event_entry_refund', 'skill_event');
+    end if;
+    select u.entries_available, u.total_credits into v_entries, v_balance from users u where u.email = v_email;
+  end if;
+
+  update skill_event_participants
+     set status = 'cancelled', cancelled_at = now(), updated_at = now()
+   where id = v_participant.id;
+
+  entry_source := v_participant.entry_source;
+  credits_refunded := case when v_participant.entry_source = 'credits' then v_participant.credits_spent else 0 end;
+  entries_available := coalesce(v_entries, 0);
+  balance := coalesce(v_balance, 0);
+  return next;
+end;
+$$;
+
+revoke all on function public.register_skill_event(uuid, text, integer) from public, anon, authenticated;
+revoke all on function public.unregister_skill_event(uuid, text) from public, anon, authenticated;
@@ -0,0 +1,130 @@
+-- Global race leaderboard.
+--
+-- Points are the sum of credits.amount where eligible_global_race = true
+-- (access pass and Stripe payments; refunds add negative eligible rows)
+-- earned inside a season's [starts_at, ends_at) window. Closed seasons can
+-- be frozen into race_season_snapshots so the archive no longer depends on
+-- later ledger changes.
+
+create index if not exists credits_global_race_idx
+  on public.credits (created_at, email)
+  where eligible_global_race;
+
+create table if not exists public.race_seasons (
+  id uuid primary key default gen_random_uuid(),
+  slug text not null unique check (slug ~ '^[a-z0-9-]+$'),
+  name text not null,
+  starts_at timestamptz not null,
+  ends_at timestamptz not null,
+  snapshot_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (ends_at > starts_at)
+);
+
+create table if not exists public.race_season_snapshots (
+  season_id uuid not null references public.race_seasons(id) on delete cascade,
+  rank integer not null,
+  email text not null,
+  full_name text,
+  points integer not null,
+  primary key (season_id, email)
+);
+
+create index if not exists race_season_snapshots_rank_idx
+  on public.race_season_snapshots (season_id, rank);
+
+-- Ranked totals for a window. Ties share a rank; earlier last credit lists first.
+create or replace function public.race_leaderboard(
+  p_starts timestamptz,
+  p_ends timestamptz,
+  p_limit integer default 10,
+  p_offset integer default 0
+)
+returns table (rank bigint, email text, full_name text, points bigint, last_earned_at timestamptz)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with totals as (
+    select lower(c.email) as email, sum(c.amount)::bigint as points, max(c.created_at) as last_earned_at
+      from credits c
+     where c.eligible_global_race
+       and c.created_at >= p_starts
+       and c.created_at < p_ends
+     group by lower(c.email)
+    having sum(c.amount) > 0
+  )
+  select rank() over (order by t.points desc) as rank,
+         t.email, u.full_name, t.points, t.last_earned_at
+    from totals t
+    left join users u on u.email = t.email
+   order by t.points desc, t.last_earned_at asc, t.email
+   limit greatest(coalesce(p_limit, 10), 1)
+  offset greatest(coalesce(p_offset, 0), 0);
+$$;
+
+-- One user's standing in a window (rank null when they have no points)
+create or replace function public.race_rank(p_starts timestamptz, p_ends timestamptz, p_email text)
+returns table (rank bigint, points bigint, participants bigint)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with totals as (
+    select lower(c.email) as email, sum(c.amount)::bigint as points
+      from credits c
+     where c.eligible_global_race
+       and c.created_at >= p_starts
+       and c.created_at < p_ends
+     group by lower(c.email)
+    having sum(c.amount) > 0
+  ),
+  me as (
+    select points from totals where email = lower(trim(p_email))
+  )
+  select
+    case when exists (select 1 from me)
+         then (select count(*) + 1 from totals where points > (select points from me))
+    end as rank,
+    coalesce((select points from me), 0) as points,
+    (select count(*) from totals) as participants;
+$$;
+
+-- Freeze an ended season's top p_limit. Returns the number of rows written (0 if already frozen).
+create or replace function public.snapshot_race_season(p_season_id uuid, p_limit integer default 100)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_season race_seasons%rowtype;
+  v_rows integer;
+begin
+  select * into v_season from race_seasons where id = p_season_id for update;
+  if not found then
+    raise exception using errcode = 'CB404', message = 'season_not_found';
+  end if;
+  if v_season.snapshot_at is not null then
+    return 0;
+  end if;
+  if now() < v_season.ends_at then
+    raise exception using errcode = 'CB409', message = 'season_not_ended';
+  end if;
+
+  insert into race_season_snapshots (season_id, rank, email, full_name, points)
+  select p_season_id, l.rank, l.email, l.full_name, l.points
+    from race_leaderboard(v_season.starts_at, v_season.ends_at, p_limit, 0) l;
+  get diagnostics v_rows = row_count;
+
+  update race_seasons set snapshot_at = now(), updated_at = now() where id = p_season_id;
+  return v_rows;
+end;
+$$;
+
+revoke all on function public.race_leaderboard(timestamptz, timestamptz, integer, integer) from public, anon, authenticated;
+revoke all on function public.race_rank(timestamptz, timestamptz, text) from public, anon, authenticated;
+revoke all on function public.snapshot_race_season(uuid, integer) from public, anon, authenticated;
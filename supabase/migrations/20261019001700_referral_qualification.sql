@@ -0,0 +1,106 @@
+-- Referral rewards paid on qualification instead of on code entry.
+--
+-- A referral starts 'pending' and becomes 'qualified' (rewards paid) or
+-- 'rejected' (fraud check / rule failed) when the referee's first purchase
+-- goes through handleSuccessfulPayment. Rules live in
+-- catalog_settings.referral_program (see services/referralService.js).
+
+alter table public.referrals
+  add column if not exists status text not null default 'pending'
+    check (status in ('pending', 'qualified', 'rejected')),
+  add column if not exists qualified_at timestamptz,
+  add column if not exists rejected_reason text,
+  add column if not exists qualifying_session_id text,
+  add column if not exists referrer_reward integer not null default 0,
+  add column if not exists referee_reward integer not null default 0;
+
+-- Every referral recorded before this change was paid +25 on the spot
+update public.referrals
+   set status = 'qualified', qualified_at = now(), referrer_reward = 25
+ where status = 'pending';
+
+create index if not exists referrals_referrer_idx on public.referrals (referrer_email, status);
+create index if not exists referrals_referred_idx on public.referrals (referred_email);
+
+-- Stripe customer + card fingerprint per paid session, for self-referral checks
+create table if not exists public.payment_fingerprints (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  stripe_session_id text not null unique,
+  stripe_customer_id text,
+  card_fingerprint text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists payment_fingerprints_email_idx on public.payment_fingerprints (email);
+create index if not exists payment_fingerprints_customer_idx on public.payment_fingerprints (stripe_customer_id);
+create index if not exists payment_fingerprints_card_idx on public.payment_fingerprints (card_fingerprint);
+
+insert into public.catalog_settings (key, value) values
+  ('referral_program', '{
+    "qualification": "first_purchase",
+    "min_purchase_usd": 0,
+    "referrer_rewards": [25],
+    "referee_reward": 0,
+    "max_rewards_per_referrer": 100,
+    "max_rewards_per_referrer_30d": 20
+  }')
+on conflict (key) do nothing;
+
+-- Rewards paid per referral and level (0: the referee, 1..n: the referrer
+-- chain). pay_referral_reward writes this row and the ledger row together, so
+-- a qualification retried after a partial failure never pays a level twice;
+-- the referral is marked 'qualified' only once every level is through.
+create table if not exists public.referral_rewards (
+  referral_id text not null,
+  level integer not null check (level >= 0),
+  email text not null,
+  amount integer not null check (amount > 0),
+  ledger_id bigint,
+  created_at timestamptz not null default now(),
+  primary key (referral_id, level)
+);
+
+create or replace function public.pay_referral_reward(
+  p_referral_id text,
+  p_level integer,
+  p_email text,
+  p_amount integer,
+  p_reason text
+)
+returns table (granted boolean, ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text := lower(trim(p_email));
+  v_rows integer;
+  v_result record;
+begin
+  insert into referral_rewards (referral_id, level, email, amount)
+  values (p_referral_id, p_level, v_email, p_amount)
+  on conflict do nothing;
+
+  get diagnostics v_rows = row_count;
+  if v_rows = 0 then
+    granted := false;
+    return next;
+    return;
+  end if;
+
+  select * into v_result
+    from apply_credit_delta(v_email, p_amount, p_reason, 'crowbar');
+
+  update referral_rewards r
+     set ledger_id = v_result.ledger_id
+   where r.referral_id = p_referral_id and r.level = p_level;
+
+  granted := true;
+  ledger_id := v_result.ledger_id;
+  balance := v_result.balance;
+  return next;
+end;
+$$;
+
+revoke all on function public.pay_referral_reward(text, integer, text, integer, text) from public, anon, authenticated;
@@ -0,0 +1,219 @@
+-- Partner reward rules (replaces gateController CREDIT_MAP + once-per-UTC-day check).
+--
+-- Rules are per (partner, action): 'visit' is paid by the gate, 'login' by the
+-- bridge sync-login, 'checkout' by the bridge sync-checkout (amount plus
+-- credits_per_usd of the purchase, capped at max_credits; the partner's own
+-- credit figure is not trusted). grant_partner_reward picks the highest-priority
+-- rule that is active now and matches the user's tier, then enforces the cooldown
+-- (shared by all rules of a partner/action, so a promo does not stack on the base
+-- rule) and the rule's lifetime cap. Runs under the user row lock, so concurrent
+-- gate/bridge calls cannot both pay.
+--
+-- cooldown: 'daily' / 'weekly' reset at UTC day / ISO week boundaries,
+--           'rolling' waits cooldown_hours after the last grant, 'none' pays
+--           every time (checkouts; repeats are stopped by the grant reference).
+
+create table if not exists public.partner_reward_rules (
+  id uuid primary key default gen_random_uuid(),
+  partner_key text not null references public.partners (key),
+  action text not null default 'visit' check (action in ('visit', 'login', 'checkout')),
+  name text not null,
+  amount integer not null check (amount >= 0),
+  credits_per_usd numeric check (credits_per_usd >= 0),  -- checkout: on top of amount
+  max_credits integer check (max_credits > 0),          -- cap per grant
+  cooldown text not null default 'daily' check (cooldown in ('daily', 'weekly', 'rolling', 'none')),
+  cooldown_hours integer check (cooldown_hours > 0),
+  lifetime_cap integer check (lifetime_cap > 0),     -- max grants per user from this rule
+  required_tiers text[],                              -- null/empty: any user
+  starts_at timestamptz,
+  ends_at timestamptz,
+  priority integer not null default 0,                -- higher wins (promos over base rules)
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (cooldown <> 'rolling' or cooldown_hours is not null),
+  check (ends_at is null or starts_at is null or ends_at > starts_at)
+);
+
+create index if not exists partner_reward_rules_partner_idx
+  on public.partner_reward_rules (partner_key, action) where active;
+
+create table if not exists public.partner_reward_grants (
+  id uuid primary key default gen_random_uuid(),
+  rule_id uuid references public.partner_reward_rules (id),
+  partner_key text not null,
+  action text not null,
+  email text not null,
+  amount integer not null,
+  ledger_id bigint,
+  reference text,                     -- checkout: stripe session / idempotency key
+  created_at timestamptz not null default now()
+);
+
+create index if not exists partner_reward_grants_user_idx
+  on public.partner_reward_grants (email, partner_key, action, created_at desc);
+
+create unique index if not exists partner_reward_grants_reference_idx
+  on public.partner_reward_grants (partner_key, action, reference)
+  where reference is not null;
+
+-- Base rules matching the old CREDIT_MAP (gate visits only; logins paid nothing)
+insert into public.partner_reward_rules (partner_key, name, amount, cooldown)
+select v.partner_key, v.name, v.amount, 'daily'
+  from (values
+    ('talentkonnect', 'Daily visit', 7),
+    ('careduel', 'Daily visit', 3),
+    ('ecoworldbuy', 'Daily visit', 7)
+  ) as v(partner_key, name, amount)
+ where not exists (select 1 from public.partner_reward_rules r where r.partner_key = v.partner_key);
+
+-- Checkout credits, formerly sent by the partner as credits_delta (about $1 = 1 credit)
+insert into public.partner_reward_rules (partner_key, action, name, amount, credits_per_usd, max_credits, cooldown)
+select v.partner_key, 'checkout', 'Checkout credits', 0, 1, 500, 'none'
+  from (values ('talentkonnect'), ('careduel'), ('ecoworldbuy')) as v(partner_key)
+ where not exists (
+   select 1 from public.partner_reward_rules r where r.partner_key = v.partner_key and r.action = 'checkout'
+ );
+
+-- Carry recent rewards over so today's cooldowns still hold after the switch
+insert into public.partner_reward_grants (partner_key, action, email, amount, ledger_id, created_at)
+select l.origin_site, 'visit', l.email, l.delta, l.id, l.created_at
+  from public.credits_ledger l
+ where l.reason = 'action.rewarded'
+   and l.created_at > now() - interval '8 days'
+   and l.origin_site in (select key from public.partners)
+   and not exists (select 1 from public.partner_reward_grants g where g.ledger_id = l.id);
+
+-- Access pass credits (formerly CREDIT_MAP.access_pass)
+insert into public.catalog_settings (key, value) values
+  ('access_pass', '{"credits": 49}')
+on conflict (key) do nothing;
+
+create or replace function public.grant_partner_reward(
+  p_email text,
+  p_partner_key text,
+  p_action text default 'visit',
+  p_apply_multiplier boolean default false,
+  p_amount_usd numeric default null,
+  p_reference text default null,
+  p_stripe_session_id text default null,
+  p_reason text default 'action.rewarded'
+)
+returns table (
+  granted boolean,
+  reason text,
+  rule_id uuid,
+  base_delta integer,
+  bonus_delta integer,
+  multiplier numeric,
+  ledger_id bigint,
+  balance integer,
+  next_eligible_at timestamptz
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_email text := lower(trim(p_email));
+  v_user users%rowtype;
+  v_rule partner_reward_rules%rowtype;
+  v_last timestamptz;
+  v_next timestamptz;
+  v_count integer;
+  v_amount integer;
+  v_ledger record;
+begin
+  granted := false;
+
+  insert into users (email) values (v_email) on conflict (email) do nothing;
+  select * into v_user from users where email = v_email for update;
+
+  if p_reference is not null and exists (
+    select 1 from partner_reward_grants g
+     where g.partner_key = p_partner_key and g.action = p_action and g.reference = p_reference
+  ) then
+    reason := 'already_granted';
+    return next;
+    return;
+  end if;
+
+  select * into v_rule
+    from partner_reward_rules r
+   where r.partner_key = p_partner_key
+     and r.action = p_action
+     and r.active
+     and (r.starts_at is null or r.starts_at <= now())
+     and (r.ends_at is null or r.ends_at > now())
+     and (coalesce(cardinality(r.required_tiers), 0) = 0 or v_user.membership_tier = any (r.required_tiers))
+   order by r.priority desc, r.created_at desc
+   limit 1;
+
+  if not found then
+    reason := 'no_active_rule';
+    return next;
+    return;
+  end if;
+  rule_id := v_rule.id;
+
+  v_amount := v_rule.amount + floor(greatest(coalesce(p_amount_usd, 0), 0) * coalesce(v_rule.credits_per_usd, 0))::integer;
+  if v_rule.max_credits is not null then
+    v_amount := least(v_amount, v_rule.max_credits);
+  end if;
+  if v_amount <= 0 then
+    reason := 'no_active_rule';
+    return next;
+    return;
+  end if;
+
+  select max(g.created_at) into v_last
+    from partner_reward_grants g
+   where g.email = v_email and g.partner_key = p_partner_key and g.action = p_action;
+
+  if v_last is not null and v_rule.cooldown <> 'none' then
+    v_next := case v_rule.cooldown
+      when 'daily' then (date_trunc('day', v_last at time zone 'utc') + interval '1 day') at time zone 'utc'
+      when 'weekly' then (date_trunc('week', v_last at time zone 'utc') + interval '1 week') at time zone 'utc'
+      else v_last + make_interval(hours => v_rule.cooldown_hours)
+    end;
+    if now() < v_next then
+      reason := 'cooldown';
+      next_eligible_at := v_next;
+      return next;
+      return;
+    end if;
+  end if;
+
+  if v_rule.lifetime_cap is not null then
+    select count(*) into v_count
+      from partner_reward_grants g
+     where g.email = v_email and g.rule_id = v_rule.id;
+    if v_count >= v_rule.lifetime_cap then
+      reason := 'lifetime_cap_reached';
+      return next;
+      return;
+    end if;
+  end if;
+
+  select * into v_ledger
+    from apply_credit_delta(v_email, v_amount, p_reason, p_partner_key,
+                            p_stripe_session_id, null, p_amount_usd, null, false, p_apply_multiplier);
+
+  insert into partner_reward_grants (rule_id, partner_key, action, email, amount, ledger_id, reference)
+  values (v_rule.id, p_partner_key, p_action, v_email, v_ledger.base_delta + v_ledger.bonus_delta,
+          v_ledger.ledger_id, p_reference);
+
+  granted := true;
+  reason := 'granted';
+  base_delta := v_ledger.base_delta;
+  bonus_delta := v_ledger.bonus_delta;
+  multiplier := v_ledger.multiplier;
+  ledger_id := v_ledger.ledger_id;
+  balance := v_ledger.balance;
+  return next;
+end;
+$$;
+
+revoke all on function public.grant_partner_reward(text, text, text, boolean, numeric, text, text, text)
+  from public, anon, authenticated;
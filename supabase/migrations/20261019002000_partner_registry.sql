@@ -0,0 +1,145 @@
+-- Partner registry: one row per brand holding everything the code used to
+-- hard-code (gate PARTNER_MAP, checkout allowedPartners, CORS origins).
+-- Reward amounts live in partner_reward_rules (keyed by partner).
+--
+-- Per-partner access moves from users.access_<brand> booleans to
+-- user_partner_access, so a new brand is an insert, not a schema change.
+
+alter table public.partners
+  add column if not exists redirect_url text,
+  add column if not exists allowed_origins text[] not null default '{}',
+  add column if not exists access_enabled boolean not null default true,  -- can be unlocked per user (limited pass, bridge unlock)
+  add column if not exists updated_at timestamptz not null default now();
+
+update public.partners p
+   set redirect_url = coalesce(p.redirect_url, v.url),
+       allowed_origins = case when cardinality(p.allowed_origins) = 0 then array[v.url] else p.allowed_origins end
+  from (values
+    ('talentkonnect', 'https://www.talentkonnect.com'),
+    ('careduel', 'https://www.careduel.com'),
+    ('ecoworldbuy', 'https://www.ecoworldbuy.com')
+  ) as v(key, url)
+ where p.key = v.key;
+
+create table if not exists public.user_partner_access (
+  email text not null,
+  partner_key text not null references public.partners (key),
+  source text not null,              -- limited_pass | membership | bridge_unlock | backfill | legacy_flag
+  stripe_session_id text,
+  granted_at timestamptz not null default now(),
+  primary key (email, partner_key)
+);
+
+create index if not exists user_partner_access_partner_idx
+  on public.user_partner_access (partner_key);
+
+-- Backfill from the per-brand columns. The legacy columns and the triggers that
+-- keep them in step with user_partner_access (both ways) stay until a cutover is
+-- decided; no migration drops them yet.
+do $$
+declare
+  v_key text;
+begin
+  foreach v_key in array array['talentkonnect', 'careduel', 'ecoworldbuy'] loop
+    if exists (
+      select 1 from information_schema.columns
+       where table_schema = 'public' and table_name = 'users' and column_name = 'access_' || v_key
+    ) then
+      execute format(
+        'insert into public.user_partner_access (email, partner_key, source)
+         select email, %L, ''backfill'' from public.users where access_%s is true
+         on conflict (email, partner_key) do nothing',
+        v_key, v_key
+      );
+    end if;
+  end loop;
+end;
+$$;
+
+-- Old code setting users.access_<brand>
+create or replace function public.sync_partner_access_from_users()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_new jsonb := to_jsonb(new);
+  v_old jsonb := case when tg_op = 'UPDATE' then to_jsonb(old) end;
+  v_col text;
+  v_key text;
+begin
+  if pg_trigger_depth() > 1 then
+    return null;
+  end if;
+
+  foreach v_key in array array['talentkonnect', 'careduel', 'ecoworldbuy'] loop
+    v_col := 'access_' || v_key;
+    continue when not v_new ? v_col;
+
+    if (v_new ->> v_col)::boolean is true and (v_old ->> v_col)::boolean is not true then
+      insert into user_partner_access (email, partner_key, source)
+      values (new.email, v_key, 'legacy_flag')
+      on conflict (email, partner_key) do nothing;
+    elsif (v_new ->> v_col)::boolean is not true and (v_old ->> v_col)::boolean is true then
+      delete from user_partner_access where email = new.email and partner_key = v_key;
+    end if;
+  end loop;
+  return null;
+end;
+$$;
+
+-- New code granting / revoking user_partner_access, for old code still reading the flags
+create or replace function public.sync_partner_access_to_users()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row user_partner_access%rowtype;
+begin
+  if pg_trigger_depth() > 1 then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    v_row := old;
+  else
+    v_row := new;
+  end if;
+
+  if exists (
+    select 1 from information_schema.columns
+     where table_schema = 'public' and table_name = 'users' and column_name = 'access_' || v_row.partner_key
+  ) then
+    execute format('update public.users set %I = $1 where email = $2', 'access_' || v_row.partner_key)
+      using tg_op <> 'DELETE', v_row.email;
+  end if;
+  return null;
+end;
+$$;
+
+revoke all on function public.sync_partner_access_from_users() from public, anon, authenticated;
+revoke all on function public.sync_partner_access_to_users() from public, anon, authenticated;
+
+drop trigger if exists users_partner_access_compat on public.users;
+create trigger users_partner_access_compat
+  after insert or update on public.users
+  for each row execute function public.sync_partner_access_from_users();
+
+drop trigger if exists user_partner_access_compat on public.user_partner_access;
+create trigger user_partner_access_compat
+  after insert or delete on public.user_partner_access
+  for each row execute function public.sync_partner_access_to_users();
+
+-- Reversal snapshots: access_<brand> flags become a partner_access key list
+update public.payment_reversals r
+   set access_snapshot = (r.access_snapshot - 'access_talentkonnect' - 'access_careduel' - 'access_ecoworldbuy')
+       || jsonb_build_object('partner_access', coalesce((
+            select jsonb_agg(k)
+              from unnest(array['talentkonnect', 'careduel', 'ecoworldbuy']) as k
+             where (r.access_snapshot ->> ('access_' || k))::boolean is true
+          ), '[]'::jsonb))
+ where r.access_snapshot is not null
+   and not r.access_snapshot ? 'partner_access';
@@ -0,0 +1,102 @@
+-- Limited passes as rows (replace users.limited_partner CSV and the
+-- limited_paid_amount / upgrade_balance_amount columns, which are kept but no
+-- longer written; dropping them waits for a decided cutover).
+--
+-- A pass is 'active' until it is credited toward a membership ('upgraded',
+-- with the upgrade's checkout session) or refunded ('reversed'). The upgrade
+-- balance for any tier is that tier's price minus the user's active passes.
+
+create table if not exists public.limited_passes (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  partner_key text not null references public.partners (key),
+  amount_cents integer not null check (amount_cents > 0),
+  stripe_session_id text unique,            -- null for rows backfilled from the CSV
+  status text not null default 'active' check (status in ('active', 'upgraded', 'reversed')),
+  upgrade_session_id text,
+  upgraded_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists limited_passes_active_idx
+  on public.limited_passes (email) where status = 'active';
+
+create index if not exists limited_passes_upgrade_idx
+  on public.limited_passes (upgrade_session_id) where upgrade_session_id is not null;
+
+-- Per-partner pass price (null: the catalog limited_pass price)
+alter table public.partners
+  add column if not exists pass_price_cents integer check (pass_price_cents > 0),
+  add column if not exists pass_stripe_price_id text;
+
+-- CSV rows the backfill could not turn into passes (no paid amount, less than
+-- a cent per partner, or no known partner), kept for manual review
+create table if not exists public.limited_pass_backfill_skipped (
+  email text primary key,
+  limited_partner text,
+  limited_paid_amount numeric,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
+
+-- Backfill: the paid total is split evenly across the CSV partners. The old
+-- columns are kept (no longer written) so skipped rows can still be resolved;
+-- no migration drops them until a cutover is decided.
+do $$
+declare
+  v_skipped integer;
+begin
+  if exists (
+    select 1 from information_schema.columns
+     where table_schema = 'public' and table_name = 'users' and column_name = 'limited_partner'
+  ) then
+    create temporary table limited_pass_source on commit drop as
+    select s.email, s.limited_partner, s.limited_paid_amount, s.parts,
+           cardinality(s.parts) as n, s.total_cents
+      from (
+        select email,
+               limited_partner,
+               limited_paid_amount,
+               round(limited_paid_amount * 100)::integer as total_cents,
+               array(
+                 select distinct trim(x)
+                   from unnest(string_to_array(limited_partner, ',')) as x
+                  where trim(x) in (select key from public.partners)
+               ) as parts
+          from public.users
+         where access_mode = 'limited' and limited_partner is not null
+      ) s;
+
+    insert into public.limited_passes (email, partner_key, amount_cents)
+    select u.email,
+           p.key,
+           u.total_cents / u.n + case when p.ord = 1 then u.total_cents % u.n else 0 end
+      from limited_pass_source u
+      cross join lateral unnest(u.parts) with ordinality as p(key, ord)
+     where u.n > 0 and u.total_cents >= u.n
+       and not exists (select 1 from public.limited_passes l where l.email = u.email);
+
+    insert into public.limited_pass_backfill_skipped (email, limited_partner, limited_paid_amount, reason)
+    select email, limited_partner, limited_paid_amount,
+           case
+             when n = 0 then 'no_known_partner'
+             when total_cents is null then 'no_paid_amount'
+             else 'paid_amount_below_partner_count'
+           end
+      from limited_pass_source
+     where n = 0 or total_cents is null or total_cents < n
+    on conflict (email) do nothing;
+
+    get diagnostics v_skipped = row_count;
+    if v_skipped > 0 then
+      raise warning 'limited_passes backfill skipped % users; see limited_pass_backfill_skipped', v_skipped;
+    end if;
+  end if;
+end;
+$$;
+
+-- Reversal snapshots no longer carry the old columns (restores use the pass rows)
+update public.payment_reversals
+   set access_snapshot = access_snapshot - 'limited_partner' - 'limited_paid_amount' - 'upgrade_balance_amount'
+ where access_snapshot is not null;
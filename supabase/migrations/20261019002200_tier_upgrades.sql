@@ -0,0 +1,20 @@
+-- Prorated upgrades between lifetime tiers.
+-- membership_paid_cents is what the user has paid toward their current tier
+-- (purchase, passes + balance upgrade, or earlier tier upgrades); a tier
+-- upgrade costs the target price minus this.
+
+alter table public.users
+  add column if not exists membership_paid_cents integer;
+
+-- Existing members: assume they paid their tier's price
+update public.users u
+   set membership_paid_cents = t.price_cents
+  from public.membership_tiers t
+ where t.key = u.membership_tier
+   and u.membership_paid_cents is null;
+
+-- Checkout session that last changed the membership. A retried webhook for
+-- that session finds its membership update already applied and goes on to
+-- grant the credits instead of re-checking the (now changed) tier.
+alter table public.users
+  add column if not exists membership_session_id text;
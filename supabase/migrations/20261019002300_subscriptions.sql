@@ -0,0 +1,115 @@
+-- Recurring memberships via Stripe Billing.
+--
+-- subscription_plans sit in the tier catalog: each plan bills a tier monthly
+-- or annually and carries a monthly credit allowance. subscriptions mirrors
+-- the Stripe subscription; while it is active the user holds the plan's tier
+-- (access_snapshot keeps what they had before, restored when it lapses).
+-- Allowances are granted once per subscription month through
+-- grant_subscription_allowance, so annual plans still credit monthly.
+-- Plans are created by admins (PUT /api/admin/plans/:key).
+
+create table if not exists public.subscription_plans (
+  key text primary key check (key ~ '^[a-z0-9_]+$'),
+  tier_key text not null references public.membership_tiers (key),
+  name text not null,
+  interval text not null check (interval in ('month', 'year')),
+  price_cents integer not null check (price_cents > 0),
+  stripe_price_id text,
+  stripe_price_env text,
+  monthly_credits integer not null default 0 check (monthly_credits >= 0),
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.users
+  add column if not exists stripe_customer_id text;
+
+create table if not exists public.subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  stripe_subscription_id text not null unique,
+  stripe_customer_id text,
+  email text not null,
+  plan_key text references public.subscription_plans (key),
+  status text not null,                       -- Stripe subscription status
+  current_period_start timestamptz,
+  current_period_end timestamptz,
+  cancel_at_period_end boolean not null default false,
+  access_applied boolean not null default false,
+  access_snapshot jsonb,
+  ended_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists subscriptions_email_idx
+  on public.subscriptions (email);
+
+create index if not exists subscriptions_live_idx
+  on public.subscriptions (status) where status in ('active', 'trialing', 'past_due');
+
+-- Paid invoices, so spend is counted once per invoice
+create table if not exists public.subscription_invoices (
+  stripe_invoice_id text primary key,
+  subscription_id uuid not null references public.subscriptions (id),
+  amount_cents integer not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.subscription_allowances (
+  id uuid primary key default gen_random_uuid(),
+  subscription_id uuid not null references public.subscriptions (id),
+  allowance_start timestamptz not null,
+  amount integer not null check (amount > 0),
+  ledger_id bigint,
+  created_at timestamptz not null default now(),
+  unique (subscription_id, allowance_start)
+);
+
+-- Grant one month's allowance. granted = false if it was already granted.
+create or replace function public.grant_subscription_allowance(
+  p_subscription_id uuid,
+  p_allowance_start timestamptz,
+  p_amount integer,
+  p_reason text
+)
+returns table (granted boolean, ledger_id bigint, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_email text;
+  v_allowance_id uuid;
+  v_result record;
+begin
+  select s.email into v_email from subscriptions s where s.id = p_subscription_id;
+  if v_email is null then
+    raise exception 'subscription not found' using errcode = 'CB404';
+  end if;
+
+  insert into subscription_allowances (subscription_id, allowance_start, amount)
+  values (p_subscription_id, p_allowance_start, p_amount)
+  on conflict (subscription_id, allowance_start) do nothing
+  returning id into v_allowance_id;
+
+  if v_allowance_id is null then
+    granted := false;
+    return next;
+    return;
+  end if;
+
+  select * into v_result
+    from apply_credit_delta(v_email, p_amount, p_reason, 'stripe_subscription');
+
+  update subscription_allowances set ledger_id = v_result.ledger_id where id = v_allowance_id;
+
+  granted := true;
+  ledger_id := v_result.ledger_id;
+  balance := v_result.balance;
+  return next;
+end;
+$$;
+
+revoke all on function public.grant_subscription_allowance(uuid, timestamptz, integer, text) from public, anon, authenticated;
@@ -0,0 +1,27 @@
+-- Credit top-up packs sold through Checkout (mode 'credit_pack').
+--
+-- Packs sit in the tier catalog next to membership_tiers and
+-- subscription_plans; fulfilment credits the ledger with reason
+-- credit_pack_<credits>. Prices are placeholders until set from the admin
+-- catalog (PUT /api/admin/credit-packs/:key); without a Stripe price the
+-- checkout charges price_cents inline.
+
+create table if not exists public.credit_packs (
+  key text primary key check (key ~ '^[a-z0-9_]+$'),
+  name text not null,
+  credits integer not null check (credits > 0),
+  price_cents integer not null check (price_cents > 0),
+  stripe_price_id text,
+  stripe_price_env text,
+  sort_order integer not null default 0,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.credit_packs (key, name, credits, price_cents, stripe_price_env, sort_order)
+values
+  ('credits_100', '100 Credits', 100, 1000, 'STRIPE_PRICE_CREDITS_100', 10),
+  ('credits_250', '250 Credits', 250, 2250, 'STRIPE_PRICE_CREDITS_250', 20),
+  ('credits_1000', '1000 Credits', 1000, 8000, 'STRIPE_PRICE_CREDITS_1000', 30)
+on conflict (key) do nothing;
@@ -0,0 +1,145 @@
+-- Admin-managed promo codes for membership checkouts.
+--
+-- Each code maps to a Stripe coupon or promotion code, which Checkout
+-- applies; percent_off / amount_off_cents mirror it for display. Limits
+-- (window, max_redemptions, per_user_limit, allowed_tiers) are enforced here,
+-- under a lock on the code, when a checkout session is opened:
+-- reserve_promo_redemption inserts a 'pending' redemption held for the
+-- session's lifetime. Fulfilment completes it (and stamps the discount on the
+-- ledger row); an expired session releases it.
+--
+-- Errors: CB404 unknown/inactive code, CB409 code not usable
+-- (DETAIL carries { reason, ... }).
+
+create table if not exists public.promo_codes (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique check (code ~ '^[A-Z0-9_-]+$'),
+  description text,
+  stripe_coupon_id text,
+  stripe_promotion_code_id text,
+  percent_off numeric(5, 2) check (percent_off > 0 and percent_off <= 100),
+  amount_off_cents integer check (amount_off_cents > 0),
+  max_redemptions integer check (max_redemptions > 0),     -- null: unlimited
+  per_user_limit integer default 1 check (per_user_limit > 0), -- null: unlimited
+  allowed_tiers text[],                                     -- null: any tier
+  starts_at timestamptz,
+  expires_at timestamptz,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (stripe_coupon_id is not null or stripe_promotion_code_id is not null),
+  check (num_nonnulls(percent_off, amount_off_cents) = 1),
+  check (expires_at is null or starts_at is null or expires_at > starts_at)
+);
+
+create table if not exists public.promo_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  promo_code_id uuid not null references public.promo_codes (id),
+  code text not null,
+  email text not null,
+  tier_key text,
+  mode text not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'completed', 'released')),
+  hold_expires_at timestamptz not null,
+  stripe_session_id text unique,
+  discount_cents integer,
+  ledger_id bigint,
+  completed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists promo_redemptions_code_idx
+  on public.promo_redemptions (promo_code_id, status);
+
+create index if not exists promo_redemptions_email_idx
+  on public.promo_redemptions (email, promo_code_id);
+
+-- The discount a paid session got, on its ledger row
+alter table public.credits_ledger
+  add column if not exists promo_code text,
+  add column if not exists discount_usd numeric(10, 2);
+
+-- Check a code for (email, tier) and hold one redemption for p_hold_minutes.
+create or replace function public.reserve_promo_redemption(
+  p_code text,
+  p_email text,
+  p_tier_key text,
+  p_mode text,
+  p_hold_minutes integer default 30
+)
+returns table (
+  redemption_id uuid,
+  promo_code_id uuid,
+  code text,
+  stripe_coupon_id text,
+  stripe_promotion_code_id text
+)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_promo promo_codes%rowtype;
+  v_email text := lower(trim(p_email));
+  v_used integer;
+  v_id uuid;
+begin
+  select * into v_promo from promo_codes p where p.code = upper(trim(p_code)) for update;
+  if not found or not v_promo.active then
+    raise exception using errcode = 'CB404', message = 'promo_not_found';
+  end if;
+
+  if v_promo.starts_at is not null and now() < v_promo.starts_at then
+    raise exception using errcode = 'CB409', message = 'promo_not_started',
+      detail = json_build_object('reason', 'not_started', 'starts_at', v_promo.starts_at)::text;
+  end if;
+  if v_promo.expires_at is not null and now() >= v_promo.expires_at then
+    raise exception using errcode = 'CB409', message = 'promo_expired',
+      detail = json_build_object('reason', 'expired', 'expires_at', v_promo.expires_at)::text;
+  end if;
+  if v_promo.allowed_tiers is not null and not (p_tier_key = any (v_promo.allowed_tiers)) then
+    raise exception using errcode = 'CB409', message = 'promo_not_valid_for_tier',
+      detail = json_build_object('reason', 'tier_not_allowed', 'allowed_tiers', v_promo.allowed_tiers)::text;
+  end if;
+
+  -- Completed redemptions plus holds of sessions that may still be paid
+  if v_promo.max_redemptions is not null then
+    select count(*) into v_used
+      from promo_redemptions r
+     where r.promo_code_id = v_promo.id
+       and (r.status = 'completed' or (r.status = 'pending' and r.hold_expires_at > now()));
+    if v_used >= v_promo.max_redemptions then
+      raise exception using errcode = 'CB409', message = 'promo_exhausted',
+        detail = json_build_object('reason', 'max_redemptions')::text;
+    end if;
+  end if;
+
+  if v_promo.per_user_limit is not null then
+    select count(*) into v_used
+      from promo_redemptions r
+     where r.promo_code_id = v_promo.id
+       and r.email = v_email
+       and (r.status = 'completed' or (r.status = 'pending' and r.hold_expires_at > now()));
+    if v_used >= v_promo.per_user_limit then
+      raise exception using errcode = 'CB409', message = 'promo_already_used',
+        detail = json_build_object('reason', 'per_user_limit')::text;
+    end if;
+  end if;
+
+  insert into promo_redemptions (promo_code_id, code, email, tier_key, mode, hold_expires_at)
+  values (v_promo.id, v_promo.code, v_email, p_tier_key, p_mode,
+          now() + make_interval(mins => greatest(p_hold_minutes, 1)))
+  returning id into v_id;
+
+  redemption_id := v_id;
+  promo_code_id := v_promo.id;
+  code := v_promo.code;
+  stripe_coupon_id := v_promo.stripe_coupon_id;
+  stripe_promotion_code_id := v_promo.stripe_promotion_code_id;
+  return next;
+end;
+$$;
+
+revoke all on function public.reserve_promo_redemption(text, text, text, text, integer) from public, anon, authenticated;
@@ -41,9 +41,14 @@ function buildCreditUpdateEmail({
 }) {
   const r = String(reason || "").toLowerCase();
   const reasonLabel =
+  r.includes("event_end_refund") ? "Skill Event Credit Refund" :
+  r.includes("referral") ? "Referral Reward" :
   r.includes("refund") ? "Refund Processed" :
   r.includes("limited_pass") ? "Limited Pass Purchase" :
   r.includes("balance_upgrade") ? "Balance Upgrade Payment" :
+  r.includes("tier_upgrade") ? "Membership Upgrade" :
+  r.includes("subscription_allowance") ? "Monthly Subscription Credits" :
+  r.includes("credit_pack") ? "Credit Pack Purchase" :
   r.includes("membership_") || r.includes("membership_purchase") ? "Membership Purchase" :
   r.includes("payment") ? "Payment Successful" :
   r.includes("gain") ? "Credits Added" :
@@ -81,6 +86,37 @@ function buildCreditUpdateEmail({
   return { subject, html: emailLayout(subject, body) };
 }
 
+function buildKycRejectedEmail({
+  userName = "[User Name]",
+  reason = "",
+  supportEmail = process.env.SUPPORT_EMAIL || "support@crowbar.com",
+}) {
+  const subject = "Crowbar Verification Update: Documents Not Approved";
+
+  const body = `
+    <p style="margin:0 0 12px 0;font-size:14px;line-height:1.75;color:#111827;">
+      Dear ${escapeHtml(userName)},
+    </p>
+
+    <p style="margin:0 0 12px 0;font-size:14px;line-height:1.75;color:#374151;">
+      We reviewed the identity documents you submitted and could not approve your age verification.
+    </p>
+
+    ${reason ? `<p style="margin:0 0 12px 0;font-size:14px;line-height:1.75;color:#374151;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ""}
+
+    <p style="margin:0 0 12px 0;font-size:14px;line-height:1.75;color:#374151;">
+      You can upload new documents from your dashboard and we will review them again.
+    </p>
+
+    <p style="margin:0;font-size:14px;line-height:1.75;color:#374151;">
+      If you have questions, contact us at
+      <a style="color:#059669;text-decoration:underline;" href="mailto:${supportEmail}">${supportEmail}</a>.
+    </p>
+  `;
+
+  return { subject, html: emailLayout(subject, body) };
+}
+
 async function sendBrevoEmail({ to, subject, html }) {
   const apiKey = process.env.BREVO_API_KEY;
   if (!apiKey) throw new Error("Missing BREVO_API_KEY");
@@ -109,4 +145,4 @@ async function sendBrevoEmail({ to, subject, html }) {
   return resp.data; // contains messageId typically
 }
 
-module.exports = { buildCreditUpdateEmail, sendBrevoEmail };
+module.exports = { buildCreditUpdateEmail, buildKycRejectedEmail, sendBrevoEmail };
@@ -0,0 +1,22 @@
+// utils/masking.js
+// Public-safe identifiers for leaderboards and referral lists.
+
+// "ja***@g***.com"
+function maskEmail(email) {
+  const [local = "", domain = ""] = String(email || "").split("@");
+  const dot = domain.lastIndexOf(".");
+  const host = dot > 0 ? domain.slice(0, dot) : domain;
+  const tld = dot > 0 ? domain.slice(dot) : "";
+  return `${local.slice(0, 2)}***@${host.slice(0, 1)}***${tld}`;
+}
+
+// "Jane D." from a full name, else the masked email
+function displayName(fullName, email) {
+  const parts = String(fullName || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length) {
+    return parts.length > 1 ? `${parts[0]} ${parts[parts.length - 1][0].toUpperCase()}.` : parts[0];
+  }
+  return maskEmail(email);
+}
+
+module.exports = { maskEmail, displayName };
@@ -1,13 +1,29 @@
 // utils/referrals.js
+const crypto = require('crypto');
+
 function generateReferralCode() {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no confusing chars
   let code = '';
   for (let i = 0; i < 6; i++) {
-    code += chars[Math.floor(Math.random() * chars.length)];
+    code += chars[crypto.randomInt(chars.length)];
   }
   return `CWB-${code}`;
 }
 
+// A code no user holds yet
+async function uniqueReferralCode(supabase) {
+  while (true) {
+    const code = generateReferralCode();
+    const { data: existing, error } = await supabase
+      .from('users')
+      .select('email')
+      .eq('referral_code', code)
+      .maybeSingle();
+    if (error) throw error;
+    if (!existing) return code;
+  }
+}
+
 async function ensureReferralCodeForUser(supabase, email) {
   const normEmail = email.toLowerCase();
 
@@ -21,17 +37,7 @@ async function ensureReferralCodeForUser(supabase, email) {
   if (error) throw error;
   if (user?.referral_code) return user.referral_code;
 
-  // generate until unique
-  let code;
-  while (true) {
-    code = generateReferralCode();
-    const { data: existing } = await supabase
-      .from('users')
-      .select('email')
-      .eq('referral_code', code)
-      .maybeSingle();
-    if (!existing) break;
-  }
+  const code = await uniqueReferralCode(supabase);
 
   const { error: updateErr } = await supabase
     .from('users')
@@ -42,4 +48,28 @@ async function ensureReferralCodeForUser(supabase, email) {
   return code;
 }
 
-module.exports = { generateReferralCode, ensureReferralCodeForUser };
+// Replace a user's code (e.g. it leaked). The old code stops resolving at once;
+// referrals already recorded under it are kept.
+async function rotateReferralCode(supabase, email) {
+  const normEmail = email.toLowerCase();
+
+  const code = await uniqueReferralCode(supabase);
+
+  const { error: updateErr } = await supabase
+    .from('users')
+    .update({ referral_code: code })
+    .eq('email', normEmail);
+
+  if (updateErr) throw updateErr;
+  return code;
+}
+
+// Shareable signup link with the code embedded
+function referralLink(code) {
+  const base = process.env.REFERRAL_LINK_BASE || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/signup`;
+  const url = new URL(base);
+  url.searchParams.set('ref', code);
+  return url.toString();
+}
+
+module.exports = { generateReferralCode, ensureReferralCodeForUser, rotateReferralCode, referralLink };
@@ -0,0 +1,71 @@
+// utils/requestSigning.js
+// HMAC-SHA256 request signatures for server-to-server calls.
+//
+// Header:   x-crowbar-signature: t=<unix seconds>,n=<nonce>,v1=<hex hmac>
+// Signed:   `${t}.${n}.${rawBody}` with the caller's signing secret
+//
+// Same idea as Stripe's `Stripe-Signature` / constructEvent.
+const crypto = require("crypto");
+
+const SIGNATURE_HEADER = "x-crowbar-signature";
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function computeSignature(secret, timestamp, nonce, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(Buffer.isBuffer(rawBody) ? rawBody : Buffer.from(String(rawBody ?? "")))
+    .digest("hex");
+}
+
+// Build a header value (used by partners / tests to sign a body)
+function signPayload(secret, rawBody, { timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID() } = {}) {
+  const v1 = computeSignature(secret, timestamp, nonce, rawBody);
+  return `t=${timestamp},n=${nonce},v1=${v1}`;
+}
+
+function parseSignatureHeader(header) {
+  const parts = {};
+  for (const item of String(header || "").split(",")) {
+    const idx = item.indexOf("=");
+    if (idx > 0) parts[item.slice(0, idx).trim()] = item.slice(idx + 1).trim();
+  }
+  return parts;
+}
+
+/**
+ * Verify a signature header against the raw body.
+ * Returns { ok: true, timestamp, nonce } or { ok: false, reason }.
+ * Replay (nonce reuse) is NOT checked here; see middleware/requestSignature.
+ */
+function verifySignature({ header, rawBody, secret, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!secret) return { ok: false, reason: "no_signing_secret" };
+
+  const { t, n, v1 } = parseSignatureHeader(header);
+  if (!t || !n || !v1) return { ok: false, reason: "malformed_signature" };
+
+  const timestamp = Number(t);
+  if (!Number.isInteger(timestamp)) return { ok: false, reason: "malformed_signature" };
+  if (!/^[A-Za-z0-9_-]{8,128}$/.test(n)) return { ok: false, reason: "malformed_nonce" };
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { ok: false, reason: "timestamp_outside_tolerance" };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, n, rawBody), "hex");
+  const received = Buffer.from(v1, "hex");
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { ok: false, reason: "signature_mismatch" };
+  }
+
+  return { ok: true, timestamp, nonce: n };
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  DEFAULT_TOLERANCE_SECONDS,
+  computeSignature,
+  signPayload,
+  parseSignatureHeader,
+  verifySignature,
+};